@@ -22,6 +22,10 @@ export class PlayerCamera {
         // Camera offset from player center
         this.offset = new Vector3(0, this.eyeHeight, 0);
         
+        // How quickly the view is dragged toward whatever restrains the player
+        this.restraintTurnSpeed = 8.0;
+        this._lookDirection = new Vector3();
+        
         // Create camera effects
         this.effects = new CameraEffects(this);
         
@@ -39,10 +43,34 @@ export class PlayerCamera {
         // Update position to follow player
         this.camera.position.copy(this.player.position).add(this.offset);
         
+        // Turn to face whatever is holding the player
+        const restraint = this.player.restraint;
+        if (restraint && restraint.lookTarget) {
+            this.turnToward(restraint.lookTarget, deltaTime);
+        }
+        
         // Apply player rotation to camera
         this.camera.rotation.copy(this.player.viewRotation);
         
         // Update camera effects
         this.effects.update(deltaTime);
     }
+    
+    turnToward(target, deltaTime) {
+        const direction = this._lookDirection.subVectors(target, this.camera.position);
+        if (direction.lengthSq() < 1e-6) return;
+        direction.normalize();
+        
+        // View looks down -Z, so yaw/pitch that point it along the direction
+        const targetYaw = Math.atan2(-direction.x, -direction.z);
+        const targetPitch = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+        
+        const view = this.player.viewRotation;
+        let yawDiff = targetYaw - view.y;
+        yawDiff = Math.atan2(Math.sin(yawDiff), Math.cos(yawDiff)); // Shortest way round
+        
+        const t = Math.min(this.restraintTurnSpeed * deltaTime, 1.0);
+        view.y += yawDiff * t;
+        view.x += (targetPitch - view.x) * t;
+    }
 }
\ No newline at end of file
@@ -17,6 +17,8 @@ export const DefaultConfig = {
     // Physics settings
     gravity: -20, // Higher for arcadey feel
     airDrag: 0.003,
+    useBroadphase: true, // Spatial hash instead of testing every pair
+    broadphaseCellSize: 2.0,
     
     // Player settings
     walkSpeed: 5.0,
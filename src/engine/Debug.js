@@ -128,7 +128,8 @@ export class Debug {
             FPS: ${this.fps} <br>
             Frame Time: ${this.frameTime.toFixed(2)}ms <br>
             Objects: ${this.engine.renderer.scene.children.length} <br>
-            Physics Bodies: ${this.engine.physics.bodies.length}
+            Physics Bodies: ${this.engine.physics.bodies.length} <br>
+            Sleeping Bodies: ${this.engine.physics.getSleepingCount()}
         `;
         
         // Update player position
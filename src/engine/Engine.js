@@ -5,6 +5,7 @@ import { Renderer } from '../renderer/Renderer.js';
 import { PhysicsWorld } from '../physics/PhysicsWorld.js';
 import { EntityManager } from '../entities/EntityManager.js';
 import { MapLoader } from '../maps/MapLoader.js';
+import { TriggerActions } from '../maps/TriggerActions.js';
 import { AssetManager } from '../assets/AssetManager.js';
 import { Player } from '../player/Player.js';
 import { PlayerCamera } from '../camera/PlayerCamera.js';
@@ -33,6 +34,7 @@ export class Engine {
         this.physics = new PhysicsWorld(this);
         this.entityManager = new EntityManager(this);
         this.mapLoader = new MapLoader(this);
+        this.triggerActions = new TriggerActions(this);
         this.debug = new Debug(this);
         this.enemyManager = new EnemyManager(this);
         
@@ -42,6 +44,9 @@ export class Engine {
         
         // Current map
         this.currentMap = null;
+        
+        // Navigation grid baked from the current map
+        this.navGrid = null;
     }
     
     async init() {
@@ -52,6 +57,7 @@ export class Engine {
         await this.assetManager.init();
         this.renderer.init();
         this.physics.init();
+        this.triggerActions.init();
         
         // Initialize enemy manager
         this.enemyManager.init();
@@ -110,6 +116,7 @@ export class Engine {
         await this.assetManager.unloadGroup(this.currentMap.id);
         
         this.currentMap = null;
+        this.navGrid = null;
     }
     
     start() {
@@ -0,0 +1,59 @@
+// src/engine/EventEmitter.js
+export class EventEmitter {
+    constructor() {
+        // Registered handlers by event name
+        this.handlers = new Map();
+    }
+    
+    /**
+     * Register a handler for an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to call when the event is emitted
+     * @returns {Function} - Function that removes the handler
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+        
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Remove a previously registered handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Call all handlers registered for an event
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to each handler
+     */
+    emit(event, ...args) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+        
+        // Copy so handlers can unregister themselves while being called
+        for (const handler of handlers.slice()) {
+            handler(...args);
+        }
+    }
+    
+    /**
+     * Remove all handlers
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
\ No newline at end of file
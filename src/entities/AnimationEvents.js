@@ -0,0 +1,149 @@
+// src/entities/AnimationEvents.js
+import { EventEmitter } from '../engine/EventEmitter.js';
+
+/**
+ * Named events at normalized times within animation clips.
+ *
+ * Drives an AnimationMixer and emits an event whenever the playing clip
+ * passes one of its event times. Everything advances with the deltaTime
+ * passed to update(), so events follow pause, time scale and the action's
+ * own speed.
+ */
+export class AnimationEvents {
+    /**
+     * Create an animation event tracker
+     * @param {AnimationMixer} mixer - Mixer to drive (may be null)
+     * @param {Object} definitions - Events by animation name, e.g. { attack: [{ name: 'hit', time: 0.4 }] }
+     */
+    constructor(mixer, definitions = {}) {
+        this.mixer = mixer;
+        this.definitions = definitions;
+        this.events = new EventEmitter();
+        
+        // Duration used when an animation has no clip to play
+        this.fallbackDuration = 1.2;
+        
+        // Currently tracked animation
+        this.animation = null;
+        this.action = null;
+        this.loop = false;
+        this.time = 0; // Normalized time of the last update
+        this.fallbackTime = 0; // Seconds, only used without an action
+        this.playCount = 0; // Changes whenever play() is called
+    }
+    
+    /**
+     * Register a handler for an animation event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with (animationName, action)
+     * @returns {Function} - Function that removes the handler
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    /**
+     * Remove a handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+    
+    /**
+     * Start tracking an animation
+     * @param {string} name - Logical animation name (key into definitions)
+     * @param {AnimationAction|null} action - Playing action, or null to time the events without a clip
+     * @param {boolean} loop - Does the animation repeat?
+     */
+    play(name, action, loop = true) {
+        this.animation = name;
+        this.action = action;
+        this.loop = loop;
+        this.time = -1; // Events at time 0 fire on the first update
+        this.fallbackTime = 0;
+        this.playCount++;
+    }
+    
+    /**
+     * Advance the mixer and fire events crossed this frame
+     * @param {number} deltaTime - Scaled game time step
+     */
+    update(deltaTime) {
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+        
+        if (!this.animation) return;
+        
+        const previous = this.time;
+        const current = this.getNormalizedTime(deltaTime);
+        this.time = current;
+        
+        const events = this.definitions[this.animation];
+        if (!events || events.length === 0) return;
+        
+        if (current < previous) {
+            // Looped - fire the rest of the last cycle, then the start of this one
+            const playCount = this.playCount;
+            this.fire(events, previous, 1);
+            if (this.playCount === playCount) {
+                this.fire(events, -1, current);
+            }
+        } else {
+            this.fire(events, previous, current);
+        }
+    }
+    
+    /**
+     * Normalized time (0-1) of the tracked animation
+     * @param {number} deltaTime - Time step, used to advance clip-less animations
+     * @returns {number} - Normalized time
+     */
+    getNormalizedTime(deltaTime) {
+        if (this.action) {
+            const duration = this.action.getClip().duration;
+            return duration > 0 ? Math.min(this.action.time / duration, 1) : 1;
+        }
+        
+        // No clip - time the events over the fallback duration
+        this.fallbackTime += deltaTime;
+        const time = this.fallbackTime / this.fallbackDuration;
+        
+        if (this.loop) {
+            return time % 1;
+        }
+        return Math.min(time, 1);
+    }
+    
+    /**
+     * Emit events with from < time <= to
+     * @param {Array} events - Event definitions for the animation
+     * @param {number} from - Exclusive start time
+     * @param {number} to - Inclusive end time
+     */
+    fire(events, from, to) {
+        const animation = this.animation;
+        const action = this.action;
+        const playCount = this.playCount;
+        
+        for (const event of events) {
+            // Stop if a handler started another animation
+            if (this.playCount !== playCount) return;
+            
+            if (event.time > from && event.time <= to) {
+                this.events.emit(event.name, animation, action);
+            }
+        }
+    }
+    
+    /**
+     * Stop tracking and remove all handlers
+     */
+    clear() {
+        this.animation = null;
+        this.action = null;
+        this.events.clear();
+    }
+}
\ No newline at end of file
@@ -1,6 +1,9 @@
 // src/entities/EnemyManager.js
 import { Vector3 } from 'three';
 import { Zombie } from './Zombie.js';
+import { ZombieArchetypes } from './ZombieArchetypes.js';
+import { EventEmitter } from '../engine/EventEmitter.js';
+import { Crowd } from '../navigation/Crowd.js';
 
 export class EnemyManager {
     constructor(engine) {
@@ -8,9 +11,44 @@ export class EnemyManager {
         this.enemies = [];
         this.maxEnemies = 5; // Maximum number of zombies at once
         this.spawnCooldown = 5; // Seconds between spawns
-        this.lastSpawnTime = 0;
+        this.spawnTimer = 0;
+        this.pendingSpawns = 0; // Zombies still loading their model
+        this.spawnGeneration = 0; // Bumped by clear() so zombies still loading are dropped
         this.spawnPoints = []; // Will be populated from map data
         this.enabled = true;
+        
+        // Shared steering (separation, surrounding the player)
+        this.crowd = new Crowd();
+        
+        // Round settings
+        this.roundSettings = {
+            baseZombies: 6, // Zombie budget for round 1
+            zombiesPerRound: 3, // Extra zombies added each round
+            baseMaxEnemies: 5, // Zombies alive at once in round 1
+            maxEnemiesCap: 24, // Upper limit for zombies alive at once
+            healthScalePerRound: 0.15, // +15% health per round
+            speedScalePerRound: 0.05, // +5% speed per round
+            maxSpeedScale: 1.6, // Zombies never get faster than this multiplier
+            minSpawnCooldown: 1.0, // Fastest spawn rate in later rounds
+            intermissionDuration: 10, // Seconds between rounds
+            firstRoundDelay: 5 // Seconds before round 1 starts
+        };
+        
+        // Round state
+        this.round = 0;
+        this.roundState = 'intermission'; // 'intermission' | 'active'
+        this.intermissionTimer = this.roundSettings.firstRoundDelay;
+        this.roundTime = 0;
+        this.zombiesToSpawn = 0; // Remaining spawn budget for the current round
+        this.zombiesKilled = 0; // Kills in the current round
+        this.headshotKills = 0; // Headshot kills in the current round
+        this.totalKills = 0;
+        
+        // Round events (roundStarted, roundEnded)
+        this.events = new EventEmitter();
+        
+        // HUD element
+        this.roundCounter = document.getElementById('round-counter');
     }
     
     init() {
@@ -35,51 +73,267 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Register a handler for a round event
+     * @param {string} event - 'roundStarted' or 'roundEnded'
+     * @param {Function} handler - Handler receiving the round info object
+     * @returns {Function} - Function that removes the handler
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    /**
+     * Remove a round event handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+    
     update(deltaTime) {
+        // Refresh neighbour queries for next frame's steering
+        this.crowd.rebuild(this.engine.entityManager.getEntitiesByType('zombie'));
+        
         if (!this.enabled) return;
         
+        // Count and clean up dead enemies
+        const aliveEnemies = this.enemies.filter(enemy => enemy.isAlive);
+        const killed = this.enemies.length - aliveEnemies.length;
+        
+        if (killed > 0) {
+            for (const enemy of this.enemies) {
+                if (!enemy.isAlive && enemy.lastHit?.bodyPart === 'head') {
+                    this.headshotKills++;
+                }
+            }
+            
+            this.zombiesKilled += killed;
+            this.totalKills += killed;
+        }
+        
+        this.enemies = aliveEnemies;
+        
+        if (killed > 0) {
+            this.updateRoundUI();
+        }
+        
+        if (this.roundState === 'intermission') {
+            this.updateIntermission(deltaTime);
+        } else {
+            this.updateRound(deltaTime);
+        }
+    }
+    
+    /**
+     * Count down to the next round
+     * @param {number} deltaTime - Time since last update
+     */
+    updateIntermission(deltaTime) {
+        const previousSeconds = Math.ceil(this.intermissionTimer);
+        this.intermissionTimer -= deltaTime;
+        
+        if (this.intermissionTimer <= 0) {
+            this.startRound(this.round + 1);
+        } else if (Math.ceil(this.intermissionTimer) !== previousSeconds) {
+            this.updateRoundUI();
+        }
+    }
+    
+    /**
+     * Spawn zombies from the round budget and end the round once all are dead
+     * @param {number} deltaTime - Time since last update
+     */
+    updateRound(deltaTime) {
+        this.roundTime += deltaTime;
+        
         // Check if we should spawn new enemies
-        const currentTime = performance.now() / 1000;
-        if (currentTime - this.lastSpawnTime > this.spawnCooldown) {
-            this.trySpawnEnemy();
-            this.lastSpawnTime = currentTime;
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer <= 0 && this.zombiesToSpawn > 0) {
+            if (this.trySpawnEnemy()) {
+                this.spawnTimer = this.spawnCooldown;
+            }
+        }
+        
+        // Round is over when the whole budget has spawned and died
+        if (this.zombiesToSpawn === 0 && this.pendingSpawns === 0 && this.enemies.length === 0) {
+            this.endRound();
         }
+    }
+    
+    /**
+     * Start a round
+     * @param {number} round - Round number, starting at 1
+     */
+    startRound(round) {
+        const settings = this.roundSettings;
+        
+        this.round = round;
+        this.roundState = 'active';
+        this.roundTime = 0;
+        this.zombiesKilled = 0;
+        this.headshotKills = 0;
+        this.zombiesToSpawn = this.getZombieBudget(round);
+        this.maxEnemies = Math.min(
+            settings.baseMaxEnemies + Math.floor((round - 1) / 2),
+            settings.maxEnemiesCap
+        );
+        this.spawnCooldown = Math.max(
+            settings.minSpawnCooldown,
+            5 - (round - 1) * 0.5
+        );
+        this.spawnTimer = 0;
+        
+        this.updateRoundUI();
+        
+        this.events.emit('roundStarted', {
+            round,
+            zombieCount: this.zombiesToSpawn,
+            healthMultiplier: this.getHealthMultiplier(round),
+            speedMultiplier: this.getSpeedMultiplier(round)
+        });
+    }
+    
+    /**
+     * End the current round and begin the intermission countdown
+     */
+    endRound() {
+        const round = this.round;
         
-        // Clean up dead enemies
-        this.enemies = this.enemies.filter(enemy => enemy.isAlive);
+        this.roundState = 'intermission';
+        this.intermissionTimer = this.roundSettings.intermissionDuration;
+        
+        this.updateRoundUI();
+        
+        this.events.emit('roundEnded', {
+            round,
+            kills: this.zombiesKilled,
+            headshots: this.headshotKills,
+            duration: this.roundTime,
+            intermission: this.intermissionTimer
+        });
+    }
+    
+    /**
+     * Total number of zombies spawned in a round
+     * @param {number} round - Round number
+     * @returns {number} - Zombie budget
+     */
+    getZombieBudget(round) {
+        return this.roundSettings.baseZombies + (round - 1) * this.roundSettings.zombiesPerRound;
+    }
+    
+    /**
+     * Health multiplier applied to zombies spawned in a round
+     * @param {number} round - Round number
+     * @returns {number} - Health multiplier
+     */
+    getHealthMultiplier(round) {
+        return 1 + (round - 1) * this.roundSettings.healthScalePerRound;
+    }
+    
+    /**
+     * Speed multiplier applied to zombies spawned in a round
+     * @param {number} round - Round number
+     * @returns {number} - Speed multiplier
+     */
+    getSpeedMultiplier(round) {
+        return Math.min(
+            1 + (round - 1) * this.roundSettings.speedScalePerRound,
+            this.roundSettings.maxSpeedScale
+        );
     }
     
     trySpawnEnemy() {
         // Don't spawn if we reached the maximum
-        if (this.enemies.length >= this.maxEnemies) return;
+        if (this.enemies.length + this.pendingSpawns >= this.maxEnemies) return false;
         
         // Get player position
         const player = this.engine.player;
-        if (!player) return;
+        if (!player) return false;
         
         // Find a spawn point that's not too close to the player
         const spawnPoint = this.getValidSpawnPoint(player.position);
-        if (!spawnPoint) return;
+        if (!spawnPoint) return false;
         
         // Create new zombie
+        this.zombiesToSpawn--;
         this.spawnZombie(spawnPoint);
+        return true;
     }
     
-    async spawnZombie(position) {
+    /**
+     * Pick a random archetype weighted by spawnWeight
+     * @param {number} round - Round number, archetypes above it are excluded
+     * @returns {string} - Archetype name
+     */
+    chooseArchetype(round) {
+        const available = Object.values(ZombieArchetypes)
+            .filter(archetype => archetype.minRound <= Math.max(round, 1));
+        
+        const totalWeight = available.reduce((sum, archetype) => sum + archetype.spawnWeight, 0);
+        let roll = Math.random() * totalWeight;
+        
+        for (const archetype of available) {
+            roll -= archetype.spawnWeight;
+            if (roll < 0) return archetype.name;
+        }
+        
+        return 'walker';
+    }
+    
+    async spawnZombie(position, archetype = this.chooseArchetype(this.round)) {
+        const generation = this.spawnGeneration;
+        this.pendingSpawns++;
+        
         try {
             // Create zombie
-            const zombie = new Zombie(this.engine, position);
+            const zombie = new Zombie(this.engine, position, archetype);
+            
+            // Apply round scaling
+            this.applyRoundScaling(zombie);
             
             // Initialize zombie
             await zombie.init(this.engine);
             
+            // The map was cleared while the model loaded
+            if (generation !== this.spawnGeneration) {
+                zombie.destroy();
+                return;
+            }
+            
             // Add to entity manager and enemies list
             this.engine.entityManager.addEntity(zombie);
             this.enemies.push(zombie);
             
-            console.log(`Spawned zombie at ${position.x}, ${position.y}, ${position.z}`);
+            // Round zombies come looking for the player
+            if (this.engine.player) {
+                zombie.alertTo(this.engine.player.position);
+            }
         } catch (error) {
             console.error("Failed to spawn zombie:", error);
+        } finally {
+            if (generation === this.spawnGeneration) {
+                this.pendingSpawns--;
+            }
+        }
+    }
+    
+    /**
+     * Scale a zombie's health and speed for the current round
+     * @param {Zombie} zombie - Newly created zombie
+     */
+    applyRoundScaling(zombie) {
+        const round = Math.max(this.round, 1);
+        const healthMultiplier = this.getHealthMultiplier(round);
+        const speedMultiplier = this.getSpeedMultiplier(round);
+        
+        zombie.maxHealth = Math.round(zombie.maxHealth * healthMultiplier);
+        zombie.health = zombie.maxHealth;
+        
+        for (const key of Object.keys(zombie.speed)) {
+            zombie.speed[key] *= speedMultiplier;
         }
     }
     
@@ -87,7 +341,7 @@ export class EnemyManager {
         // If we have predefined spawn points, use those
         if (this.spawnPoints.length > 0) {
             // Filter spawn points that are far enough from player
-            const validSpawnPoints = this.spawnPoints.filter(point => 
+            const validSpawnPoints = this.spawnPoints.filter(point =>
                 point.distanceTo(playerPosition) > 15
             );
             
@@ -108,15 +362,65 @@ export class EnemyManager {
         );
     }
     
+    /**
+     * Broadcast a noise to every zombie that can hear it
+     * @param {Vector3} position - Noise origin
+     * @param {number} radius - Distance at which the noise can no longer be heard
+     * @param {string} type - Noise type ('gunshot', 'footstep', ...)
+     */
+    reportNoise(position, radius, type = 'generic') {
+        for (const zombie of this.engine.entityManager.getEntitiesByType('zombie')) {
+            if (typeof zombie.onNoiseHeard === 'function') {
+                zombie.onNoiseHeard(position, radius, type);
+            }
+        }
+    }
+    
     setSpawnPoints(points) {
         this.spawnPoints = points;
     }
     
+    updateRoundUI() {
+        if (!this.roundCounter) return;
+        
+        if (this.roundState === 'intermission') {
+            const seconds = Math.max(Math.ceil(this.intermissionTimer), 0);
+            this.roundCounter.textContent = this.round > 0 ?
+                `Round ${this.round + 1} in ${seconds}` :
+                `Starting in ${seconds}`;
+        } else {
+            const remaining = this.zombiesToSpawn + this.pendingSpawns + this.enemies.length;
+            this.roundCounter.textContent = `Round ${this.round} - ${remaining} left`;
+        }
+    }
+    
+    /**
+     * Reset round progression back to the pre-game countdown
+     */
+    resetRounds() {
+        this.round = 0;
+        this.roundState = 'intermission';
+        this.intermissionTimer = this.roundSettings.firstRoundDelay;
+        this.roundTime = 0;
+        this.zombiesToSpawn = 0;
+        this.zombiesKilled = 0;
+        this.headshotKills = 0;
+        this.totalKills = 0;
+        this.updateRoundUI();
+    }
+    
     clear() {
         // Remove all enemies
         for (const enemy of this.enemies) {
             this.engine.entityManager.removeEntity(enemy);
         }
         this.enemies = [];
+        
+        // Zombies still loading belong to the old map
+        this.spawnGeneration++;
+        this.pendingSpawns = 0;
+        
+        // A new map starts from round 1
+        this.resetRounds();
     }
 }
\ No newline at end of file
@@ -115,6 +115,26 @@ export class EntityManager {
         return this.entities.find(e => e.id === id) || null;
     }
     
+    /**
+     * Find the entity that owns a 3D object
+     * @param {Object3D} object - Object or any of its descendants (e.g. a hit mesh)
+     * @returns {Object|null} - Owning entity or null
+     */
+    getEntityByObject(object) {
+        // Walk up the hierarchy until we reach an entity's root object
+        let current = object;
+        
+        while (current) {
+            const entity = this.entities.find(e => e.object === current);
+            if (entity) {
+                return entity;
+            }
+            current = current.parent;
+        }
+        
+        return null;
+    }
+    
     /**
      * Find entities by type
      * @param {string} type - Entity type
@@ -0,0 +1,209 @@
+// src/entities/HitboxSet.js
+import { Vector3 } from 'three';
+
+/**
+ * Default hitbox layout for humanoid (Mixamo) skeletons.
+ * Each hitbox is a capsule from the first matching bone to its child bone,
+ * or along the bone's local Y axis for `length` meters if it has no child.
+ */
+export const DefaultHitboxes = [
+    { name: 'head', zone: 'head', bones: ['head'], radius: 0.12, length: 0.2 },
+    { name: 'upperChest', zone: 'torso', bones: ['spine2'], radius: 0.17, length: 0.2 },
+    { name: 'chest', zone: 'torso', bones: ['spine1'], radius: 0.17, length: 0.15 },
+    { name: 'abdomen', zone: 'torso', bones: ['spine'], radius: 0.16, length: 0.5 },
+    { name: 'pelvis', zone: 'torso', bones: ['hips'], radius: 0.16, length: 0.15 },
+    { name: 'leftUpperArm', zone: 'limb', limb: 'leftArm', bones: ['leftarm'], radius: 0.06, length: 0.5 },
+    { name: 'leftForearm', zone: 'limb', limb: 'leftArm', bones: ['leftforearm'], radius: 0.05, length: 0.25 },
+    { name: 'rightUpperArm', zone: 'limb', limb: 'rightArm', bones: ['rightarm'], radius: 0.06, length: 0.5 },
+    { name: 'rightForearm', zone: 'limb', limb: 'rightArm', bones: ['rightforearm'], radius: 0.05, length: 0.25 },
+    { name: 'leftThigh', zone: 'limb', limb: 'leftLeg', bones: ['leftupleg'], radius: 0.08, length: 0.45 },
+    { name: 'leftShin', zone: 'limb', limb: 'leftLeg', bones: ['leftleg'], radius: 0.06, length: 0.5 },
+    { name: 'rightThigh', zone: 'limb', limb: 'rightLeg', bones: ['rightupleg'], radius: 0.08, length: 0.45 },
+    { name: 'rightShin', zone: 'limb', limb: 'rightLeg', bones: ['rightleg'], radius: 0.06, length: 0.5 }
+];
+
+/**
+ * Default damage multipliers per hit zone
+ */
+export const DefaultDamageMultipliers = {
+    head: 2.5,
+    torso: 1.0,
+    limb: 0.6
+};
+
+/**
+ * Index bones by normalized name so 'mixamorigLeftUpLeg' matches 'leftupleg'
+ * @param {Object} bones - Bone lookup from Zombie.findBones()
+ * @returns {Map} - Normalized name -> bone
+ */
+export function getBoneLookup(bones) {
+    const lookup = new Map();
+    for (const [key, bone] of Object.entries(bones || {})) {
+        const name = key.toLowerCase().replace(/^mixamorig:?/, '');
+        if (!lookup.has(name)) {
+            lookup.set(name, bone);
+        }
+    }
+    return lookup;
+}
+
+/**
+ * Capsule hitboxes attached to the bones of an animated skeleton
+ */
+export class HitboxSet {
+    /**
+     * Create hitboxes for a skeleton
+     * @param {Object} bones - Bone lookup from Zombie.findBones()
+     * @param {Object} options - Hitbox options
+     */
+    constructor(bones, options = {}) {
+        this.damageMultipliers = {
+            ...DefaultDamageMultipliers,
+            ...(options.damageMultipliers || {})
+        };
+        
+        this.hitboxes = [];
+        this.buildHitboxes(bones, options.definitions || DefaultHitboxes);
+        
+        // Scratch vectors reused by raycasts
+        this._start = new Vector3();
+        this._end = new Vector3();
+    }
+    
+    /**
+     * Resolve hitbox definitions against the skeleton's bones
+     * @param {Object} bones - Bone lookup by name
+     * @param {Array} definitions - Hitbox definitions
+     */
+    buildHitboxes(bones, definitions) {
+        const lookup = getBoneLookup(bones);
+        
+        for (const definition of definitions) {
+            const bone = definition.bones
+                .map(name => lookup.get(name))
+                .find(node => node);
+            
+            if (!bone) continue;
+            
+            // End the capsule at the first child bone if there is one
+            const child = bone.children.find(node => node.isBone || node.type === 'Bone') || null;
+            
+            this.hitboxes.push({
+                name: definition.name,
+                zone: definition.zone,
+                limb: definition.limb || null,
+                radius: definition.radius,
+                length: definition.length,
+                bone,
+                child
+            });
+        }
+    }
+    
+    /**
+     * Get the world space segment of a hitbox from the current bone pose
+     * @param {Object} hitbox - Hitbox to evaluate
+     * @param {Vector3} start - Output segment start
+     * @param {Vector3} end - Output segment end
+     */
+    getSegment(hitbox, start, end) {
+        hitbox.bone.getWorldPosition(start);
+        
+        if (hitbox.child) {
+            hitbox.child.getWorldPosition(end);
+        } else {
+            // No child bone - extend along the bone's local Y axis
+            end.setFromMatrixColumn(hitbox.bone.matrixWorld, 1)
+                .normalize()
+                .multiplyScalar(hitbox.length)
+                .add(start);
+        }
+    }
+    
+    /**
+     * Find the nearest hitbox hit by a ray
+     * @param {Ray} ray - Ray in world space
+     * @param {number} maxDistance - Maximum hit distance
+     * @returns {Object|null} - { hitbox, zone, name, limb, distance, point } or null
+     */
+    raycast(ray, maxDistance = Infinity) {
+        let closest = null;
+        
+        for (const hitbox of this.hitboxes) {
+            this.getSegment(hitbox, this._start, this._end);
+            
+            const distance = HitboxSet.rayCapsuleDistance(
+                ray, this._start, this._end, hitbox.radius
+            );
+            
+            if (distance === null || distance > maxDistance) continue;
+            
+            if (!closest || distance < closest.distance) {
+                closest = {
+                    hitbox,
+                    zone: hitbox.zone,
+                    name: hitbox.name,
+                    limb: hitbox.limb,
+                    distance,
+                    point: ray.at(distance, new Vector3())
+                };
+            }
+        }
+        
+        return closest;
+    }
+    
+    /**
+     * Damage multiplier for a hit zone
+     * @param {string} zone - 'head', 'torso' or 'limb'
+     * @returns {number} - Damage multiplier
+     */
+    getDamageMultiplier(zone) {
+        const multiplier = this.damageMultipliers[zone];
+        return multiplier !== undefined ? multiplier : 1.0;
+    }
+    
+    /**
+     * Distance along a ray to a capsule, or null if the ray misses
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {Vector3} start - Capsule segment start
+     * @param {Vector3} end - Capsule segment end
+     * @param {number} radius - Capsule radius
+     * @returns {number|null} - Approximate entry distance or null
+     */
+    static rayCapsuleDistance(ray, start, end, radius) {
+        // Closest points between the ray and the capsule segment
+        const segment = new Vector3().subVectors(end, start);
+        const offset = new Vector3().subVectors(ray.origin, start);
+        
+        const a = segment.dot(segment);
+        const b = segment.dot(ray.direction);
+        const c = segment.dot(offset);
+        const e = ray.direction.dot(offset);
+        const denominator = a - b * b;
+        
+        // Parameter along the segment [0, 1]
+        let s = 0;
+        if (a > 1e-8) {
+            s = denominator > 1e-8 ? (c - b * e) / denominator : 0;
+            s = Math.min(Math.max(s, 0), 1);
+        }
+        
+        // Parameter along the ray for that segment point
+        const closestOnSegment = segment.multiplyScalar(s).add(start);
+        const t = Math.max(
+            new Vector3().subVectors(closestOnSegment, ray.origin).dot(ray.direction),
+            0
+        );
+        
+        const closestOnRay = ray.at(t, new Vector3());
+        const distanceSq = closestOnRay.distanceToSquared(closestOnSegment);
+        
+        if (distanceSq > radius * radius) {
+            return null;
+        }
+        
+        // Step back from the closest approach to the capsule surface
+        return Math.max(t - Math.sqrt(radius * radius - distanceSq), 0);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+// src/entities/Perception.js
+import { Vector3, MathUtils } from 'three';
+
+/**
+ * Sight, hearing and short-term memory for an AI entity
+ */
+export class Perception {
+    /**
+     * Create a perception module
+     * @param {Object} owner - Entity with position and rotation.y
+     * @param {Object} options - Perception options
+     */
+    constructor(owner, options = {}) {
+        this.owner = owner;
+        
+        // Sight
+        this.sightRange = options.sightRange || 15;
+        this.fieldOfView = MathUtils.degToRad(options.fieldOfView || 120); // Full cone angle
+        this.proximityRange = options.proximityRange || 2.0; // Sensed from any direction
+        this.eyeHeight = options.eyeHeight || 1.6;
+        this.targetHeight = options.targetHeight || 1.0; // Aim sight rays at the target's chest
+        
+        // Hearing
+        this.hearingThreshold = options.hearingThreshold || 0.15; // Minimum intensity to react
+        this.occludedHearingFactor = options.occludedHearingFactor || 0.5; // Walls muffle sound
+        
+        // Memory
+        this.memoryDuration = options.memoryDuration || 8; // Seconds until last known position is forgotten
+        
+        // Current state
+        this.canSeeTarget = false;
+        this.lastKnownPosition = null;
+        this.timeSinceSensed = Infinity;
+        this.memory = 0; // 1 = just sensed, 0 = forgotten
+        this.lastStimulus = null; // 'sight' | 'hearing'
+        this.heardNoise = null; // Most recent noise that passed the threshold
+        
+        // Scratch vectors
+        this._eye = new Vector3();
+        this._targetPoint = new Vector3();
+        this._toTarget = new Vector3();
+    }
+    
+    /**
+     * Update sight and decay memory
+     * @param {number} deltaTime - Time since last perception update
+     * @param {Object} target - Target with a position (usually the player)
+     * @param {PhysicsWorld} physics - Physics world for occlusion checks
+     */
+    update(deltaTime, target, physics) {
+        this.canSeeTarget = target ? this.checkSight(target, physics) : false;
+        
+        if (this.canSeeTarget) {
+            this.remember(target.position, 'sight', 1.0);
+            return;
+        }
+        
+        // Forget gradually
+        this.timeSinceSensed += deltaTime;
+        this.memory = Math.max(0, this.memory - deltaTime / this.memoryDuration);
+        
+        if (this.memory === 0) {
+            this.forget();
+        }
+    }
+    
+    /**
+     * Check if the target is inside the view cone and not occluded
+     * @param {Object} target - Target with a position
+     * @param {PhysicsWorld} physics - Physics world for occlusion checks
+     * @returns {boolean} - True if the target is visible
+     */
+    checkSight(target, physics) {
+        const origin = this.owner.position;
+        
+        this._toTarget.subVectors(target.position, origin).setY(0);
+        const distance = this._toTarget.length();
+        
+        if (distance > this.sightRange) return false;
+        
+        // Outside proximity range the target has to be inside the view cone
+        if (distance > this.proximityRange && distance > 0) {
+            const facing = this.owner.rotation.y;
+            const forwardX = Math.sin(facing);
+            const forwardZ = Math.cos(facing);
+            const cosAngle = (this._toTarget.x * forwardX + this._toTarget.z * forwardZ) / distance;
+            
+            if (cosAngle < Math.cos(this.fieldOfView / 2)) return false;
+        }
+        
+        // Occlusion by map geometry
+        if (physics) {
+            this._eye.copy(origin).y += this.eyeHeight;
+            this._targetPoint.copy(target.position).y += this.targetHeight;
+            
+            if (!physics.checkLineOfSight(this._eye, this._targetPoint)) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * React to a noise
+     * @param {Vector3} position - Noise origin
+     * @param {number} radius - Distance at which the noise falls to zero
+     * @param {PhysicsWorld} physics - Physics world for occlusion checks
+     * @returns {number} - Perceived intensity (0 if not heard)
+     */
+    hear(position, radius, physics) {
+        const distance = this.owner.position.distanceTo(position);
+        if (distance >= radius) return 0;
+        
+        // Linear falloff with distance
+        let intensity = 1 - distance / radius;
+        
+        // Muffled through walls
+        if (physics) {
+            this._eye.copy(this.owner.position).y += this.eyeHeight;
+            if (!physics.checkLineOfSight(this._eye, position)) {
+                intensity *= this.occludedHearingFactor;
+            }
+        }
+        
+        if (intensity < this.hearingThreshold) return 0;
+        
+        // Sight is more reliable - don't overwrite a fresh sighting with a noise
+        if (!this.canSeeTarget) {
+            this.remember(position, 'hearing', intensity);
+        }
+        this.heardNoise = { position: position.clone(), intensity };
+        
+        return intensity;
+    }
+    
+    /**
+     * Store a sensed position
+     * @param {Vector3} position - Sensed position
+     * @param {string} stimulus - 'sight' or 'hearing'
+     * @param {number} strength - Memory strength (0-1)
+     */
+    remember(position, stimulus, strength) {
+        if (this.lastKnownPosition) {
+            this.lastKnownPosition.copy(position);
+        } else {
+            this.lastKnownPosition = position.clone();
+        }
+        
+        this.timeSinceSensed = 0;
+        this.memory = Math.max(this.memory, strength);
+        this.lastStimulus = stimulus;
+    }
+    
+    /**
+     * Clear all memory of the target
+     */
+    forget() {
+        this.lastKnownPosition = null;
+        this.timeSinceSensed = Infinity;
+        this.memory = 0;
+        this.lastStimulus = null;
+        this.heardNoise = null;
+    }
+    
+    /**
+     * Is the target currently seen or remembered?
+     * @returns {boolean} - True if aware of the target
+     */
+    isAware() {
+        return this.canSeeTarget || this.lastKnownPosition !== null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,355 @@
+// src/entities/Ragdoll.js
+import { Vector3, Quaternion, Matrix4 } from 'three';
+import { PhysicsBody } from '../physics/PhysicsBody.js';
+import { DistanceConstraint } from '../physics/Constraint.js';
+import { getBoneLookup } from './HitboxSet.js';
+
+/**
+ * Default ragdoll layout for humanoid (Mixamo) skeletons.
+ * Each part is a sphere at the origin of the first matching bone, jointed
+ * to its parent part. The bone is turned to point at its `aim` part, and
+ * parts with a `side` pair also keep their twist (left to right axis).
+ * Parts are listed parents first.
+ */
+export const DefaultRagdollParts = [
+    { name: 'pelvis', bones: ['hips'], radius: 0.15, mass: 15, aim: 'chest', side: ['leftThigh', 'rightThigh'] },
+    { name: 'chest', bones: ['spine2', 'spine1', 'spine'], parent: 'pelvis', radius: 0.15, mass: 15, aim: 'head', side: ['leftUpperArm', 'rightUpperArm'] },
+    { name: 'head', bones: ['head'], parent: 'chest', radius: 0.12, mass: 5 },
+    { name: 'leftUpperArm', bones: ['leftarm'], parent: 'chest', radius: 0.06, mass: 3, aim: 'leftForearm' },
+    { name: 'leftForearm', bones: ['leftforearm'], parent: 'leftUpperArm', radius: 0.05, mass: 2, aim: 'leftHand' },
+    { name: 'leftHand', bones: ['lefthand'], parent: 'leftForearm', radius: 0.05, mass: 1 },
+    { name: 'rightUpperArm', bones: ['rightarm'], parent: 'chest', radius: 0.06, mass: 3, aim: 'rightForearm' },
+    { name: 'rightForearm', bones: ['rightforearm'], parent: 'rightUpperArm', radius: 0.05, mass: 2, aim: 'rightHand' },
+    { name: 'rightHand', bones: ['righthand'], parent: 'rightForearm', radius: 0.05, mass: 1 },
+    { name: 'leftThigh', bones: ['leftupleg'], parent: 'pelvis', radius: 0.08, mass: 8, aim: 'leftShin' },
+    { name: 'leftShin', bones: ['leftleg'], parent: 'leftThigh', radius: 0.06, mass: 4, aim: 'leftFoot' },
+    { name: 'leftFoot', bones: ['leftfoot'], parent: 'leftShin', radius: 0.05, mass: 1 },
+    { name: 'rightThigh', bones: ['rightupleg'], parent: 'pelvis', radius: 0.08, mass: 8, aim: 'rightShin' },
+    { name: 'rightShin', bones: ['rightleg'], parent: 'rightThigh', radius: 0.06, mass: 4, aim: 'rightFoot' },
+    { name: 'rightFoot', bones: ['rightfoot'], parent: 'rightShin', radius: 0.05, mass: 1 }
+];
+
+/**
+ * Extra joints between parts that aren't parent and child. They brace the
+ * torso so it doesn't fold up like a chain.
+ */
+export const DefaultRagdollBraces = [
+    ['leftUpperArm', 'rightUpperArm'],
+    ['leftThigh', 'rightThigh'],
+    ['leftUpperArm', 'pelvis'],
+    ['rightUpperArm', 'pelvis'],
+    ['leftThigh', 'chest'],
+    ['rightThigh', 'chest'],
+    ['head', 'leftUpperArm'],
+    ['head', 'rightUpperArm']
+];
+
+/**
+ * Physics driven skeleton for corpses.
+ *
+ * The parts are simulated as spheres held together by distance constraints.
+ * Each frame the skeleton's bones are turned to follow them, starting from
+ * the pose the model was in when the ragdoll started. After settleDelay
+ * seconds the parts are slowed to a stop over blendTime seconds, and once
+ * they rest the pose is frozen and the bodies leave the world.
+ */
+export class Ragdoll {
+    /**
+     * Create a ragdoll for a skeleton
+     * @param {PhysicsWorld} world - World to simulate in
+     * @param {Object} bones - Bone lookup from Zombie.findBones()
+     * @param {Object} options - Ragdoll options
+     */
+    constructor(world, bones, options = {}) {
+        this.world = world;
+        this.owner = options.owner || null;
+        
+        this.parts = [];
+        this.constraints = [];
+        this.buildParts(bones, options.parts || DefaultRagdollParts);
+        this.braces = options.braces || DefaultRagdollBraces;
+        
+        // Knockback from the killing hit
+        this.hitSpeedPerDamage = options.hitSpeedPerDamage || 0.1;
+        this.maxHitSpeed = options.maxHitSpeed || 8.0;
+        this.hitSpread = 0.3; // Fraction of the hit speed given to parts that weren't hit
+        
+        // Blending to rest
+        this.settleDelay = options.settleDelay !== undefined ? options.settleDelay : 3.0;
+        this.blendTime = options.blendTime !== undefined ? options.blendTime : 1.0;
+        this.settleDamping = 8.0; // Velocity damping rate at the end of the blend
+        
+        this.time = 0;
+        this.isActive = false;
+        this.isSettled = false;
+        
+        // Scratch for posing
+        this._forward = new Vector3();
+        this._right = new Vector3();
+        this._back = new Vector3();
+        this._position = new Vector3();
+        this._matrix = new Matrix4();
+        this._rotation = new Quaternion();
+        this._parentRotation = new Quaternion();
+    }
+    
+    /**
+     * Resolve part definitions against the skeleton's bones
+     * @param {Object} bones - Bone lookup by name
+     * @param {Array} definitions - Part definitions
+     */
+    buildParts(bones, definitions) {
+        const lookup = getBoneLookup(bones);
+        const byName = new Map();
+        
+        for (const definition of definitions) {
+            const bone = definition.bones
+                .map(name => lookup.get(name))
+                .find(node => node && (node.isBone || node.type === 'Bone'));
+            
+            // Parts need a bone and, apart from the root, a parent to hang from
+            if (!bone) continue;
+            if (definition.parent && !byName.has(definition.parent)) continue;
+            
+            const part = {
+                name: definition.name,
+                definition,
+                bone,
+                parent: definition.parent ? byName.get(definition.parent) : null,
+                aim: null,
+                side: null,
+                body: null,
+                restForward: new Vector3(),
+                restFrame: new Quaternion(),
+                restRotation: new Quaternion()
+            };
+            
+            this.parts.push(part);
+            byName.set(part.name, part);
+        }
+        
+        // Aim targets can be defined after the part, so link them once all exist
+        for (const part of this.parts) {
+            const { aim, side } = part.definition;
+            part.aim = byName.get(aim) || null;
+            
+            if (side && byName.has(side[0]) && byName.has(side[1])) {
+                part.side = [byName.get(side[0]), byName.get(side[1])];
+            }
+        }
+        
+        this.partsByName = byName;
+    }
+    
+    /**
+     * Check if the skeleton had enough bones to build a ragdoll
+     * @returns {boolean} - True if a root part and at least one joint were found
+     */
+    isValid() {
+        return this.parts.length > 1 && this.parts[0].parent === null;
+    }
+    
+    /**
+     * Create the bodies at the skeleton's current pose and start simulating
+     * @param {Vector3} velocity - Velocity of the character when it died
+     * @param {HitResult} hit - Killing hit, if any
+     */
+    start(velocity, hit = null) {
+        if (this.isActive || this.isSettled) return;
+        
+        // Bone world positions must match the pose on screen
+        this.parts[0].bone.updateWorldMatrix(true, true);
+        
+        for (const part of this.parts) {
+            const { radius, mass } = part.definition;
+            
+            part.body = new PhysicsBody({
+                position: part.bone.getWorldPosition(this._position),
+                velocity,
+                radius,
+                mass,
+                restitution: 0,
+                layer: 'enemy',
+                mask: 'world', // Parts pass through each other and other characters
+                owner: this.owner
+            });
+            this.world.addBody(part.body);
+            
+            part.bone.getWorldQuaternion(part.restRotation);
+        }
+        
+        for (const part of this.parts) {
+            if (part.parent) {
+                this.addJoint(part.parent, part);
+            }
+            
+            if (part.aim) {
+                this.getFrame(part, part.restForward, part.restFrame);
+            }
+        }
+        
+        for (const [nameA, nameB] of this.braces) {
+            const partA = this.partsByName.get(nameA);
+            const partB = this.partsByName.get(nameB);
+            if (partA && partB) {
+                this.addJoint(partA, partB);
+            }
+        }
+        
+        if (hit) {
+            this.applyHit(hit);
+        }
+        
+        this.isActive = true;
+    }
+    
+    addJoint(partA, partB) {
+        this.constraints.push(this.world.addConstraint(new DistanceConstraint(partA.body, partB.body)));
+    }
+    
+    /**
+     * Push the part nearest the hit along the shot, and the rest of the body a little
+     * @param {HitResult} hit - Killing hit
+     */
+    applyHit(hit) {
+        const speed = Math.min(this.maxHitSpeed, (hit.damage || 0) * this.hitSpeedPerDamage);
+        if (speed <= 0 || !hit.direction) return;
+        
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        if (hit.point) {
+            for (const part of this.parts) {
+                const distance = part.body.position.distanceToSquared(hit.point);
+                if (distance < nearestDistance) {
+                    nearest = part;
+                    nearestDistance = distance;
+                }
+            }
+        }
+        
+        for (const part of this.parts) {
+            part.body.velocity.addScaledVector(hit.direction, part === nearest ? speed : speed * this.hitSpread);
+        }
+    }
+    
+    /**
+     * Get the direction a part points in, and its orientation when it has a side pair
+     * @param {Object} part - Part with an aim target
+     * @param {Vector3} forward - Output direction from the part to its aim target
+     * @param {Quaternion} frame - Output orientation (only written for parts with a side pair)
+     */
+    getFrame(part, forward, frame) {
+        forward.subVectors(part.aim.body.position, part.body.position).normalize();
+        
+        if (!part.side) return;
+        
+        // Left to right axis, made perpendicular to the forward direction
+        const right = this._right.subVectors(part.side[1].body.position, part.side[0].body.position);
+        right.addScaledVector(forward, -right.dot(forward)).normalize();
+        const back = this._back.crossVectors(right, forward);
+        
+        frame.setFromRotationMatrix(this._matrix.makeBasis(right, forward, back));
+    }
+    
+    /**
+     * Follow the simulation and slow the parts down once settleDelay has passed
+     * @param {number} deltaTime - Time since last frame
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+        
+        this.time += deltaTime;
+        this.applyPose();
+        
+        const blend = (this.time - this.settleDelay) / this.blendTime;
+        if (blend >= 1 || this.isAsleep()) {
+            this.settle();
+            return;
+        }
+        if (blend <= 0) return;
+        
+        const damping = Math.exp(-this.settleDamping * blend * deltaTime);
+        for (const part of this.parts) {
+            part.body.velocity.multiplyScalar(damping);
+        }
+    }
+    
+    /**
+     * Check if the physics world has put every part to sleep
+     * @returns {boolean} - True when all parts are asleep
+     */
+    isAsleep() {
+        return this.parts.every(part => part.body.isSleeping);
+    }
+    
+    /**
+     * Turn the bones to match the parts, parents first
+     */
+    applyPose() {
+        const rotation = this._rotation;
+        
+        for (const part of this.parts) {
+            const bone = part.bone;
+            
+            // The root bone also follows its part's position
+            if (!part.parent && bone.parent) {
+                bone.parent.updateWorldMatrix(true, false);
+                bone.position.copy(bone.parent.worldToLocal(this._position.copy(part.body.position)));
+            }
+            
+            if (!part.aim) continue;
+            
+            // Rotation from the starting pose to the current one
+            if (part.side) {
+                this.getFrame(part, this._forward, rotation);
+                rotation.multiply(this._parentRotation.copy(part.restFrame).invert());
+            } else {
+                this.getFrame(part, this._forward, null);
+                rotation.setFromUnitVectors(part.restForward, this._forward);
+            }
+            rotation.multiply(part.restRotation);
+            
+            // World rotation to local, under the parent's already updated pose
+            if (bone.parent) {
+                bone.parent.getWorldQuaternion(this._parentRotation);
+                rotation.premultiply(this._parentRotation.invert());
+            }
+            bone.quaternion.copy(rotation);
+        }
+        
+        this.parts[0].bone.updateWorldMatrix(true, true);
+    }
+    
+    /**
+     * Freeze the current pose and take the parts out of the world
+     */
+    settle() {
+        this.applyPose();
+        this.removeBodies();
+        this.isActive = false;
+        this.isSettled = true;
+    }
+    
+    removeBodies() {
+        for (const constraint of this.constraints) {
+            this.world.removeConstraint(constraint);
+        }
+        this.constraints = [];
+        
+        for (const part of this.parts) {
+            if (part.body) {
+                this.world.removeBody(part.body);
+                part.body = null;
+            }
+        }
+    }
+    
+    /**
+     * Remove the ragdoll from the world
+     */
+    destroy() {
+        this.removeBodies();
+        this.isActive = false;
+    }
+}
\ No newline at end of file
@@ -5,14 +5,24 @@ import {
     SkeletonHelper, AnimationClip
 } from 'three';
 import { clone as skeletonClone } from 'three/addons/utils/SkeletonUtils.js';
-import { PhysicsBody } from '../physics/PhysicsBody.js'; // Correctly import PhysicsBody
+import { CharacterController } from '../physics/CharacterController.js';
+import { CollisionLayers } from '../physics/CollisionLayers.js';
+import { HitboxSet, DefaultDamageMultipliers } from './HitboxSet.js';
+import { Ragdoll } from './Ragdoll.js';
+import { Perception } from './Perception.js';
+import { getZombieArchetype } from './ZombieArchetypes.js';
+import { AnimationEvents } from './AnimationEvents.js';
 
 // Import Three.js constants for animation
 const LoopOnce = 2200; // THREE.LoopOnce
 const LoopRepeat = 2201; // THREE.LoopRepeat
 
 export class Zombie {
-    constructor(engine, position = new Vector3(0, 0, 0)) {
+    constructor(engine, position = new Vector3(0, 0, 0), archetype = 'walker') {
+        // Archetype data (stats, animation set, behaviours)
+        this.archetype = getZombieArchetype(archetype);
+        const stats = this.archetype;
+        
         // Core properties
         this.engine = engine;
         this.type = 'zombie';
@@ -22,15 +32,19 @@ export class Zombie {
         this.quaternion = new Quaternion();
         this.enabled = true;
         this.isAlive = true;
+        this.isInitialized = false;
         
-        // FIXED: Proper physics body implementation
-        this.physicsBody = new PhysicsBody({
+        // Capsule character controller - position is at the feet
+        this.controller = new CharacterController({
             position: this.position.clone(),
             mass: 70,
-            radius: 0.5,
-            restitution: 0.2,
-            friction: 0.5
+            radius: stats.radius,
+            height: stats.height,
+            friction: 0.5,
+            layer: 'enemy',
+            owner: this
         });
+        this.physicsBody = this.controller.body;
         
         // State management for chasing
         this.state = 'idle';
@@ -39,36 +53,85 @@ export class Zombie {
         this.timeSinceSpawn = 0;
         
         // Movement properties
-        this.speed = { walk: 2.0, run: 4.0 };
+        this.speed = { ...stats.speed };
         this.currentSpeed = 0;
         this.moveDirection = new Vector3();
-        this.turnSpeed = 4.0;
+        this.turnSpeed = stats.turnSpeed;
+        
+        // Navigation (paths come from engine.navGrid)
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null; // Target position the current path was built for
+        this.repathInterval = 0.5; // Minimum seconds between path queries
+        this.repathTimer = Math.random() * this.repathInterval; // Stagger queries between zombies
+        this.repathDistance = 1.0; // Repath when the target moves this far
+        this.waypointRadius = 0.6; // Distance at which a waypoint counts as reached
         
         // Player tracking
         this.canSeePlayer = false;
-        this.detectionRange = 15; // How far away zombie can detect player
+        this.detectionRange = stats.detectionRange; // How far away zombie can detect player
         this.updatePerceptionTime = 0;
         this.perceptionUpdateRate = 0.2;
         this.lastKnownPlayerPosition = null;
+        this.perception = new Perception(this, {
+            sightRange: this.detectionRange,
+            fieldOfView: stats.fieldOfView,
+            eyeHeight: stats.eyeHeight,
+            memoryDuration: 8
+        });
         
         // Combat properties
-        this.health = 100;
-        this.maxHealth = 100;
-        this.attackRange = 1.8;
-        this.attackCooldown = 1.2;
+        this.health = stats.health;
+        this.maxHealth = stats.health;
+        this.attackDamage = stats.attackDamage;
+        this.attackRange = stats.attackRange;
+        this.attackCooldown = stats.attackCooldown;
         this.lastAttackTime = 0;
+        this.isAttacking = false; // Attack animation in progress
+        
+        // Grab-and-bite - restrains the player while the neck bite plays
+        this.lastGrabTime = -Infinity;
+        this.grabDistance = 1.0; // Hold distance from the player's center
+        this.grabHealthThreshold = 0.3; // Player health fraction that invites a grab from the front
+        this.grabLookTarget = new Vector3(); // Where the restrained player's camera looks
+        this.staggerDuration = 1.0; // Knocked back after the player breaks free
+        
+        // Behaviours
+        this.behaviours = new Set(stats.behaviours);
+        this.lastScreamTime = -Infinity;
+        
+        // Leg damage - destroying either leg drops the zombie into a crawl
+        this.isCrawling = !!stats.crawling;
+        this.legHealth = stats.legHealth || 0;
+        this.legDamage = { leftLeg: 0, rightLeg: 0 };
+        this.crawlSpeedFactor = 0.4; // Fraction of current speed kept when crawling
+        this.lastHit = null; // Most recent weapon hit
+        
+        // Ragdoll deaths - the archetype can opt out, otherwise the engine config decides
+        this.useRagdoll = stats.ragdoll !== undefined ? stats.ragdoll : engine.config.ragdolls !== false;
+        this.ragdoll = null;
         
         // Animation properties
         this.object = null;
         this.mixer = null;
+        
+        // Animation events (attack hit frames etc.) - mixer is attached once loaded
+        this.animationEvents = new AnimationEvents(null, this.archetype.animationEvents);
+        this.animationEvents.on('hit', (animation) => this.onAnimationHit(animation));
+        this.animationEvents.on('end', (animation) => this.onAnimationEnd(animation));
         this.animations = {};
         this.currentAnimation = null;
+        this.currentAnimationName = null; // Logical name ('idle', 'chase', ...)
         this.animationSpeed = 1.0;
         this.skeletonHelper = null;
         
         // Bone references
         this.bones = {};
         
+        // Bone-attached hitboxes (built once bones are known)
+        this.hitboxes = null;
+        this.damageMultipliers = { ...DefaultDamageMultipliers };
+        
         // Debug properties
         this.debugMode = false;
         
@@ -79,6 +142,10 @@ export class Zombie {
         // Store engine reference if passed
         if (engine) this.engine = engine;
         
+        // EntityManager.addEntity() calls init again - don't load twice
+        if (this.isInitialized) return this;
+        this.isInitialized = true;
+        
         console.log("Zombie: Initializing...");
         
         // Add physics body to world
@@ -115,6 +182,7 @@ export class Zombie {
             
             // Setup animation mixer
             this.mixer = new AnimationMixer(this.object);
+            this.animationEvents.mixer = this.mixer;
             
             // Map animations from asset manager
             this.mapAnimations();
@@ -122,6 +190,9 @@ export class Zombie {
             // Find and cache bone references
             this.findBones();
             
+            // Attach hitboxes to the skeleton
+            this.createHitboxes();
+            
             // Create skeleton helper if in debug mode
             if (this.debugMode) {
                 this.skeletonHelper = new SkeletonHelper(this.object);
@@ -138,18 +209,11 @@ export class Zombie {
     }
     
     mapAnimations() {
-        // Animation mapping
-        const animationMap = {
-            'idle': 'idle',
-            'walk': 'walk',
-            'run': 'run',
-            'attack': 'attack',
-            'death': 'death',
-            'scream': 'scream'
-        };
+        // Logical animation name -> clip ID from the archetype's animation set
+        const animationMap = this.archetype.animations;
         
         // Get animations from asset manager
-        for (const [animId, animName] of Object.entries(animationMap)) {
+        for (const [animName, animId] of Object.entries(animationMap)) {
             const anim = this.engine.assetManager.getAnimation(animId);
             if (anim) {
                 this.animations[animName] = anim;
@@ -222,14 +286,36 @@ export class Zombie {
         rightLeg.position.set(0.2, -0.25, 0);
         this.object.add(rightLeg);
         
+        // Register parts as bones so hitboxes work without a skeleton
+        this.bones = {
+            Head: head,
+            Spine: body,
+            LeftArm: leftArm,
+            RightArm: rightArm,
+            LeftUpLeg: leftLeg,
+            RightUpLeg: rightLeg
+        };
+        this.createHitboxes();
+        
         // Add to scene and create dummy mixer
         this.engine.renderer.scene.add(this.object);
         this.mixer = new AnimationMixer(this.object);
+        this.animationEvents.mixer = this.mixer;
+    }
+    
+    createHitboxes() {
+        this.hitboxes = new HitboxSet(this.bones, {
+            damageMultipliers: this.damageMultipliers
+        });
     }
     
     playAnimation(name, loop = true, speedFactor = 1.0) {
-        // Skip if no mixer
-        if (!this.mixer) return;
+        // No mixer - still time the animation's events
+        if (!this.mixer) {
+            this.animationEvents.play(name, null, loop);
+            this.currentAnimationName = name;
+            return;
+        }
         
         // Process animation name
         let actualName = name;
@@ -255,7 +341,11 @@ export class Zombie {
             actualName = 'walk';
             clip = this.animations['walk'];
             
-            if (!clip) return;
+            if (!clip) {
+                this.animationEvents.play(name, null, loop);
+                this.currentAnimationName = name;
+                return;
+            }
         }
         
         // Stop current animation
@@ -273,19 +363,27 @@ export class Zombie {
         action.play();
         
         this.currentAnimation = action;
+        this.currentAnimationName = name;
+        this.animationEvents.play(name, action, loop);
     }
     
     update(deltaTime) {
-        if (!this.enabled || !this.isAlive) return;
+        if (!this.enabled) return;
+        
+        // Corpses only move while their ragdoll settles
+        if (!this.isAlive) {
+            if (this.ragdoll) {
+                this.ragdoll.update(deltaTime);
+            }
+            return;
+        }
         
         // Update timers
         this.timeSinceSpawn += deltaTime;
         this.timeInCurrentState += deltaTime;
         
-        // Update animations
-        if (this.mixer) {
-            this.mixer.update(deltaTime * this.animationSpeed);
-        }
+        // Update animations and fire their events
+        this.animationEvents.update(deltaTime * this.animationSpeed);
         
         // Update perception (can see player, etc)
         this.updatePerception(deltaTime);
@@ -325,6 +423,18 @@ export class Zombie {
                 this.processAttackState(deltaTime);
                 break;
                 
+            case 'scream':
+                this.processScreamState(deltaTime);
+                break;
+                
+            case 'grab':
+                this.processGrabState(deltaTime);
+                break;
+            
+            case 'stagger':
+                this.processStaggerState(deltaTime);
+                break;
+            
             case 'death':
                 // No movement in death state
                 break;
@@ -339,8 +449,8 @@ export class Zombie {
         }
         
         // Play idle animation
-        if (!this.currentAnimation || this.currentAnimation._clip.name !== 'idle') {
-            this.playAnimation('idle');
+        if (this.currentAnimationName !== 'idle') {
+            this.playAnimation('idle', true, this.archetype.idleAnimationSpeed || 1.0);
         }
     }
     
@@ -349,13 +459,10 @@ export class Zombie {
         const player = this.engine.player;
         if (!player) return;
         
-        // Store last known position when visible
-        if (this.canSeePlayer) {
-            this.lastKnownPlayerPosition = player.position.clone();
-        }
+        // Chase the player while visible, otherwise head to where we last sensed them
+        const chaseTarget = this.canSeePlayer ? player.position : this.lastKnownPlayerPosition;
         
-        // Move toward player
-        if (this.lastKnownPlayerPosition) {
+        if (chaseTarget) {
             // Check if close enough to attack
             const distanceToPlayer = this.position.distanceTo(player.position);
             
@@ -364,10 +471,30 @@ export class Zombie {
                 return;
             }
             
-            // Calculate move direction
-            const moveDirection = new Vector3()
-                .subVectors(player.position, this.position)
-                .normalize();
+            // Reached the last known position without finding the player
+            if (!this.canSeePlayer) {
+                const dx = chaseTarget.x - this.position.x;
+                const dz = chaseTarget.z - this.position.z;
+                
+                if (dx * dx + dz * dz < this.waypointRadius * this.waypointRadius) {
+                    this.changeState('idle');
+                    return;
+                }
+            }
+            
+            // Follow the nav path around obstacles, or head straight for the target
+            this.updatePath(chaseTarget, deltaTime);
+            const steerTarget = this.getSteeringTarget(chaseTarget);
+            
+            // Calculate move direction, spreading out from other zombies
+            const crowd = this.engine.enemyManager?.crowd;
+            const moveDirection = crowd ?
+                crowd.getSteering(this, steerTarget, chaseTarget, this.engine.navGrid, this.moveDirection) :
+                this.moveDirection.subVectors(steerTarget, this.position).normalize();
+            
+            if (moveDirection.lengthSq() === 0) {
+                moveDirection.subVectors(chaseTarget, this.position).setY(0).normalize();
+            }
                 
             // Calculate target rotation (only Y axis)
             const targetRotation = Math.atan2(moveDirection.x, moveDirection.z);
@@ -397,27 +524,74 @@ export class Zombie {
             );
             
             // Set velocity to move forward
-            const chaseSpeed = 3.0; // Adjust speed as needed
+            const chaseSpeed = this.speed.chase;
             
             if (this.physicsBody) {
                 this.physicsBody.velocity.x = forward.x * chaseSpeed;
                 this.physicsBody.velocity.z = forward.z * chaseSpeed;
             }
             
-            // Play walk/run animation
-            if (!this.currentAnimation || 
-                (this.currentAnimation._clip.name !== 'walk' && 
-                 this.currentAnimation._clip.name !== 'run')) {
-                this.playAnimation('walk', true, 1.2);
+            // Play chase animation
+            if (this.currentAnimationName !== 'chase') {
+                this.playAnimation('chase', true, this.archetype.chaseAnimationSpeed);
             }
         }
         
-        // If lost track of player for too long, go back to idle
-        if (!this.canSeePlayer && this.timeInCurrentState > 8.0) {
+        // Lost track of the player entirely, go back to idle
+        if (!this.canSeePlayer && !this.lastKnownPlayerPosition) {
             this.changeState('idle');
         }
     }
     
+    // Request a new path when the target has moved or no path exists
+    updatePath(target, deltaTime) {
+        const navGrid = this.engine.navGrid;
+        if (!navGrid) {
+            this.path = null;
+            return;
+        }
+        
+        this.repathTimer -= deltaTime;
+        if (this.repathTimer > 0) return;
+        
+        const targetMoved = !this.pathGoal ||
+            this.pathGoal.distanceTo(target) > this.repathDistance;
+        
+        if (targetMoved || !this.path) {
+            this.path = navGrid.findPath(this.position, target);
+            this.pathIndex = 0;
+            this.pathGoal = target.clone();
+        }
+        
+        this.repathTimer = this.repathInterval;
+    }
+    
+    // Current waypoint to walk toward
+    getSteeringTarget(target) {
+        if (!this.path || this.path.length === 0) return target;
+        
+        // Advance past waypoints we've reached (XZ distance)
+        while (this.pathIndex < this.path.length) {
+            const waypoint = this.path[this.pathIndex];
+            const dx = waypoint.x - this.position.x;
+            const dz = waypoint.z - this.position.z;
+            
+            if (dx * dx + dz * dz > this.waypointRadius * this.waypointRadius) break;
+            this.pathIndex++;
+        }
+        
+        // Path finished - go straight for the target
+        if (this.pathIndex >= this.path.length) return target;
+        
+        return this.path[this.pathIndex];
+    }
+    
+    clearPath() {
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null;
+    }
+    
     processAttackState(deltaTime) {
         const player = this.engine.player;
         if (!player) return;
@@ -434,28 +608,144 @@ export class Zombie {
         // Face the player
         this.lookAt(player.position);
         
-        // Execute attack with cooldown
+        // Wait for the swing to finish
+        if (this.isAttacking) return;
+        
+        // Execute attack with cooldown - damage and exit come from animation events
         if (this.timeSinceSpawn - this.lastAttackTime > this.attackCooldown) {
-            // Play attack animation
+            // Grab instead of swinging when the chance is there
+            if (this.canGrab(player) && this.startGrab(player)) return;
+            
+            this.isAttacking = true;
+            this.lastAttackTime = this.timeSinceSpawn;
             this.playAnimation('attack', false);
+        }
+        else if (this.currentAnimationName !== 'idle') {
+            this.playAnimation('idle', true, this.archetype.idleAnimationSpeed || 1.0);
+        }
+    }
             
-            // Deal damage at appropriate time in animation (after 0.5s)
-            setTimeout(() => {
-                if (this.state === 'attack' && player.takeDamage && 
-                    this.position.distanceTo(player.position) <= this.attackRange) {
-                    player.takeDamage(20, this);
-                }
-            }, 500);
+    canGrab(player) {
+        if (!this.behaviours.has('grab') || this.isCrawling) return false;
+        if (this.timeSinceSpawn - this.lastGrabTime < this.archetype.grabCooldown) return false;
+        if (typeof player.restrain !== 'function' || player.isRestrained) return false;
+        
+        // From behind, or when the player is nearly dead
+        const lowHealth = player.health / player.maxHealth <= this.grabHealthThreshold;
+        return lowHealth || this.isBehind(player);
+    }
+    
+    // Are we outside the player's forward view cone?
+    isBehind(player) {
+        if (!player.viewRotation) return false;
+        
+        const dx = this.position.x - player.position.x;
+        const dz = this.position.z - player.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 1e-3) return true;
+        
+        // Player view looks down -Z
+        const forwardX = -Math.sin(player.viewRotation.y);
+        const forwardZ = -Math.cos(player.viewRotation.y);
+        
+        return (dx * forwardX + dz * forwardZ) / distance < -0.5;
+    }
+    
+    startGrab(player) {
+        const restrained = player.restrain(this, {
+            escapePresses: 10,
+            lookTarget: this.grabLookTarget,
+            onRelease: (escaped) => this.onGrabReleased(escaped)
+        });
+        if (!restrained) return false;
+        
+        this.lastGrabTime = this.timeSinceSpawn;
+        this.updateGrabLookTarget();
+        this.changeState('grab');
+        return true;
+    }
+    
+    processGrabState(deltaTime) {
+        const player = this.engine.player;
+        if (!this.isGrabbingPlayer()) {
+            this.changeState('chase');
+            return;
+        }
+        
+        // Stay locked onto the player
+        const offset = new Vector3().subVectors(this.position, player.position).setY(0);
+        if (offset.lengthSq() < 1e-6) offset.set(0, 0, 1);
+        offset.normalize().multiplyScalar(this.grabDistance);
+        
+        if (this.physicsBody) {
+            this.physicsBody.position.x = player.position.x + offset.x;
+            this.physicsBody.position.z = player.position.z + offset.z;
+            this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
+        }
+        
+        this.lookAt(player.position);
+        this.updateGrabLookTarget();
+    }
+    
+    updateGrabLookTarget() {
+        if (this.bones && this.bones.head) {
+            this.bones.head.getWorldPosition(this.grabLookTarget);
+        } else {
+            this.grabLookTarget.copy(this.position);
+            this.grabLookTarget.y += this.perception.eyeHeight;
+        }
+    }
+    
+    isGrabbingPlayer() {
+        const player = this.engine.player;
+        return !!(player && player.restraint && player.restraint.source === this);
+    }
+    
+    // The player broke free or the bite finished
+    onGrabReleased(escaped) {
+        if (this.state !== 'grab') return;
+        
+        this.changeState(escaped ? 'stagger' : 'chase');
+    }
+    
+    processStaggerState(deltaTime) {
+        if (this.timeInCurrentState >= this.staggerDuration) {
+            this.changeState('chase');
+        }
+    }
+    
+    // Attack animation reached its hit frame
+    onAnimationHit(animation) {
+        const player = this.engine.player;
+        
+        // Neck bite while holding the player
+        if (animation === 'grab' && this.state === 'grab') {
+            if (this.isGrabbingPlayer()) {
+                player.takeDamage(this.archetype.grabDamage, this);
+            }
+            return;
+        }
+        
+        if (animation !== 'attack' || this.state !== 'attack') return;
             
-            this.lastAttackTime = this.timeSinceSpawn;
+        if (player && player.takeDamage &&
+            this.position.distanceTo(player.position) <= this.attackRange) {
+            player.takeDamage(this.attackDamage, this);
+        }
+    }
             
-            // Return to chase after attack completes
-            setTimeout(() => {
-                if (this.state === 'attack') {
-                    this.changeState('chase');
-                }
-            }, 1200);
+    // Attack animation finished - return to chase
+    onAnimationEnd(animation) {
+        // Bite finished - let go
+        if (animation === 'grab' && this.state === 'grab') {
+            this.engine.player.release(false);
+            return;
         }
+        
+        if (animation !== 'attack' || this.state !== 'attack') return;
+        
+        this.isAttacking = false;
+        this.changeState('chase');
     }
     
     // Check if zombie can see player
@@ -463,35 +753,99 @@ export class Zombie {
         // Only update perception periodically
         this.updatePerceptionTime -= deltaTime;
         if (this.updatePerceptionTime <= 0) {
+            const elapsed = this.perceptionUpdateRate - this.updatePerceptionTime;
             this.updatePerceptionTime = this.perceptionUpdateRate;
             
-            // Reset perception
             const previouslyCouldSeePlayer = this.canSeePlayer;
-            this.canSeePlayer = false;
             
-            // Get player
+            // Sight (view cone + occlusion) and memory decay
             const player = this.engine.player;
-            if (!player) return;
+            const target = player && !player.isDead ? player : null;
+            this.perception.update(elapsed, target, this.engine.physics);
             
-            // Check distance to player
-            const distanceToPlayer = this.position.distanceTo(player.position);
+            this.canSeePlayer = this.perception.canSeeTarget;
+            this.lastKnownPlayerPosition = this.perception.lastKnownPosition;
             
-            // If within detection range, can see player
-            if (distanceToPlayer <= this.detectionRange) {
-                // Simple line of sight check (no obstacles for simplicity)
-                this.canSeePlayer = true;
-                
-                // If just spotted player, react
-                if (!previouslyCouldSeePlayer && this.state === 'idle') {
-                    this.onPlayerSpotted();
-                }
+            // If just spotted player, react
+            if (this.canSeePlayer && !previouslyCouldSeePlayer) {
+                this.onPlayerSpotted();
             }
         }
     }
     
     onPlayerSpotted() {
+        // Screamers alert the horde before giving chase, including ones
+        // already heading for a noise or a spawn alert
+        if ((this.state === 'idle' || this.state === 'chase') && this.canScream()) {
+            this.changeState('scream');
+            return;
+        }
+        
         // React to seeing player - change state to chase
-        this.changeState('chase');
+        if (this.state === 'idle') {
+            this.changeState('chase');
+        }
+    }
+    
+    canScream() {
+        return this.behaviours.has('scream') &&
+            this.timeSinceSpawn - this.lastScreamTime >= this.archetype.screamCooldown;
+    }
+    
+    processScreamState(deltaTime) {
+        const player = this.engine.player;
+        if (player) {
+            this.lookAt(player.position);
+        }
+        
+        if (this.timeInCurrentState >= this.archetype.screamDuration) {
+            this.changeState('chase');
+        }
+    }
+    
+    // Alert zombies around us to the player's position
+    scream() {
+        this.lastScreamTime = this.timeSinceSpawn;
+        
+        const target = this.lastKnownPlayerPosition || this.engine.player?.position;
+        if (!target) return;
+        
+        const nearby = this.engine.entityManager.getEntitiesInRadius(
+            this.position, this.archetype.screamRadius
+        );
+        
+        for (const entity of nearby) {
+            if (entity !== this && entity.type === 'zombie' && typeof entity.alertTo === 'function') {
+                entity.alertTo(target);
+            }
+        }
+    }
+    
+    // Called by EnemyManager.reportNoise() for gunshots, footsteps, etc.
+    onNoiseHeard(position, radius) {
+        if (!this.isAlive) return;
+        
+        const intensity = this.perception.hear(position, radius, this.engine.physics);
+        if (intensity === 0) return;
+        
+        this.lastKnownPlayerPosition = this.perception.lastKnownPosition;
+        
+        // Go and investigate
+        if (this.state === 'idle') {
+            this.changeState('chase');
+        }
+    }
+    
+    // Make the zombie aware of a position without sensing it (spawns, alerts)
+    alertTo(position) {
+        if (!this.isAlive) return;
+        
+        this.perception.remember(position, 'hearing', 1.0);
+        this.lastKnownPlayerPosition = this.perception.lastKnownPosition;
+        
+        if (this.state === 'idle') {
+            this.changeState('chase');
+        }
     }
     
     // Look at a target position
@@ -521,46 +875,206 @@ export class Zombie {
         
         console.log(`Zombie ${this.id} state: ${oldState} -> ${newState}`);
         
+        // Let go of the player if interrupted mid-grab (death, stagger...)
+        if (oldState === 'grab' && this.isGrabbingPlayer()) {
+            this.engine.player.release(false);
+        }
+        
         // State-specific setup
         switch (newState) {
             case 'idle':
-                this.playAnimation('idle', true);
+                this.clearPath();
+                this.playAnimation('idle', true, this.archetype.idleAnimationSpeed || 1.0);
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
                 }
                 break;
                 
             case 'chase':
-                this.playAnimation('walk', true, 1.2);
+                this.playAnimation('chase', true, this.archetype.chaseAnimationSpeed);
+                break;
+                
+            case 'scream':
+                this.playAnimation('scream', false);
+                if (this.physicsBody) {
+                    this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
+                }
+                this.scream();
                 break;
                 
             case 'attack':
-                this.playAnimation('attack', false);
+                this.isAttacking = false;
+                if (this.physicsBody) {
+                    this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
+                }
+                break;
+            
+            case 'grab':
+                this.playAnimation('grab', false);
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, this.physicsBody.velocity.y, 0);
                 }
                 break;
+            
+            case 'stagger':
+                // Shoved off the player
+                this.playAnimation('idle', true, this.archetype.idleAnimationSpeed || 1.0);
+                if (this.physicsBody && this.engine.player) {
+                    const away = new Vector3()
+                        .subVectors(this.position, this.engine.player.position)
+                        .setY(0)
+                        .normalize();
+                    this.physicsBody.velocity.x = away.x * 4;
+                    this.physicsBody.velocity.z = away.z * 4;
+                }
+                break;
                 
             case 'death':
-                this.playAnimation('death', false);
                 this.isAlive = false;
+                if (this.useRagdoll && this.startRagdoll()) break;
+                
+                // No skeleton to ragdoll - play the clip instead
+                this.playAnimation('death', false);
                 if (this.physicsBody) {
                     this.physicsBody.velocity.set(0, 0, 0);
+                    
+                    // Corpses rest on the map but don't block anyone
+                    this.physicsBody.mask = CollisionLayers.world;
                 }
                 break;
         }
     }
     
+    // Swap the capsule for a ragdoll of the skeleton, knocked along by the killing hit
+    startRagdoll() {
+        if (!this.object || !this.engine.physics) return false;
+        
+        const ragdoll = new Ragdoll(this.engine.physics, this.bones, { owner: this });
+        if (!ragdoll.isValid()) return false;
+        
+        // The mixer isn't updated once dead, so the bones keep the current frame
+        ragdoll.start(this.physicsBody ? this.physicsBody.velocity : undefined, this.lastHit);
+        if (this.physicsBody) {
+            this.engine.physics.removeBody(this.physicsBody);
+        }
+        
+        this.ragdoll = ragdoll;
+        return true;
+    }
+    
     // Handle taking damage
-    takeDamage(amount) {
+    takeDamage(amount, hit = null) {
+        if (!this.isAlive) return;
+        
         this.health -= amount;
+        this.lastHit = hit;
         
         // Play hit reaction
         if (this.health <= 0 && this.isAlive) {
             this.changeState('death');
+            return;
+        }
+        
+        // Track damage to each leg
+        if (hit && this.legDamage[hit.limb] !== undefined) {
+            this.legDamage[hit.limb] += amount;
+            
+            if (!this.isCrawling && this.legHealth > 0 && this.legDamage[hit.limb] >= this.legHealth) {
+                this.startCrawling();
+            }
         }
     }
     
+    // Legs destroyed - continue on the ground using the crawler's form
+    startCrawling() {
+        if (this.isCrawling) return;
+        
+        this.isCrawling = true;
+        const crawler = getZombieArchetype('crawler');
+        
+        // Swap to the crawl animation set, keeping behaviour-only clips like scream
+        this.archetype = {
+            ...this.archetype,
+            animations: { ...this.archetype.animations, ...crawler.animations },
+            animationEvents: { ...this.archetype.animationEvents, ...crawler.animationEvents },
+            idleAnimationSpeed: crawler.idleAnimationSpeed,
+            chaseAnimationSpeed: crawler.chaseAnimationSpeed,
+            behaviours: []
+        };
+        this.behaviours.clear();
+        this.animations = {};
+        this.mapAnimations();
+        this.animationEvents.definitions = this.archetype.animationEvents;
+        
+        // Slower, and round scaling already applied to speed is kept
+        for (const key of Object.keys(this.speed)) {
+            this.speed[key] *= this.crawlSpeedFactor;
+        }
+        this.attackRange = crawler.attackRange;
+        
+        // Lower collider and eyes
+        this.setColliderSize(crawler.radius, crawler.height);
+        this.perception.eyeHeight = crawler.eyeHeight;
+        
+        // Idle and chase pick up the new clips on their next update
+        this.currentAnimationName = null;
+        if (this.state === 'scream' || this.state === 'grab') {
+            this.changeState('chase');
+        }
+    }
+    
+    setColliderSize(radius, height) {
+        if (!this.controller) return;
+        
+        this.controller.setSize(radius, height);
+    }
+    
+    // Resolve which hitbox a weapon ray struck
+    classifyHit(hit, ray) {
+        const hitboxHit = this.hitboxes ? this.hitboxes.raycast(ray) : null;
+        
+        if (hitboxHit) {
+            hit.bodyPart = hitboxHit.zone;
+            hit.hitbox = hitboxHit.name;
+            hit.limb = hitboxHit.limb;
+        } else {
+            // Ray hit the mesh but no hitbox - fall back to hit height
+            hit.bodyPart = this.getBodyPart(hit.point);
+            hit.hitbox = null;
+            hit.limb = this.getLegFromPoint(hit.point);
+        }
+        
+        return hit;
+    }
+    
+    // Damage multiplier for a hit zone
+    getDamageMultiplier(zone) {
+        return this.hitboxes ?
+            this.hitboxes.getDamageMultiplier(zone) :
+            (this.damageMultipliers[zone] ?? 1.0);
+    }
+    
+    // Classify a hit point by height above the zombie's feet
+    getBodyPart(point) {
+        const height = point.y - this.position.y;
+        
+        if (height > 1.45) return 'head';
+        if (height > 0.8) return 'torso';
+        return 'limb';
+    }
+    
+    // Guess which leg a low hit point belongs to from the zombie's facing
+    getLegFromPoint(point) {
+        if (this.isCrawling || point.y - this.position.y > 0.8) return null;
+        
+        // Local +X is the zombie's left when facing +Z
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        const side = dx * Math.cos(this.rotation.y) - dz * Math.sin(this.rotation.y);
+        
+        return side >= 0 ? 'leftLeg' : 'rightLeg';
+    }
+    
     // Required method for EntityManager
     destroy() {
         // Remove from scene
@@ -572,15 +1086,26 @@ export class Zombie {
             this.engine.renderer.scene.remove(this.skeletonHelper);
         }
         
+        // Don't leave the player stuck in our grab
+        if (this.isGrabbingPlayer()) {
+            this.engine.player.release(false);
+        }
+        
         // Remove physics body
         if (this.physicsBody && this.engine.physics) {
             this.engine.physics.removeBody(this.physicsBody);
         }
         
+        if (this.ragdoll) {
+            this.ragdoll.destroy();
+            this.ragdoll = null;
+        }
+        
         // Clear animation data
         if (this.mixer) {
             this.mixer.stopAllAction();
         }
+        this.animationEvents.clear();
         
         this.animations = {};
         this.currentAnimation = null;
@@ -0,0 +1,168 @@
+// src/entities/ZombieArchetypes.js
+/**
+ * Zombie archetype definitions.
+ *
+ * animations maps the zombie's logical animation names to clip IDs loaded
+ * by ZombieAssetLoader, and animationEvents lists named events within them
+ * (see AnimationEvents). behaviours lists optional behaviours by name.
+ * spawnWeight and minRound control how EnemyManager picks archetypes.
+ * ragdoll: false plays the death clip instead of a ragdoll (the engine's
+ * ragdolls config sets the default).
+ *
+ * Walking archetypes drop into the crawler's form (animations, collider,
+ * eye height) when a leg is destroyed.
+ */
+
+// Normalized times within the attack clips
+const GrabEvents = [
+    { name: 'hit', time: 0.35 },
+    { name: 'hit', time: 0.7 },
+    { name: 'end', time: 1.0 }
+];
+
+const SwingEvents = {
+    attack: [{ name: 'hit', time: 0.4 }, { name: 'end', time: 1.0 }],
+    grab: GrabEvents
+};
+
+const BiteEvents = {
+    attack: [{ name: 'hit', time: 0.5 }, { name: 'end', time: 1.0 }],
+    grab: GrabEvents
+};
+
+export const ZombieArchetypes = {
+    walker: {
+        name: 'walker',
+        health: 100,
+        speed: { walk: 2.0, chase: 3.0, run: 4.0 },
+        turnSpeed: 4.0,
+        radius: 0.5,
+        height: 1.8,
+        attackDamage: 20,
+        attackRange: 1.8,
+        attackCooldown: 1.2,
+        legHealth: 40, // Damage to one leg before it is destroyed
+        grabDamage: 10, // Per bite while the player is held
+        grabCooldown: 12, // Seconds before grabbing again
+        detectionRange: 15,
+        fieldOfView: 120,
+        eyeHeight: 1.6,
+        animations: {
+            idle: 'idle',
+            walk: 'walk',
+            chase: 'walk',
+            attack: 'attack',
+            death: 'death',
+            grab: 'neckbite'
+        },
+        chaseAnimationSpeed: 1.2,
+        animationEvents: SwingEvents,
+        behaviours: ['grab'],
+        spawnWeight: 6,
+        minRound: 1
+    },
+    
+    runner: {
+        name: 'runner',
+        health: 70,
+        speed: { walk: 2.0, chase: 5.0, run: 5.5 },
+        turnSpeed: 6.0,
+        radius: 0.5,
+        height: 1.8,
+        attackDamage: 15,
+        attackRange: 1.8,
+        attackCooldown: 0.9,
+        legHealth: 30,
+        grabDamage: 10,
+        grabCooldown: 12,
+        detectionRange: 20,
+        fieldOfView: 140,
+        eyeHeight: 1.6,
+        animations: {
+            idle: 'idle',
+            walk: 'walk',
+            chase: 'run',
+            attack: 'biting',
+            death: 'death',
+            grab: 'neckbite'
+        },
+        chaseAnimationSpeed: 1.0,
+        animationEvents: BiteEvents,
+        behaviours: ['grab'],
+        spawnWeight: 3,
+        minRound: 2
+    },
+    
+    crawler: {
+        name: 'crawler',
+        health: 60,
+        speed: { walk: 0.8, chase: 1.6, run: 2.0 },
+        turnSpeed: 3.0,
+        radius: 0.35,
+        height: 0.7,
+        attackDamage: 15,
+        attackRange: 1.5,
+        attackCooldown: 1.4,
+        crawling: true, // Already on the ground - legs can't be destroyed
+        detectionRange: 12,
+        fieldOfView: 100,
+        eyeHeight: 0.4,
+        animations: {
+            idle: 'crawl',
+            walk: 'crawl',
+            chase: 'runningcrawl',
+            attack: 'biting2',
+            death: 'dying'
+        },
+        idleAnimationSpeed: 0.3,
+        chaseAnimationSpeed: 1.0,
+        animationEvents: BiteEvents,
+        behaviours: [],
+        spawnWeight: 2,
+        minRound: 3
+    },
+    
+    screamer: {
+        name: 'screamer',
+        health: 130,
+        speed: { walk: 1.5, chase: 2.8, run: 3.5 },
+        turnSpeed: 4.0,
+        radius: 0.5,
+        height: 1.8,
+        attackDamage: 20,
+        attackRange: 1.8,
+        attackCooldown: 1.2,
+        legHealth: 50,
+        grabDamage: 10,
+        grabCooldown: 12,
+        detectionRange: 18,
+        fieldOfView: 120,
+        eyeHeight: 1.6,
+        animations: {
+            idle: 'idle',
+            walk: 'walk',
+            chase: 'walk',
+            attack: 'attack',
+            death: 'death',
+            scream: 'scream',
+            grab: 'neckbite'
+        },
+        chaseAnimationSpeed: 1.2,
+        animationEvents: SwingEvents,
+        behaviours: ['scream', 'grab'],
+        screamRadius: 25, // Zombies within this range are alerted
+        screamDuration: 2.5, // Seconds spent screaming
+        screamCooldown: 15, // Seconds before screaming again
+        spawnWeight: 1,
+        minRound: 4
+    }
+};
+
+/**
+ * Get an archetype definition by name
+ * @param {string} name - Archetype name
+ * @returns {Object} - Archetype definition (walker if unknown)
+ */
+export function getZombieArchetype(name) {
+    return ZombieArchetypes[name] || ZombieArchetypes.walker;
+}
\ No newline at end of file
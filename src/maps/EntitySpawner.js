@@ -62,6 +62,10 @@ export class EntitySpawner {
                     ammoCapacity: props.ammoCapacity || 30,
                     reserveAmmo: props.reserveAmmo || 90,
                     reloadTime: props.reloadTime || 2.0,
+                    range: props.range,
+                    falloffStart: props.falloffStart,
+                    falloffEnd: props.falloffEnd,
+                    minDamageFactor: props.minDamageFactor,
                     position: props.viewPosition ? 
                         new Vector3(
                             props.viewPosition.x || 0.3,
@@ -82,7 +86,9 @@ export class EntitySpawner {
                 // Create and return the pickup
                 return new WeaponPickup({
                     position: weaponPosition,
-                    weapon: weapon
+                    weapon: weapon,
+                    layer: data.layer,
+                    mask: data.mask
                 });
             });
         } catch (error) {
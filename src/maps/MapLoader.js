@@ -1,5 +1,9 @@
 // src/maps/MapLoader.js
 import { Vector3 } from 'three';
+import { NavGrid } from '../navigation/NavGrid.js';
+import { defineCollisionLayer } from '../physics/CollisionLayers.js';
+import { definePhysicsMaterial } from '../physics/PhysicsMaterial.js';
+import { TriggerVolume } from '../physics/PhysicsBody.js';
 
 export class MapLoader {
     constructor(engine) {
@@ -20,9 +24,19 @@ export class MapLoader {
             // Load required assets
             await this.loadMapAssets(mapData);
             
+            // Register map specific collision layers and materials before bodies use them
+            this.defineCollisionLayers(mapData.collisionLayers);
+            this.definePhysicsMaterials(mapData.physicsMaterials);
+            
             // Create map objects
             await this.createMapObjects(mapData);
             
+            // Create trigger volumes
+            this.createTriggers(mapData.triggers);
+            
+            // Bake navigation grid for enemy pathfinding
+            this.engine.navGrid = this.buildNavGrid(mapData);
+            
             // Set player spawn
             this.setPlayerSpawn(mapData.playerSpawn);
             
@@ -100,6 +114,30 @@ export class MapLoader {
         await Promise.all(loadPromises);
     }
     
+    /**
+     * Register the map's extra collision layer names
+     * @param {Array<string>} layerNames - Layer names
+     */
+    defineCollisionLayers(layerNames) {
+        if (!layerNames || !Array.isArray(layerNames)) return;
+        
+        for (const name of layerNames) {
+            defineCollisionLayer(name);
+        }
+    }
+    
+    /**
+     * Register the map's physics materials
+     * @param {Object} materials - Material options by name
+     */
+    definePhysicsMaterials(materials) {
+        if (!materials || typeof materials !== 'object') return;
+        
+        for (const [name, options] of Object.entries(materials)) {
+            definePhysicsMaterial(name, options);
+        }
+    }
+    
     /**
      * Create map objects from data
      * @param {Object} mapData - Map data
@@ -128,6 +166,55 @@ export class MapLoader {
         }
     }
     
+    /**
+     * Create trigger volumes from map data
+     * @param {Array} triggersList - Array of trigger data
+     */
+    createTriggers(triggersList) {
+        if (!triggersList || !Array.isArray(triggersList)) return;
+        
+        for (const triggerData of triggersList) {
+            const { id, shape = 'box', position, size, radius, mask, action } = triggerData;
+            
+            if (!position) {
+                console.error('Trigger missing position:', triggerData);
+                continue;
+            }
+            
+            const options = {
+                id,
+                position: new Vector3(position.x || 0, position.y || 0, position.z || 0),
+                mask,
+                action: action || null
+            };
+            
+            if (shape === 'sphere') {
+                options.radius = radius || 1;
+            } else {
+                options.halfExtents = new Vector3(
+                    (size?.x || 2) / 2,
+                    (size?.y || 2) / 2,
+                    (size?.z || 2) / 2
+                );
+            }
+            
+            this.engine.physics.addBody(new TriggerVolume(options));
+        }
+    }
+    
+    /**
+     * Bake a navigation grid from the map's terrain and structures
+     * @param {Object} mapData - Map data
+     * @returns {NavGrid} - Baked navigation grid
+     */
+    buildNavGrid(mapData) {
+        const navGrid = NavGrid.fromMapData(mapData, mapData.navigation || {});
+        
+        console.log(`Nav grid baked: ${navGrid.cols}x${navGrid.rows} cells`);
+        
+        return navGrid;
+    }
+    
     /**
      * Set player spawn position
      * @param {Object} spawnData - Spawn position data
@@ -143,7 +230,7 @@ export class MapLoader {
         );
         
         this.engine.player.position.copy(spawnPos);
-        this.engine.player.physicsBody.position.copy(spawnPos);
+        this.engine.player.controller.teleport(spawnPos);
         
         // Set player rotation if specified
         if (spawnData.rotation) {
@@ -184,6 +271,10 @@ export class MapLoader {
                 ammoCapacity: props.ammoCapacity || 30,
                 reserveAmmo: props.reserveAmmo || 90,
                 reloadTime: props.reloadTime || 2.0,
+                range: props.range,
+                falloffStart: props.falloffStart,
+                falloffEnd: props.falloffEnd,
+                minDamageFactor: props.minDamageFactor,
                 position: props.viewPosition ? 
                     new Vector3(
                         props.viewPosition.x || 0.3,
@@ -206,7 +297,9 @@ export class MapLoader {
             // Create weapon pickup
             const weaponPickup = new WeaponPickup({
                 position: weaponPosition,
-                weapon: weapon
+                weapon: weapon,
+                layer: weaponData.layer,
+                mask: weaponData.mask
             });
             
             // Add to entity manager
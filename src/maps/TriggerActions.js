@@ -0,0 +1,147 @@
+// src/maps/TriggerActions.js
+/**
+ * Runs the action payloads of map trigger volumes.
+ *
+ * Listens to the physics world's trigger events and looks up a handler by
+ * the action's type. Unknown types are left to map scripts, which can
+ * listen to the same events themselves.
+ */
+export class TriggerActions {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Registry of action types and their handlers
+        this.actionRegistry = new Map();
+        
+        // Trigger -> Map of body -> seconds until the next damage tick
+        this.damageTimers = new WeakMap();
+        
+        this.unsubscribers = [];
+        
+        this.registerDefaultActions();
+    }
+    
+    init() {
+        const physics = this.engine.physics;
+        
+        this.unsubscribers.push(
+            physics.on('triggerEnter', (event) => this.handleEvent('enter', event)),
+            physics.on('triggerStay', (event) => this.handleEvent('stay', event)),
+            physics.on('triggerExit', (event) => this.handleEvent('exit', event))
+        );
+    }
+    
+    /**
+     * Register a handler for an action type
+     * @param {string} type - Action type name
+     * @param {Object} handler - Object with optional enter, stay and exit functions taking (event, entity)
+     */
+    registerAction(type, handler) {
+        this.actionRegistry.set(type, handler);
+    }
+    
+    /**
+     * Register built-in action types
+     */
+    registerDefaultActions() {
+        // Kill anything that enters
+        this.registerAction('kill', {
+            enter: (event, entity) => this.kill(entity)
+        });
+        
+        // Damage on entering, then every interval while inside
+        this.registerAction('damage', {
+            enter: (event, entity) => {
+                this.getDamageTimers(event.trigger).set(event.body, event.action.interval || 1);
+                this.damage(entity, event.action.amount || 10);
+            },
+            stay: (event, entity) => {
+                const timers = this.getDamageTimers(event.trigger);
+                const remaining = (timers.get(event.body) || 0) - event.deltaTime;
+                
+                if (remaining <= 0) {
+                    this.damage(entity, event.action.amount || 10);
+                    timers.set(event.body, remaining + (event.action.interval || 1));
+                } else {
+                    timers.set(event.body, remaining);
+                }
+            },
+            exit: (event) => {
+                this.getDamageTimers(event.trigger).delete(event.body);
+            }
+        });
+        
+        // Skip the intermission when the player walks in
+        this.registerAction('startRound', {
+            enter: (event, entity) => {
+                const enemyManager = this.engine.enemyManager;
+                
+                if (entity === this.engine.player && enemyManager.roundState === 'intermission') {
+                    enemyManager.startRound(enemyManager.round + 1);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Run the handler for a trigger event's action
+     * @param {string} phase - 'enter', 'stay' or 'exit'
+     * @param {Object} event - Trigger event from the physics world
+     */
+    handleEvent(phase, event) {
+        if (!event.action || !event.action.type) return;
+        
+        const handler = this.actionRegistry.get(event.action.type);
+        if (!handler || !handler[phase]) return;
+        
+        handler[phase](event, this.getEntityForBody(event.body));
+    }
+    
+    /**
+     * Find the entity that owns a physics body
+     * @param {PhysicsBody} body - Physics body
+     * @returns {Object|null} - Owning entity
+     */
+    getEntityForBody(body) {
+        return body.owner || null;
+    }
+    
+    getDamageTimers(trigger) {
+        let timers = this.damageTimers.get(trigger);
+        if (!timers) {
+            timers = new Map();
+            this.damageTimers.set(trigger, timers);
+        }
+        return timers;
+    }
+    
+    damage(entity, amount) {
+        if (entity && typeof entity.takeDamage === 'function') {
+            entity.takeDamage(amount);
+        }
+    }
+    
+    kill(entity) {
+        if (!entity) return;
+        
+        if (entity === this.engine.player) {
+            if (entity.isDead) return;
+            
+            entity.health = 0;
+            entity.updateHealthUI();
+            entity.die();
+        } else if (typeof entity.takeDamage === 'function') {
+            entity.takeDamage(entity.health);
+        }
+    }
+    
+    /**
+     * Stop listening to trigger events
+     */
+    destroy() {
+        for (const unsubscribe of this.unsubscribers) {
+            unsubscribe();
+        }
+        this.unsubscribers = [];
+    }
+}
\ No newline at end of file
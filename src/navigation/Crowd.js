@@ -0,0 +1,233 @@
+// src/navigation/Crowd.js
+import { Vector3 } from 'three';
+
+/**
+ * Uniform grid over the XZ plane for neighbour queries
+ */
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+    
+    key(col, row) {
+        // Pack two 16 bit signed cell coordinates into one number
+        return ((col + 32768) << 16) | (row + 32768);
+    }
+    
+    clear() {
+        this.cells.clear();
+    }
+    
+    insert(item, x, z) {
+        const key = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+    }
+    
+    query(x, z, radius, out) {
+        const minCol = Math.floor((x - radius) / this.cellSize);
+        const maxCol = Math.floor((x + radius) / this.cellSize);
+        const minRow = Math.floor((z - radius) / this.cellSize);
+        const maxRow = Math.floor((z + radius) / this.cellSize);
+        
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(this.key(col, row));
+                if (cell) {
+                    for (const item of cell) out.push(item);
+                }
+            }
+        }
+        
+        return out;
+    }
+}
+
+/**
+ * Steering layer shared by all enemies.
+ *
+ * Combines seeking the current path waypoint, separation from nearby agents
+ * and avoidance of blocked nav grid cells. Close to the goal, agents seek a
+ * point on a ring around it at their own bearing so a horde spreads out and
+ * surrounds the target instead of stacking on one spot.
+ */
+export class Crowd {
+    /**
+     * Create a crowd
+     * @param {Object} options - Steering options
+     */
+    constructor(options = {}) {
+        this.separationRadius = options.separationRadius || 1.2; // Agents closer than this push apart
+        this.separationWeight = options.separationWeight || 1.5;
+        this.seekWeight = options.seekWeight || 1.0;
+        this.surroundRadius = options.surroundRadius || 4.0; // Start spreading around the goal inside this range
+        this.surroundDistance = options.surroundDistance || 1.2; // Ring radius around the goal
+        this.avoidanceDistance = options.avoidanceDistance || 1.0; // Look-ahead for blocked cells
+        this.maxNeighbors = options.maxNeighbors || 8;
+        
+        this.grid = new SpatialGrid(options.cellSize || this.separationRadius);
+        this.agents = [];
+        
+        // Scratch
+        this._neighbors = [];
+        this._nearby = [];
+        this._seek = new Vector3();
+        this._separation = new Vector3();
+        this._goal = new Vector3();
+    }
+    
+    /**
+     * Rebuild the spatial grid from current agent positions
+     * @param {Array} agents - Agents with a position (dead agents are skipped)
+     */
+    rebuild(agents) {
+        this.grid.clear();
+        this.agents.length = 0;
+        
+        for (const agent of agents) {
+            if (!agent.position || agent.isAlive === false) continue;
+            
+            this.grid.insert(agent, agent.position.x, agent.position.z);
+            this.agents.push(agent);
+        }
+    }
+    
+    /**
+     * Find agents within a radius (XZ distance)
+     * @param {Vector3} position - Query center
+     * @param {number} radius - Query radius
+     * @param {Array} out - Output array
+     * @returns {Array} - Agents within the radius
+     */
+    queryNeighbors(position, radius, out = []) {
+        const candidates = this.grid.query(position.x, position.z, radius, this._neighbors);
+        const radiusSq = radius * radius;
+        
+        for (const agent of candidates) {
+            const dx = agent.position.x - position.x;
+            const dz = agent.position.z - position.z;
+            
+            if (dx * dx + dz * dz <= radiusSq) {
+                out.push(agent);
+            }
+        }
+        
+        candidates.length = 0;
+        return out;
+    }
+    
+    /**
+     * Compute a steering direction for an agent
+     * @param {Object} agent - Agent with a position
+     * @param {Vector3} waypoint - Current path waypoint (or the goal itself)
+     * @param {Vector3} goal - Final target, used to spread agents around it
+     * @param {NavGrid} navGrid - Nav grid for obstacle avoidance (optional)
+     * @param {Vector3} out - Output direction (normalized, XZ)
+     * @returns {Vector3} - Steering direction
+     */
+    getSteering(agent, waypoint, goal, navGrid, out = new Vector3()) {
+        const position = agent.position;
+        
+        // Seek the waypoint, or a slot around the goal once close to it
+        this._goal.copy(waypoint);
+        const goalDx = position.x - goal.x;
+        const goalDz = position.z - goal.z;
+        const goalDistance = Math.sqrt(goalDx * goalDx + goalDz * goalDz);
+        
+        if (waypoint === goal && goalDistance < this.surroundRadius && goalDistance > 1e-3) {
+            this._goal.set(
+                goal.x + goalDx / goalDistance * this.surroundDistance,
+                goal.y,
+                goal.z + goalDz / goalDistance * this.surroundDistance
+            );
+        }
+        
+        this._seek.subVectors(this._goal, position).setY(0);
+        if (this._seek.lengthSq() > 1e-6) {
+            this._seek.normalize();
+        }
+        
+        // Push away from nearby agents, stronger when closer
+        this._separation.set(0, 0, 0);
+        const neighbors = this.queryNeighbors(position, this.separationRadius, this._nearby);
+        let count = 0;
+        
+        for (const other of neighbors) {
+            if (other === agent) continue;
+            if (count >= this.maxNeighbors) break;
+            
+            const dx = position.x - other.position.x;
+            const dz = position.z - other.position.z;
+            let distance = Math.sqrt(dx * dx + dz * dz);
+            
+            let awayX = dx;
+            let awayZ = dz;
+            if (distance < 1e-3) {
+                // Exactly overlapping - split using a stable per-agent direction
+                const angle = ((agent.id || 0) * 2.399) % (Math.PI * 2);
+                awayX = Math.cos(angle);
+                awayZ = Math.sin(angle);
+                distance = 1e-3;
+            } else {
+                awayX /= distance;
+                awayZ /= distance;
+            }
+            
+            const strength = 1 - distance / this.separationRadius;
+            this._separation.x += awayX * strength;
+            this._separation.z += awayZ * strength;
+            count++;
+        }
+        neighbors.length = 0;
+        
+        out.copy(this._seek).multiplyScalar(this.seekWeight)
+            .addScaledVector(this._separation, this.separationWeight)
+            .setY(0);
+        
+        if (out.lengthSq() < 1e-6) {
+            return out.set(0, 0, 0);
+        }
+        out.normalize();
+        
+        // Don't steer into blocked cells
+        if (navGrid) {
+            this.avoidObstacles(position, out, navGrid);
+        }
+        
+        return out;
+    }
+    
+    /**
+     * Rotate a direction away from blocked nav grid cells
+     * @param {Vector3} position - Agent position
+     * @param {Vector3} direction - Direction to adjust in place
+     * @param {NavGrid} navGrid - Nav grid to probe
+     */
+    avoidObstacles(position, direction, navGrid) {
+        const probe = (angle) => {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const x = direction.x * cos - direction.z * sin;
+            const z = direction.x * sin + direction.z * cos;
+            
+            return navGrid.isWalkable(
+                position.x + x * this.avoidanceDistance,
+                position.z + z * this.avoidanceDistance
+            ) ? { x, z } : null;
+        };
+        
+        // Try straight ahead, then fan out to either side
+        for (const angle of [0, 0.5, -0.5, 1.0, -1.0, 1.5, -1.5]) {
+            const result = probe(angle);
+            if (result) {
+                direction.set(result.x, 0, result.z);
+                return;
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,476 @@
+// src/navigation/NavGrid.js
+import { Vector3 } from 'three';
+
+// Neighbour offsets for 8-connected grid search: [dx, dz, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Minimal binary min-heap keyed by a score array
+ */
+class OpenSet {
+    constructor(scores) {
+        this.scores = scores;
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(index) {
+        const items = this.items;
+        items.push(index);
+        
+        // Bubble up
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[items[parent]] <= this.scores[items[i]]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        
+        if (items.length > 0) {
+            items[0] = last;
+            
+            // Sink down
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                
+                if (left < items.length && this.scores[items[left]] < this.scores[items[smallest]]) {
+                    smallest = left;
+                }
+                if (right < items.length && this.scores[items[right]] < this.scores[items[smallest]]) {
+                    smallest = right;
+                }
+                if (smallest === i) break;
+                
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        
+        return top;
+    }
+}
+
+/**
+ * Walkability grid over the map's XZ plane with A* path queries.
+ * Has no rendering dependencies so it can be built and queried headless.
+ */
+export class NavGrid {
+    /**
+     * Create an empty (fully walkable) nav grid
+     * @param {Object} options - Grid options
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 0.5;
+        
+        // World space bounds (XZ)
+        this.minX = options.minX !== undefined ? options.minX : -50;
+        this.minZ = options.minZ !== undefined ? options.minZ : -50;
+        const width = options.width !== undefined ? options.width : 100;
+        const depth = options.depth !== undefined ? options.depth : 100;
+        
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(depth / this.cellSize));
+        
+        // Agent dimensions used when baking obstacles
+        this.agentRadius = options.agentRadius !== undefined ? options.agentRadius : 0.5;
+        this.agentHeight = options.agentHeight !== undefined ? options.agentHeight : 1.7;
+        this.stepHeight = options.stepHeight !== undefined ? options.stepHeight : 0.3;
+        
+        // 1 = blocked, 0 = walkable
+        this.blocked = new Uint8Array(this.cols * this.rows);
+        
+        // Search limit to keep a single query from stalling a frame
+        this.maxIterations = options.maxIterations || 20000;
+        
+        // A* buffers shared by every query. A cell's scores are only valid
+        // while its stamp matches the current search's generation.
+        const cellCount = this.cols * this.rows;
+        this.gScore = new Float32Array(cellCount);
+        this.fScore = new Float32Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.closed = new Uint8Array(cellCount);
+        this.searchStamp = new Uint32Array(cellCount);
+        this.searchGeneration = 0;
+    }
+    
+    /**
+     * Bake a nav grid from map JSON (terrain size and structures)
+     * @param {Object} mapData - Map data
+     * @param {Object} options - Grid options (cellSize, agentRadius, ...)
+     * @returns {NavGrid} - Baked grid
+     */
+    static fromMapData(mapData, options = {}) {
+        const size = mapData.terrain?.size || { x: 100, z: 100 };
+        
+        const grid = new NavGrid({
+            ...options,
+            minX: -size.x / 2,
+            minZ: -size.z / 2,
+            width: size.x,
+            depth: size.z
+        });
+        
+        if (Array.isArray(mapData.structures)) {
+            for (const structure of mapData.structures) {
+                grid.addStructure(structure);
+            }
+        }
+        
+        return grid;
+    }
+    
+    /**
+     * Mark the cells covered by a map structure as blocked
+     * @param {Object} structure - Structure data from map JSON
+     */
+    addStructure(structure) {
+        const { type, position, scale, rotation } = structure;
+        if (type !== 'box' || !position || !scale) return;
+        
+        // Moving platforms don't stay where the grid would block them
+        if (structure.path) return;
+        
+        // Ignore structures an agent can step over or walk under
+        const bottom = position.y - scale.y / 2;
+        const top = position.y + scale.y / 2;
+        if (top <= this.stepHeight || bottom >= this.agentHeight) return;
+        
+        this.blockBox(
+            position.x,
+            position.z,
+            scale.x / 2,
+            scale.z / 2,
+            rotation?.y || 0
+        );
+    }
+    
+    /**
+     * Block a (possibly Y-rotated) rectangle, inflated by the agent radius
+     * @param {number} centerX - Rectangle center X
+     * @param {number} centerZ - Rectangle center Z
+     * @param {number} halfX - Half size along local X
+     * @param {number} halfZ - Half size along local Z
+     * @param {number} rotationY - Rotation around Y in radians
+     */
+    blockBox(centerX, centerZ, halfX, halfZ, rotationY = 0) {
+        const cos = Math.cos(rotationY);
+        const sin = Math.sin(rotationY);
+        const inflatedX = halfX + this.agentRadius;
+        const inflatedZ = halfZ + this.agentRadius;
+        
+        // World space bounds of the rotated, inflated rectangle
+        const extentX = Math.abs(cos) * inflatedX + Math.abs(sin) * inflatedZ;
+        const extentZ = Math.abs(sin) * inflatedX + Math.abs(cos) * inflatedZ;
+        
+        const minCell = this.worldToCell(centerX - extentX, centerZ - extentZ);
+        const maxCell = this.worldToCell(centerX + extentX, centerZ + extentZ);
+        
+        for (let row = minCell.row; row <= maxCell.row; row++) {
+            for (let col = minCell.col; col <= maxCell.col; col++) {
+                const center = this.cellCenter(col, row);
+                
+                // Cell center in the rectangle's local space (Three.js Y rotation)
+                const dx = center.x - centerX;
+                const dz = center.z - centerZ;
+                const localX = dx * cos - dz * sin;
+                const localZ = dx * sin + dz * cos;
+                
+                if (Math.abs(localX) <= inflatedX && Math.abs(localZ) <= inflatedZ) {
+                    this.setBlocked(col, row, true);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Convert a world position to clamped grid coordinates
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {Object} - { col, row }
+     */
+    worldToCell(x, z) {
+        const col = Math.floor((x - this.minX) / this.cellSize);
+        const row = Math.floor((z - this.minZ) / this.cellSize);
+        
+        return {
+            col: Math.min(Math.max(col, 0), this.cols - 1),
+            row: Math.min(Math.max(row, 0), this.rows - 1)
+        };
+    }
+    
+    /**
+     * World position of a cell's center
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @param {Vector3} target - Optional output vector
+     * @returns {Vector3} - Cell center (y = 0)
+     */
+    cellCenter(col, row, target = new Vector3()) {
+        return target.set(
+            this.minX + (col + 0.5) * this.cellSize,
+            0,
+            this.minZ + (row + 0.5) * this.cellSize
+        );
+    }
+    
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+    
+    setBlocked(col, row, blocked) {
+        if (!this.inBounds(col, row)) return;
+        this.blocked[row * this.cols + col] = blocked ? 1 : 0;
+    }
+    
+    isCellWalkable(col, row) {
+        return this.inBounds(col, row) && this.blocked[row * this.cols + col] === 0;
+    }
+    
+    /**
+     * Check if a world position is walkable
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {boolean} - True if walkable
+     */
+    isWalkable(x, z) {
+        const col = Math.floor((x - this.minX) / this.cellSize);
+        const row = Math.floor((z - this.minZ) / this.cellSize);
+        return this.isCellWalkable(col, row);
+    }
+    
+    /**
+     * Find the nearest walkable cell to a cell (spiral search)
+     * @param {number} col - Start column
+     * @param {number} row - Start row
+     * @param {number} maxRadius - Search radius in cells
+     * @returns {Object|null} - { col, row } or null
+     */
+    findNearestWalkable(col, row, maxRadius = 10) {
+        if (this.isCellWalkable(col, row)) return { col, row };
+        
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistSq = Infinity;
+            
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    // Only the ring at this radius
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    if (!this.isCellWalkable(col + dx, row + dz)) continue;
+                    
+                    const distSq = dx * dx + dz * dz;
+                    if (distSq < bestDistSq) {
+                        bestDistSq = distSq;
+                        best = { col: col + dx, row: row + dz };
+                    }
+                }
+            }
+            
+            if (best) return best;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check if a straight line between two world points crosses only walkable cells
+     * @param {Vector3} from - Start position
+     * @param {Vector3} to - End position
+     * @returns {boolean} - True if unobstructed
+     */
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        
+        // Sample at a quarter cell so thin corners aren't skipped
+        const steps = Math.max(1, Math.ceil(length / (this.cellSize * 0.25)));
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(from.x + dx * t, from.z + dz * t)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find a path between two world positions using A*
+     * @param {Vector3} start - Start position
+     * @param {Vector3} end - Goal position
+     * @returns {Array<Vector3>|null} - Smoothed waypoints (excluding start) or null if unreachable
+     */
+    findPath(start, end) {
+        const startGrid = this.worldToCell(start.x, start.z);
+        const endGrid = this.worldToCell(end.x, end.z);
+        
+        // Agents pushed into an obstacle's margin still need a path out
+        const startCell = this.findNearestWalkable(startGrid.col, startGrid.row);
+        const endCell = this.findNearestWalkable(endGrid.col, endGrid.row);
+        
+        if (!startCell || !endCell) return null;
+        
+        const cols = this.cols;
+        const startIndex = startCell.row * cols + startCell.col;
+        const endIndex = endCell.row * cols + endCell.col;
+        
+        if (startIndex === endIndex) {
+            return [new Vector3(end.x, start.y, end.z)];
+        }
+        
+        const { gScore, fScore, cameFrom, closed, searchStamp } = this;
+        const generation = this.nextSearchGeneration();
+        
+        // Reset a cell the first time this search reaches it
+        const touch = (index) => {
+            if (searchStamp[index] === generation) return;
+            searchStamp[index] = generation;
+            gScore[index] = Infinity;
+            fScore[index] = Infinity;
+            cameFrom[index] = -1;
+            closed[index] = 0;
+        };
+        
+        // Octile distance heuristic
+        const heuristic = (col, row) => {
+            const dx = Math.abs(col - endCell.col);
+            const dz = Math.abs(row - endCell.row);
+            return (dx + dz) + (Math.SQRT2 - 2) * Math.min(dx, dz);
+        };
+        
+        const open = new OpenSet(fScore);
+        touch(startIndex);
+        gScore[startIndex] = 0;
+        fScore[startIndex] = heuristic(startCell.col, startCell.row);
+        open.push(startIndex);
+        
+        let iterations = 0;
+        let found = false;
+        
+        while (open.size > 0 && iterations++ < this.maxIterations) {
+            const current = open.pop();
+            if (closed[current]) continue;
+            closed[current] = 1;
+            
+            if (current === endIndex) {
+                found = true;
+                break;
+            }
+            
+            const col = current % cols;
+            const row = (current - col) / cols;
+            
+            for (const [dx, dz, cost] of NEIGHBOURS) {
+                const nCol = col + dx;
+                const nRow = row + dz;
+                if (!this.isCellWalkable(nCol, nRow)) continue;
+                
+                // Don't cut corners around blocked cells
+                if (dx !== 0 && dz !== 0 &&
+                    (!this.isCellWalkable(col + dx, row) || !this.isCellWalkable(col, row + dz))) {
+                    continue;
+                }
+                
+                const neighbour = nRow * cols + nCol;
+                touch(neighbour);
+                if (closed[neighbour]) continue;
+                
+                const tentative = gScore[current] + cost;
+                if (tentative < gScore[neighbour]) {
+                    cameFrom[neighbour] = current;
+                    gScore[neighbour] = tentative;
+                    fScore[neighbour] = tentative + heuristic(nCol, nRow);
+                    open.push(neighbour);
+                }
+            }
+        }
+        
+        if (!found) return null;
+        
+        // Rebuild cell path from goal to start
+        const cells = [];
+        for (let index = endIndex; index !== -1; index = cameFrom[index]) {
+            cells.push(index);
+        }
+        cells.reverse();
+        
+        const points = cells.map(index => {
+            const col = index % cols;
+            return this.cellCenter(col, (index - col) / cols);
+        });
+        
+        // End exactly at the requested goal when it is reachable
+        if (this.isWalkable(end.x, end.z)) {
+            points[points.length - 1].set(end.x, 0, end.z);
+        }
+        
+        const path = this.smoothPath(new Vector3(start.x, 0, start.z), points);
+        
+        // Keep waypoints at the caller's height
+        for (const point of path) {
+            point.y = start.y;
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Start a new search generation, clearing the stamps when the counter wraps
+     * @returns {number} - Generation stamp for this search
+     */
+    nextSearchGeneration() {
+        if (this.searchGeneration === 0xffffffff) {
+            this.searchStamp.fill(0);
+            this.searchGeneration = 0;
+        }
+        
+        return ++this.searchGeneration;
+    }
+    
+    /**
+     * Remove redundant waypoints using line of sight (string pulling)
+     * @param {Vector3} start - Start position
+     * @param {Array<Vector3>} points - Cell center path
+     * @returns {Array<Vector3>} - Smoothed waypoints (excluding start)
+     */
+    smoothPath(start, points) {
+        const result = [];
+        let anchor = start;
+        let i = 0;
+        
+        while (i < points.length) {
+            // Furthest point visible from the anchor
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, points[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            
+            result.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+        
+        return result;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,435 @@
+// src/physics/CharacterController.js
+import { Vector3, Box3, Ray } from 'three';
+import { PhysicsBody } from './PhysicsBody.js';
+import { CapsuleCollider } from './Collider.js';
+import { RaycastResult } from './RaycastResult.js';
+
+const DOWN = new Vector3(0, -1, 0);
+
+/**
+ * Kinematic capsule character.
+ *
+ * The owner sets body.velocity (horizontal speed, jumps) and the physics
+ * world calls fixedUpdate() each step. The controller applies gravity, moves
+ * the capsule, slides along walls, steps up small ledges, refuses slopes
+ * steeper than slopeLimit and snaps down small drops while walking.
+ *
+ * The body's position is the bottom of the capsule (the character's feet).
+ * Characters are pushed out of static and kinematic bodies only; dynamic
+ * bodies (pickups) are pushed by the world's normal collision response.
+ */
+export class CharacterController {
+    /**
+     * Create a character controller
+     * @param {Object} options - Controller options
+     * @param {Vector3} options.position - Feet position
+     * @param {number} options.radius - Capsule radius
+     * @param {number} options.height - Capsule height
+     * @param {number} options.stepHeight - Tallest ledge that can be walked onto
+     * @param {number} options.slopeLimit - Steepest walkable slope in degrees
+     * @param {number} options.snapDistance - Largest drop that keeps the character grounded
+     */
+    constructor(options = {}) {
+        this.radius = options.radius || 0.4;
+        this.height = options.height || 1.8;
+        this.stepHeight = options.stepHeight !== undefined ? options.stepHeight : 0.35;
+        this.snapDistance = options.snapDistance !== undefined ? options.snapDistance : 0.3;
+        this.setSlopeLimit(options.slopeLimit !== undefined ? options.slopeLimit : 45);
+        
+        // Iterations when pushing out of overlapping geometry
+        this.maxResolveIterations = 4;
+        
+        // Set while moving horizontally on the ground
+        this.canStep = false;
+        
+        this.collider = new CapsuleCollider(options.position, this.radius, this.height);
+        
+        this.body = new PhysicsBody({
+            position: options.position,
+            mass: options.mass !== undefined ? options.mass : 70,
+            restitution: options.restitution !== undefined ? options.restitution : 0,
+            friction: options.friction !== undefined ? options.friction : 0.5,
+            usesGravity: options.usesGravity !== undefined ? options.usesGravity : true,
+            layer: options.layer,
+            mask: options.mask,
+            isKinematic: true,
+            collider: this.collider,
+            owner: options.owner
+        });
+        this.body.controller = this;
+        
+        // Ground state
+        this.isGrounded = false;
+        this.groundNormal = new Vector3(0, 1, 0);
+        this.groundBody = null;
+        
+        // Velocity of the platform being ridden. body.velocity is relative to
+        // it, and after leaving the platform the character keeps its
+        // horizontal part until landing.
+        this.groundVelocity = new Vector3();
+        
+        // What the capsule touched during the last step
+        this.collisionFlags = { below: false, sides: false, above: false };
+        
+        // Scratch
+        this._bounds = new Box3();
+        this._candidates = [];
+        this._overlapCandidates = [];
+        this._origin = new Vector3();
+        this._stepRay = new Ray();
+        this._stepHit = new RaycastResult();
+        this._groundHit = new RaycastResult();
+    }
+    
+    get position() {
+        return this.body.position;
+    }
+    
+    get velocity() {
+        return this.body.velocity;
+    }
+    
+    /**
+     * Set the steepest slope the character can stand on
+     * @param {number} degrees - Slope limit in degrees
+     */
+    setSlopeLimit(degrees) {
+        this.slopeLimit = degrees;
+        this.minGroundNormalY = Math.cos(degrees * Math.PI / 180);
+    }
+    
+    /**
+     * Change the capsule size (e.g. crouching or crawling)
+     * @param {number} radius - Capsule radius
+     * @param {number} height - Capsule height
+     */
+    setSize(radius, height) {
+        this.radius = radius;
+        this.height = height;
+        this.collider.setSize(radius, height);
+    }
+    
+    /**
+     * Move to a position without sweeping (spawns and respawns)
+     * @param {Vector3} position - New feet position
+     */
+    teleport(position) {
+        this.body.position.copy(position);
+        this.body.velocity.set(0, 0, 0);
+        this.collider.updatePosition(position);
+        this.isGrounded = false;
+        this.groundVelocity.set(0, 0, 0);
+        this.body.wakeUp();
+    }
+    
+    /**
+     * Advance the character by one physics step
+     * @param {PhysicsWorld} world - Physics world
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    fixedUpdate(world, timeStep) {
+        const body = this.body;
+        const velocity = body.velocity;
+        const wasGrounded = this.isGrounded;
+        
+        // Asleep - stay put, but follow the body if game code moved it
+        if (body.isSleeping) {
+            this.collider.updatePosition(body.position);
+            return;
+        }
+        
+        this.rideGround(world, wasGrounded ? this.groundBody : null, timeStep);
+        
+        // Gravity - grounded characters don't build up falling speed
+        if (wasGrounded && velocity.y <= 0) {
+            velocity.y = 0;
+        } else if (body.usesGravity) {
+            velocity.addScaledVector(world.gravity, timeStep);
+            velocity.y = Math.max(velocity.y, -body.maxFallSpeed);
+        }
+        
+        this.isGrounded = false;
+        this.groundBody = null;
+        this.collisionFlags.below = false;
+        this.collisionFlags.sides = false;
+        this.collisionFlags.above = false;
+        
+        // Horizontal, sliding along walls - ledges can only be stepped onto while walking
+        this.canStep = wasGrounded && velocity.y <= 0;
+        this.moveHorizontal(world, velocity.x * timeStep, velocity.z * timeStep);
+        this.canStep = false;
+        
+        // Vertical, split the same way so a fast fall can't pass through a thin floor.
+        // Landing zeroes velocity.y, which ends the remaining substeps.
+        const verticalSteps = Math.max(1, Math.ceil(Math.abs(velocity.y * timeStep) / (this.radius * 0.5)));
+        for (let i = 0; i < verticalSteps; i++) {
+            this.move(world, 0, velocity.y * timeStep / verticalSteps, 0);
+        }
+        
+        // Follow the ground down steps and slopes instead of launching off them
+        if (!this.isGrounded && wasGrounded && velocity.y <= 0) {
+            this.snapToGround(world);
+        }
+        
+        // Jumping or walking off a rising platform keeps its upward speed
+        if (wasGrounded && !this.isGrounded) {
+            velocity.y += this.groundVelocity.y;
+            this.groundVelocity.y = 0;
+        }
+        
+        body.onGround = this.isGrounded;
+        body.groundBody = this.groundBody;
+        body.stabilize();
+    }
+    
+    /**
+     * Move along with the platform under the character
+     * @param {PhysicsWorld} world - Physics world
+     * @param {PhysicsBody} ground - Body stood on last step, or null in the air
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    rideGround(world, ground, timeStep) {
+        const groundVelocity = this.groundVelocity;
+        
+        // Only platforms carry - standing on another character doesn't
+        if (ground) {
+            if (ground.isKinematic && !ground.controller) {
+                groundVelocity.copy(ground.velocity);
+            } else {
+                groundVelocity.set(0, 0, 0);
+            }
+        }
+        
+        if (groundVelocity.lengthSq() === 0) return;
+        
+        this.move(
+            world,
+            groundVelocity.x * timeStep,
+            groundVelocity.y * timeStep,
+            groundVelocity.z * timeStep
+        );
+    }
+    
+    /**
+     * Move horizontally in substeps no longer than half the radius
+     * @param {PhysicsWorld} world - Physics world
+     * @param {number} moveX - Distance along X
+     * @param {number} moveZ - Distance along Z
+     */
+    moveHorizontal(world, moveX, moveZ) {
+        const distance = Math.sqrt(moveX * moveX + moveZ * moveZ);
+        const steps = Math.max(1, Math.ceil(distance / (this.radius * 0.5)));
+        
+        for (let i = 0; i < steps; i++) {
+            this.move(world, moveX / steps, 0, moveZ / steps);
+        }
+    }
+    
+    /**
+     * Translate the capsule and push it out of anything it now overlaps
+     * @param {PhysicsWorld} world - Physics world
+     * @param {number} x - Distance along X
+     * @param {number} y - Distance along Y
+     * @param {number} z - Distance along Z
+     */
+    move(world, x, y, z) {
+        this.body.position.x += x;
+        this.body.position.y += y;
+        this.body.position.z += z;
+        this.collider.updatePosition(this.body.position);
+        
+        this.resolveOverlaps(world);
+    }
+    
+    /**
+     * Push the capsule out of static and kinematic bodies
+     * @param {PhysicsWorld} world - Physics world
+     */
+    resolveOverlaps(world) {
+        const body = this.body;
+        
+        for (let iteration = 0; iteration < this.maxResolveIterations; iteration++) {
+            const bounds = this.collider.getBounds(this._bounds);
+            const candidates = world.queryCandidates(bounds, this._candidates);
+            let resolved = false;
+            
+            for (const other of candidates) {
+                if (other === body || other.isTrigger) continue;
+                if (!other.isStatic && !other.isKinematic) continue;
+                if (!body.canCollideWith(other) || !other.collider) continue;
+                
+                const contact = this.collider.getCollisionInfo(other.collider);
+                if (!contact) continue;
+                
+                this.resolveContact(world, contact, other);
+                resolved = true;
+            }
+            
+            candidates.length = 0;
+            if (!resolved) break;
+        }
+    }
+    
+    /**
+     * Move out of a single contact
+     * @param {PhysicsWorld} world - Physics world
+     * @param {Object} contact - Collision info with the normal pointing toward the character
+     * @param {PhysicsBody} other - Body touched
+     */
+    resolveContact(world, contact, other) {
+        const position = this.body.position;
+        const velocity = this.body.velocity;
+        const normal = contact.normal;
+        
+        world.recordDebugContact(contact.point, normal);
+        
+        // Speed into the surface, before the push below takes it away
+        const approach = velocity.dot(normal) - other.velocity.dot(normal);
+        world.reportContact(this.body, other, contact.point, normal, contact.depth, Math.max(0, -approach));
+        
+        // Two awake characters each move half of the way apart
+        const depth = other.controller && !other.isSleeping ? contact.depth * 0.5 : contact.depth;
+        
+        if (normal.y >= this.minGroundNormalY) {
+            // Walkable - push straight up so standing on a slope doesn't slide
+            position.y += depth / normal.y;
+            
+            this.isGrounded = true;
+            this.groundBody = other;
+            this.groundNormal.copy(normal);
+            this.collisionFlags.below = true;
+            
+            if (velocity.y < 0) velocity.y = 0;
+        } else if (normal.y <= -0.7) {
+            // Ceiling
+            position.addScaledVector(normal, depth);
+            this.collisionFlags.above = true;
+            
+            if (velocity.y > 0) velocity.y = 0;
+        } else if (this.canStep && this.tryStep(world, contact, other)) {
+            // Lifted onto a ledge
+            this.collisionFlags.below = true;
+        } else {
+            // Wall or steep slope - push out sideways and slide along it
+            const horizontal = Math.sqrt(normal.x * normal.x + normal.z * normal.z);
+            const nx = normal.x / horizontal;
+            const nz = normal.z / horizontal;
+            
+            position.x += nx * depth / horizontal;
+            position.z += nz * depth / horizontal;
+            this.collisionFlags.sides = true;
+            
+            const into = velocity.x * nx + velocity.z * nz;
+            if (into < 0) {
+                velocity.x -= nx * into;
+                velocity.z -= nz * into;
+            }
+        }
+        
+        this.collider.updatePosition(position);
+    }
+    
+    /**
+     * Lift the character onto a ledge it walked into.
+     * The contact must be no higher than stepHeight above the feet, and the
+     * surface on top of it must be walkable, which rules out steep slopes.
+     * @param {PhysicsWorld} world - Physics world
+     * @param {Object} contact - Collision info from the capsule
+     * @param {PhysicsBody} other - Body touched
+     * @returns {boolean} - True if the character stepped up
+     */
+    tryStep(world, contact, other) {
+        const position = this.body.position;
+        const normal = contact.normal;
+        const contactHeight = contact.point.y - position.y;
+        
+        if (contactHeight <= 0 || contactHeight > this.stepHeight) return false;
+        
+        const horizontal = Math.sqrt(normal.x * normal.x + normal.z * normal.z);
+        if (horizontal < 1e-4) return false;
+        
+        // Probe straight down onto the ledge, just past the contact point
+        const ray = this._stepRay;
+        ray.origin.set(
+            contact.point.x - normal.x / horizontal * 0.02,
+            position.y + this.stepHeight + 0.01,
+            contact.point.z - normal.z / horizontal * 0.02
+        );
+        ray.direction.set(0, -1, 0);
+        
+        const hit = this._stepHit.reset();
+        if (!other.raycast(ray, this.stepHeight + 0.02, hit) || hit.distance <= 0) return false;
+        if (hit.normal.y < this.minGroundNormalY) return false;
+        
+        // Lift the feet to the top of the ledge, unless that hits a ceiling
+        const previousY = position.y;
+        position.y = Math.max(position.y, hit.point.y + 0.001);
+        this.collider.updatePosition(position);
+        
+        if (this.hasOverlap(world)) {
+            position.y = previousY;
+            this.collider.updatePosition(position);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check if the capsule overlaps any static or kinematic body it collides with
+     * @param {PhysicsWorld} world - Physics world
+     * @returns {boolean} - True if overlapping
+     */
+    hasOverlap(world) {
+        const body = this.body;
+        const candidates = world.queryCandidates(this.collider.getBounds(this._bounds), this._overlapCandidates);
+        let overlapping = false;
+        
+        for (const other of candidates) {
+            if (other === body || other.isTrigger) continue;
+            if (!other.isStatic && !other.isKinematic) continue;
+            if (!body.canCollideWith(other) || !other.collider) continue;
+            
+            if (this.collider.getCollisionInfo(other.collider)) {
+                overlapping = true;
+                break;
+            }
+        }
+        
+        candidates.length = 0;
+        return overlapping;
+    }
+    
+    /**
+     * Pull the character down onto walkable ground within snapDistance
+     * @param {PhysicsWorld} world - Physics world
+     */
+    snapToGround(world) {
+        const body = this.body;
+        
+        // Sweep a slightly smaller sphere from the bottom cap so walls don't catch it
+        const castRadius = this.radius * 0.9;
+        const gap = this.radius - castRadius;
+        const origin = this._origin.set(body.position.x, body.position.y + this.radius, body.position.z);
+        
+        const hit = world.sphereCast(
+            origin, DOWN, castRadius, this.snapDistance + gap,
+            body.mask, this._groundHit, body
+        );
+        
+        if (!hit.hit || hit.normal.y < this.minGroundNormalY) return;
+        if (!hit.body.isStatic && !hit.body.isKinematic) return;
+        if (!body.canCollideWith(hit.body)) return;
+        
+        body.position.y -= Math.max(0, hit.distance - gap);
+        this.collider.updatePosition(body.position);
+        
+        this.isGrounded = true;
+        this.groundBody = hit.body;
+        this.groundNormal.copy(hit.normal);
+        this.collisionFlags.below = true;
+        
+        // Keeps the ground contact alive while walking over small gaps
+        world.reportContact(body, hit.body, hit.point, hit.normal, 0, 0);
+    }
+}
\ No newline at end of file
@@ -1,5 +1,15 @@
 // src/physics/Collider.js
-import { Vector3, Box3, Sphere, Raycaster } from 'three';
+import { Vector3, Box3, Sphere, Raycaster, Quaternion, Euler, Ray, Triangle } from 'three';
+
+// Scratch objects for queries
+const _point = new Vector3();
+const _sphere = new Sphere();
+const _box = new Box3();
+const _localPoint = new Vector3();
+const _localRay = new Ray();
+const _normal = new Vector3();
+const _triangle = new Triangle();
+const _closest = new Vector3();
 
 /**
  * Base Collider class
@@ -28,7 +38,9 @@ export class Collider {
     }
     
     /**
-     * Get collision info between this collider and another
+     * Get collision info between this collider and another.
+     * The normal points from the other collider towards this one, so moving
+     * this collider along it by depth separates them.
      * @param {Collider} other - Other collider to check against
      * @returns {Object|null} - Collision info or null if no collision
      */
@@ -36,6 +48,56 @@ export class Collider {
         console.warn('Base Collider.getCollisionInfo() called - should be overridden by subclass');
         return null;
     }
+    
+    /**
+     * Get the world space bounding box of this collider
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        return target.set(this.position, this.position);
+    }
+    
+    /**
+     * Intersect a ray with this collider
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return false;
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this collider
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        return false;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return sphere.containsPoint(this.position);
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        return box.containsPoint(this.position);
+    }
 }
 
 /**
@@ -62,6 +124,76 @@ export class SphereCollider extends Collider {
         this.sphere.center.copy(this.position);
     }
     
+    /**
+     * Get the world space bounding box of this sphere
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        return this.sphere.getBoundingBox(target);
+    }
+    
+    /**
+     * Intersect a ray with this sphere
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this sphere
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        // Sweeping a sphere against a sphere is a ray against the summed radius
+        const expanded = _sphere.set(this.position, this.radius + radius);
+        
+        // Starting inside counts as a hit at distance 0
+        const distance = expanded.containsPoint(ray.origin) ?
+            0 :
+            (ray.intersectSphere(expanded, _point) ? _point.distanceTo(ray.origin) : null);
+        
+        if (distance === null || distance > maxDistance) return false;
+        
+        const center = ray.at(distance, _point);
+        result.normal.subVectors(center, this.position);
+        if (result.normal.lengthSq() < 1e-12) {
+            result.normal.copy(ray.direction).negate();
+        }
+        result.normal.normalize();
+        
+        result.hit = true;
+        result.distance = distance;
+        result.point.copy(this.position).addScaledVector(result.normal, this.radius);
+        return true;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.sphere.intersectsSphere(sphere);
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        return box.intersectsSphere(this.sphere);
+    }
+    
     /**
      * Check if this sphere intersects with another collider
      * @param {Collider} other - Other collider to check against
@@ -76,6 +208,11 @@ export class SphereCollider extends Collider {
             return other.box.intersectsSphere(this.sphere);
         }
         
+        if (other instanceof OrientedBoxCollider || other instanceof PlaneCollider ||
+            other instanceof CapsuleCollider || other instanceof HeightfieldCollider) {
+            return other.intersects(this);
+        }
+        
         return false;
     }
     
@@ -113,9 +250,15 @@ export class SphereCollider extends Collider {
             }
         }
         
-        if (other instanceof BoxCollider) {
-            // Sphere vs box collision - use box's method for this
-            return other.getCollisionInfo(this);
+        if (other instanceof BoxCollider || other instanceof OrientedBoxCollider ||
+            other instanceof PlaneCollider || other instanceof CapsuleCollider ||
+            other instanceof HeightfieldCollider) {
+            // Sphere vs other shapes - use their method and flip the normal
+            const info = other.getCollisionInfo(this);
+            if (info) {
+                info.normal.negate();
+            }
+            return info;
         }
         
         return null;
@@ -161,6 +304,110 @@ export class BoxCollider extends Collider {
         this.updateBox();
     }
     
+    /**
+     * Get the world space bounding box of this box
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        return target.copy(this.box);
+    }
+    
+    /**
+     * Intersect a ray with this box
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this box.
+     * The box is grown by the sphere radius, so hits near corners and edges
+     * are reported slightly early.
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        const expanded = _box.copy(this.box).expandByScalar(radius);
+        
+        let distance;
+        if (expanded.containsPoint(ray.origin)) {
+            distance = 0;
+        } else if (ray.intersectBox(expanded, _point)) {
+            distance = _point.distanceTo(ray.origin);
+        } else {
+            return false;
+        }
+        
+        if (distance > maxDistance) return false;
+        
+        const center = ray.at(distance, _point);
+        
+        // Contact is the closest point on the box to the sphere center
+        result.point.copy(center).clamp(this.box.min, this.box.max);
+        result.normal.subVectors(center, result.point);
+        
+        if (result.normal.lengthSq() < 1e-12) {
+            // Center on or inside the box - use the face it is closest to
+            this.getFaceNormal(center, result.normal);
+        } else {
+            result.normal.normalize();
+        }
+        
+        result.hit = true;
+        result.distance = distance;
+        return true;
+    }
+    
+    /**
+     * Outward normal of the face closest to a point
+     * @param {Vector3} point - Point on or inside the box
+     * @param {Vector3} target - Vector to write the normal to
+     * @returns {Vector3} - Face normal
+     */
+    getFaceNormal(point, target) {
+        const faces = [
+            [point.x - this.box.min.x, -1, 0, 0],
+            [this.box.max.x - point.x, 1, 0, 0],
+            [point.y - this.box.min.y, 0, -1, 0],
+            [this.box.max.y - point.y, 0, 1, 0],
+            [point.z - this.box.min.z, 0, 0, -1],
+            [this.box.max.z - point.z, 0, 0, 1]
+        ];
+        
+        let closest = faces[0];
+        for (const face of faces) {
+            if (face[0] < closest[0]) closest = face;
+        }
+        
+        return target.set(closest[1], closest[2], closest[3]);
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.box.intersectsSphere(sphere);
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        return this.box.intersectsBox(box);
+    }
+    
     /**
      * Check if this box intersects with another collider
      * @param {Collider} other - Other collider to check against
@@ -175,6 +422,11 @@ export class BoxCollider extends Collider {
             return this.box.intersectsSphere(other.sphere);
         }
         
+        if (other instanceof OrientedBoxCollider || other instanceof PlaneCollider ||
+            other instanceof CapsuleCollider || other instanceof HeightfieldCollider) {
+            return other.intersects(this);
+        }
+        
         return false;
     }
     
@@ -216,9 +468,9 @@ export class BoxCollider extends Collider {
                     minDepth = overlap;
                     minAxis = axis;
                     
-                    // Ensure normal points from this to other
+                    // Ensure normal points from other to this
                     const centerDelta = new Vector3()
-                        .subVectors(other.position, this.position);
+                        .subVectors(this.position, other.position);
                         
                     if (centerDelta.dot(axis) < 0) {
                         minAxis.multiplyScalar(-1);
@@ -258,13 +510,24 @@ export class BoxCollider extends Collider {
                 return null;
             }
             
-            // Calculate normal direction
+            // Calculate normal direction (from the sphere towards the box)
             const normal = new Vector3()
-                .subVectors(other.position, closestPoint)
-                .normalize();
-                
-            // Calculate penetration depth
-            const depth = other.radius - distance;
+                .subVectors(closestPoint, other.position);
+            let depth;
+            
+            if (distance > 1e-6) {
+                normal.divideScalar(distance);
+                depth = other.radius - distance;
+            } else {
+                // Sphere center inside the box - push out through the nearest face
+                this.getFaceNormal(other.position, normal).negate();
+                const toFace = Math.min(
+                    other.position.x - this.box.min.x, this.box.max.x - other.position.x,
+                    other.position.y - this.box.min.y, this.box.max.y - other.position.y,
+                    other.position.z - this.box.min.z, this.box.max.z - other.position.z
+                );
+                depth = other.radius + toFace;
+            }
             
             return {
                 normal,
@@ -273,6 +536,15 @@ export class BoxCollider extends Collider {
             };
         }
         
+        if (other instanceof OrientedBoxCollider || other instanceof PlaneCollider ||
+            other instanceof CapsuleCollider || other instanceof HeightfieldCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) {
+                info.normal.negate();
+            }
+            return info;
+        }
+        
         return null;
     }
     
@@ -295,4 +567,1424 @@ export class BoxCollider extends Collider {
             max: center + radius
         };
     }
+}
+
+/**
+ * Test two boxes with the separating axis theorem
+ * @param {Vector3} centerA - Center of box A
+ * @param {Array<Vector3>} axesA - Unit axes of box A
+ * @param {Vector3} halfA - Half extents of box A
+ * @param {Vector3} centerB - Center of box B
+ * @param {Array<Vector3>} axesB - Unit axes of box B
+ * @param {Vector3} halfB - Half extents of box B
+ * @param {Vector3} normalOut - Receives the axis of least penetration, pointing from B to A
+ * @returns {number} - Penetration depth, or -1 if the boxes are separated
+ */
+function testBoxesSAT(centerA, axesA, halfA, centerB, axesB, halfB, normalOut) {
+    const delta = new Vector3().subVectors(centerA, centerB);
+    const axis = new Vector3();
+    const halfSizesA = [halfA.x, halfA.y, halfA.z];
+    const halfSizesB = [halfB.x, halfB.y, halfB.z];
+    
+    let minDepth = Infinity;
+    
+    const testAxis = (candidate, bias) => {
+        const projectedA = halfSizesA[0] * Math.abs(axesA[0].dot(candidate)) +
+            halfSizesA[1] * Math.abs(axesA[1].dot(candidate)) +
+            halfSizesA[2] * Math.abs(axesA[2].dot(candidate));
+        const projectedB = halfSizesB[0] * Math.abs(axesB[0].dot(candidate)) +
+            halfSizesB[1] * Math.abs(axesB[1].dot(candidate)) +
+            halfSizesB[2] * Math.abs(axesB[2].dot(candidate));
+        const distance = delta.dot(candidate);
+        const depth = projectedA + projectedB - Math.abs(distance);
+        
+        if (depth <= 0) return false;
+        
+        // Edge axes need to be clearly better than a face axis to win
+        if (depth * bias < minDepth) {
+            minDepth = depth;
+            normalOut.copy(candidate);
+            if (distance < 0) {
+                normalOut.negate();
+            }
+        }
+        return true;
+    };
+    
+    // Face axes of both boxes
+    for (let i = 0; i < 3; i++) {
+        if (!testAxis(axesA[i], 1) || !testAxis(axesB[i], 1)) return -1;
+    }
+    
+    // Edge-edge axes
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            axis.crossVectors(axesA[i], axesB[j]);
+            const lengthSq = axis.lengthSq();
+            
+            // Parallel edges are already covered by the face axes
+            if (lengthSq < 1e-8) continue;
+            
+            axis.divideScalar(Math.sqrt(lengthSq));
+            if (!testAxis(axis, 1.05)) return -1;
+        }
+    }
+    
+    // Depth along the chosen axis without the bias
+    const projectedA = halfSizesA[0] * Math.abs(axesA[0].dot(normalOut)) +
+        halfSizesA[1] * Math.abs(axesA[1].dot(normalOut)) +
+        halfSizesA[2] * Math.abs(axesA[2].dot(normalOut));
+    const projectedB = halfSizesB[0] * Math.abs(axesB[0].dot(normalOut)) +
+        halfSizesB[1] * Math.abs(axesB[1].dot(normalOut)) +
+        halfSizesB[2] * Math.abs(axesB[2].dot(normalOut));
+    
+    return projectedA + projectedB - Math.abs(delta.dot(normalOut));
+}
+
+// World axes, used when testing oriented boxes against axis aligned ones
+const WorldAxes = [new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)];
+
+/**
+ * Oriented box collider - a box rotated by a quaternion.
+ * Collides with spheres, axis aligned boxes and other oriented boxes
+ * using the separating axis theorem.
+ */
+export class OrientedBoxCollider extends Collider {
+    /**
+     * Create a new oriented box collider
+     * @param {Vector3} position - Center position
+     * @param {Vector3} halfExtents - Half sizes along the box's local axes
+     * @param {Quaternion|Euler|Vector3} rotation - Box orientation (a Vector3 is read as Euler angles)
+     */
+    constructor(position, halfExtents, rotation) {
+        super(position);
+        this.halfExtents = halfExtents.clone();
+        this.quaternion = new Quaternion();
+        this.axes = [new Vector3(), new Vector3(), new Vector3()];
+        
+        // World space bounds, kept up to date for the broadphase
+        this.box = new Box3();
+        
+        this.setRotation(rotation);
+    }
+    
+    /**
+     * Set the box orientation
+     * @param {Quaternion|Euler|Vector3} rotation - New orientation
+     */
+    setRotation(rotation) {
+        if (rotation instanceof Quaternion) {
+            this.quaternion.copy(rotation);
+        } else if (rotation instanceof Euler) {
+            this.quaternion.setFromEuler(rotation);
+        } else if (rotation) {
+            this.quaternion.setFromEuler(new Euler(rotation.x || 0, rotation.y || 0, rotation.z || 0));
+        } else {
+            this.quaternion.identity();
+        }
+        
+        this.axes[0].set(1, 0, 0).applyQuaternion(this.quaternion);
+        this.axes[1].set(0, 1, 0).applyQuaternion(this.quaternion);
+        this.axes[2].set(0, 0, 1).applyQuaternion(this.quaternion);
+        this.updateBox();
+    }
+    
+    /**
+     * Update the world space bounds
+     */
+    updateBox() {
+        const half = this.halfExtents;
+        const [u, v, w] = this.axes;
+        
+        _point.set(
+            Math.abs(u.x) * half.x + Math.abs(v.x) * half.y + Math.abs(w.x) * half.z,
+            Math.abs(u.y) * half.x + Math.abs(v.y) * half.y + Math.abs(w.y) * half.z,
+            Math.abs(u.z) * half.x + Math.abs(v.z) * half.y + Math.abs(w.z) * half.z
+        );
+        
+        this.box.min.copy(this.position).sub(_point);
+        this.box.max.copy(this.position).add(_point);
+    }
+    
+    /**
+     * Update collider position
+     * @param {Vector3} position - New position
+     */
+    updatePosition(position) {
+        super.updatePosition(position);
+        this.updateBox();
+    }
+    
+    /**
+     * Get the world space bounding box of this box
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        return target.copy(this.box);
+    }
+    
+    /**
+     * Convert a world space point into the box's local space
+     * @param {Vector3} point - World space point
+     * @param {Vector3} target - Vector to write the result to
+     * @returns {Vector3} - Local point
+     */
+    toLocal(point, target = new Vector3()) {
+        const dx = point.x - this.position.x;
+        const dy = point.y - this.position.y;
+        const dz = point.z - this.position.z;
+        const [u, v, w] = this.axes;
+        
+        return target.set(
+            dx * u.x + dy * u.y + dz * u.z,
+            dx * v.x + dy * v.y + dz * v.z,
+            dx * w.x + dy * w.y + dz * w.z
+        );
+    }
+    
+    /**
+     * Convert a local direction into world space
+     * @param {Vector3} direction - Local direction
+     * @param {Vector3} target - Vector to write the result to
+     * @returns {Vector3} - World direction
+     */
+    directionToWorld(direction, target = new Vector3()) {
+        const [u, v, w] = this.axes;
+        
+        return target.set(
+            u.x * direction.x + v.x * direction.y + w.x * direction.z,
+            u.y * direction.x + v.y * direction.y + w.y * direction.z,
+            u.z * direction.x + v.z * direction.y + w.z * direction.z
+        );
+    }
+    
+    /**
+     * Find the closest point on (or in) the box to a world space point
+     * @param {Vector3} point - World space point
+     * @param {Vector3} target - Vector to write the result to
+     * @returns {Vector3} - Closest point in world space
+     */
+    closestPoint(point, target = new Vector3()) {
+        const local = this.toLocal(point, _localPoint);
+        const half = this.halfExtents;
+        
+        local.set(
+            Math.max(-half.x, Math.min(half.x, local.x)),
+            Math.max(-half.y, Math.min(half.y, local.y)),
+            Math.max(-half.z, Math.min(half.z, local.z))
+        );
+        
+        return this.directionToWorld(local, target).add(this.position);
+    }
+    
+    /**
+     * Check if this box intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        if (other instanceof SphereCollider) {
+            return this.intersectsSphere(other.sphere);
+        }
+        
+        if (other instanceof BoxCollider || other instanceof OrientedBoxCollider) {
+            return this.getCollisionInfo(other) !== null;
+        }
+        
+        if (other instanceof PlaneCollider || other instanceof CapsuleCollider ||
+            other instanceof HeightfieldCollider) {
+            return other.intersects(this);
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Get collision info between this box and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info or null if no collision
+     */
+    getCollisionInfo(other) {
+        if (other instanceof SphereCollider) {
+            const local = this.toLocal(other.position);
+            const half = this.halfExtents;
+            const clamped = new Vector3(
+                Math.max(-half.x, Math.min(half.x, local.x)),
+                Math.max(-half.y, Math.min(half.y, local.y)),
+                Math.max(-half.z, Math.min(half.z, local.z))
+            );
+            
+            const offset = new Vector3().subVectors(local, clamped);
+            const distance = offset.length();
+            if (distance >= other.radius) return null;
+            
+            const point = this.directionToWorld(clamped).add(this.position);
+            const normal = new Vector3();
+            let depth;
+            
+            if (distance > 1e-6) {
+                // Outside the box - from the sphere towards the closest point
+                this.directionToWorld(offset, normal).divideScalar(-distance);
+                depth = other.radius - distance;
+            } else {
+                // Center inside - push out through the nearest face
+                const faces = [
+                    half.x - Math.abs(local.x),
+                    half.y - Math.abs(local.y),
+                    half.z - Math.abs(local.z)
+                ];
+                let axis = 0;
+                if (faces[1] < faces[axis]) axis = 1;
+                if (faces[2] < faces[axis]) axis = 2;
+                
+                const sign = local.getComponent(axis) < 0 ? 1 : -1;
+                normal.copy(this.axes[axis]).multiplyScalar(sign);
+                depth = other.radius + faces[axis];
+            }
+            
+            return { normal, depth, point };
+        }
+        
+        if (other instanceof PlaneCollider || other instanceof CapsuleCollider ||
+            other instanceof HeightfieldCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) {
+                info.normal.negate();
+            }
+            return info;
+        }
+        
+        let otherAxes;
+        if (other instanceof OrientedBoxCollider) {
+            otherAxes = other.axes;
+        } else if (other instanceof BoxCollider) {
+            otherAxes = WorldAxes;
+        } else {
+            return null;
+        }
+        
+        const normal = new Vector3();
+        const depth = testBoxesSAT(
+            this.position, this.axes, this.halfExtents,
+            other.position, otherAxes, other.halfExtents,
+            normal
+        );
+        if (depth < 0) return null;
+        
+        // Approximate contact point - between each box's closest point to the other's center
+        const pointOnThis = this.closestPoint(other.position, new Vector3());
+        const pointOnOther = other instanceof OrientedBoxCollider ?
+            other.closestPoint(this.position, new Vector3()) :
+            this.position.clone().clamp(other.box.min, other.box.max);
+        
+        return {
+            normal,
+            depth,
+            point: pointOnThis.add(pointOnOther).multiplyScalar(0.5)
+        };
+    }
+    
+    /**
+     * Intersect a ray with this box
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this box.
+     * Works in the box's local space with the box grown by the sphere
+     * radius, so hits near corners and edges are reported slightly early.
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        const localRay = _localRay;
+        this.toLocal(ray.origin, localRay.origin);
+        localRay.direction.set(
+            ray.direction.dot(this.axes[0]),
+            ray.direction.dot(this.axes[1]),
+            ray.direction.dot(this.axes[2])
+        );
+        
+        const expanded = _box.set(
+            _point.copy(this.halfExtents).negate(),
+            _localPoint.copy(this.halfExtents)
+        ).expandByScalar(radius);
+        
+        let distance;
+        if (expanded.containsPoint(localRay.origin)) {
+            distance = 0;
+        } else if (localRay.intersectBox(expanded, _localPoint)) {
+            distance = _localPoint.distanceTo(localRay.origin);
+        } else {
+            return false;
+        }
+        
+        if (distance > maxDistance) return false;
+        
+        // Contact is the closest point on the box to the sphere center
+        const center = localRay.at(distance, _localPoint);
+        const half = this.halfExtents;
+        const clamped = _point.set(
+            Math.max(-half.x, Math.min(half.x, center.x)),
+            Math.max(-half.y, Math.min(half.y, center.y)),
+            Math.max(-half.z, Math.min(half.z, center.z))
+        );
+        
+        const localNormal = center.sub(clamped);
+        if (localNormal.lengthSq() < 1e-12) {
+            // Center on or inside the box - use the face it is closest to
+            const faces = [
+                half.x - Math.abs(clamped.x),
+                half.y - Math.abs(clamped.y),
+                half.z - Math.abs(clamped.z)
+            ];
+            let axis = 0;
+            if (faces[1] < faces[axis]) axis = 1;
+            if (faces[2] < faces[axis]) axis = 2;
+            
+            localNormal.set(0, 0, 0).setComponent(axis, clamped.getComponent(axis) < 0 ? -1 : 1);
+        } else {
+            localNormal.normalize();
+        }
+        
+        this.directionToWorld(localNormal, result.normal);
+        this.directionToWorld(clamped, result.point).add(this.position);
+        result.hit = true;
+        result.distance = distance;
+        return true;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.closestPoint(sphere.center, _point).distanceToSquared(sphere.center) <=
+            sphere.radius * sphere.radius;
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        if (!this.box.intersectsBox(box)) return false;
+        
+        const center = box.getCenter(_localPoint);
+        const half = box.getSize(_point).multiplyScalar(0.5);
+        
+        return testBoxesSAT(
+            this.position, this.axes, this.halfExtents,
+            center, WorldAxes, half,
+            _normal
+        ) >= 0;
+    }
+    
+    /**
+     * Project this box onto an axis
+     * @param {Vector3} axis - Axis to project onto
+     * @returns {Object} - Projection min and max values
+     */
+    projectOntoAxis(axis) {
+        const center = this.position.dot(axis);
+        const radius = this.halfExtents.x * Math.abs(this.axes[0].dot(axis)) +
+            this.halfExtents.y * Math.abs(this.axes[1].dot(axis)) +
+            this.halfExtents.z * Math.abs(this.axes[2].dot(axis));
+        
+        return {
+            min: center - radius,
+            max: center + radius
+        };
+    }
+}
+
+/**
+ * Infinite plane collider - points with dot(point, normal) < offset are inside
+ */
+export class PlaneCollider extends Collider {
+    /**
+     * Create a new plane collider
+     * @param {Vector3} normal - Plane normal (pointing out of the solid side)
+     * @param {number} offset - Distance of the plane from the origin along the normal
+     */
+    constructor(normal, offset = 0) {
+        super();
+        this.normal = normal ? normal.clone().normalize() : new Vector3(0, 1, 0);
+        this.offset = offset;
+    }
+    
+    /**
+     * Signed distance from a point to the plane
+     * @param {Vector3} point - World space point
+     * @returns {number} - Distance (negative below the plane)
+     */
+    distanceToPoint(point) {
+        return point.dot(this.normal) - this.offset;
+    }
+    
+    /**
+     * The plane is unbounded
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Infinite box
+     */
+    getBounds(target = new Box3()) {
+        target.min.set(-Infinity, -Infinity, -Infinity);
+        target.max.set(Infinity, Infinity, Infinity);
+        return target;
+    }
+    
+    /**
+     * Check if this plane intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        return this.getCollisionInfo(other) !== null;
+    }
+    
+    /**
+     * Get collision info between this plane and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info or null if no collision
+     */
+    getCollisionInfo(other) {
+        let deepest;
+        let depth;
+        
+        if (other instanceof SphereCollider) {
+            deepest = other.position.clone().addScaledVector(this.normal, -other.radius);
+        } else if (other instanceof BoxCollider) {
+            // Corner of the box furthest below the plane
+            deepest = new Vector3(
+                this.normal.x > 0 ? other.box.min.x : other.box.max.x,
+                this.normal.y > 0 ? other.box.min.y : other.box.max.y,
+                this.normal.z > 0 ? other.box.min.z : other.box.max.z
+            );
+        } else if (other instanceof OrientedBoxCollider) {
+            deepest = other.position.clone();
+            const half = [other.halfExtents.x, other.halfExtents.y, other.halfExtents.z];
+            for (let i = 0; i < 3; i++) {
+                const sign = other.axes[i].dot(this.normal) > 0 ? -1 : 1;
+                deepest.addScaledVector(other.axes[i], sign * half[i]);
+            }
+        } else if (other instanceof CapsuleCollider) {
+            const info = other.getCollisionInfo(this);
+            if (info) {
+                info.normal.negate();
+            }
+            return info;
+        } else {
+            return null;
+        }
+        
+        depth = -this.distanceToPoint(deepest);
+        if (depth <= 0) return null;
+        
+        return {
+            normal: this.normal.clone().negate(),
+            depth,
+            point: deepest.addScaledVector(this.normal, depth)
+        };
+    }
+    
+    /**
+     * Intersect a ray with the plane
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against the plane
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        // Height of the sphere center above the plane surface it can touch
+        const height = this.distanceToPoint(ray.origin) - radius;
+        
+        let distance;
+        if (height <= 0) {
+            distance = 0;
+        } else {
+            const approach = -ray.direction.dot(this.normal);
+            if (approach <= 0) return false; // Moving parallel or away
+            distance = height / approach;
+        }
+        
+        if (distance > maxDistance) return false;
+        
+        result.hit = true;
+        result.distance = distance;
+        result.normal.copy(this.normal);
+        result.point.copy(ray.origin)
+            .addScaledVector(ray.direction, distance)
+            .addScaledVector(this.normal, -radius);
+        return true;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.distanceToPoint(sphere.center) < sphere.radius;
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        // Lowest corner of the box along the plane normal
+        _point.set(
+            this.normal.x > 0 ? box.min.x : box.max.x,
+            this.normal.y > 0 ? box.min.y : box.max.y,
+            this.normal.z > 0 ? box.min.z : box.max.z
+        );
+        
+        return this.distanceToPoint(_point) < 0;
+    }
+}
+
+/**
+ * Closest point on the segment ab to point p
+ * @param {Vector3} a - Segment start
+ * @param {Vector3} b - Segment end
+ * @param {Vector3} p - Query point
+ * @param {Vector3} target - Vector to write the result to
+ * @returns {Vector3} - Closest point
+ */
+function closestPointOnSegment(a, b, p, target) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const abz = b.z - a.z;
+    const lengthSq = abx * abx + aby * aby + abz * abz;
+    
+    let t = 0;
+    if (lengthSq > 1e-12) {
+        t = ((p.x - a.x) * abx + (p.y - a.y) * aby + (p.z - a.z) * abz) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+    }
+    
+    return target.set(a.x + abx * t, a.y + aby * t, a.z + abz * t);
+}
+
+/**
+ * Closest points between segments p1-q1 and p2-q2
+ * @param {Vector3} p1 - First segment start
+ * @param {Vector3} q1 - First segment end
+ * @param {Vector3} p2 - Second segment start
+ * @param {Vector3} q2 - Second segment end
+ * @param {Vector3} c1 - Receives the closest point on the first segment
+ * @param {Vector3} c2 - Receives the closest point on the second segment
+ */
+function closestPointsBetweenSegments(p1, q1, p2, q2, c1, c2) {
+    const d1 = new Vector3().subVectors(q1, p1);
+    const d2 = new Vector3().subVectors(q2, p2);
+    const r = new Vector3().subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    
+    let s = 0;
+    let t = 0;
+    
+    if (a <= 1e-12 && e <= 1e-12) {
+        // Both segments are points
+    } else if (a <= 1e-12) {
+        t = clamp(f / e);
+    } else {
+        const c = d1.dot(r);
+        if (e <= 1e-12) {
+            s = clamp(-c / a);
+        } else {
+            const b = d1.dot(d2);
+            const denominator = a * e - b * b;
+            s = denominator > 1e-12 ? clamp((b * f - c * e) / denominator) : 0;
+            t = (b * s + f) / e;
+            
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a);
+            }
+        }
+    }
+    
+    c1.copy(p1).addScaledVector(d1, s);
+    c2.copy(p2).addScaledVector(d2, t);
+}
+
+/**
+ * Contact between a swept sphere segment and an axis aligned box given by min/max
+ * @param {Vector3} a - Segment start
+ * @param {Vector3} b - Segment end
+ * @param {number} radius - Capsule radius
+ * @param {Vector3} min - Box minimum
+ * @param {Vector3} max - Box maximum
+ * @returns {Object|null} - { normal, depth, point } with the normal pointing from the box to the segment
+ */
+function segmentBoxContact(a, b, radius, min, max) {
+    const point = new Vector3();
+    const clamped = new Vector3();
+    
+    // Distance from the segment to a convex box is convex along the segment
+    const distanceAt = (t) => {
+        point.lerpVectors(a, b, t);
+        clamped.copy(point).clamp(min, max);
+        return point.distanceToSquared(clamped);
+    };
+    
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 24; i++) {
+        const third = (high - low) / 3;
+        if (distanceAt(low + third) <= distanceAt(high - third)) {
+            high = high - third;
+        } else {
+            low = low + third;
+        }
+    }
+    
+    const distance = Math.sqrt(distanceAt((low + high) / 2));
+    if (distance >= radius) return null;
+    
+    if (distance > 1e-6) {
+        return {
+            normal: new Vector3().subVectors(point, clamped).divideScalar(distance),
+            depth: radius - distance,
+            point: clamped.clone()
+        };
+    }
+    
+    // Segment passes through the box - push out through the cheapest face
+    const pushes = [
+        [max.x - Math.min(a.x, b.x), 1, 0, 0],
+        [Math.max(a.x, b.x) - min.x, -1, 0, 0],
+        [max.y - Math.min(a.y, b.y), 0, 1, 0],
+        [Math.max(a.y, b.y) - min.y, 0, -1, 0],
+        [max.z - Math.min(a.z, b.z), 0, 0, 1],
+        [Math.max(a.z, b.z) - min.z, 0, 0, -1]
+    ];
+    
+    let best = pushes[0];
+    for (const push of pushes) {
+        if (push[0] < best[0]) best = push;
+    }
+    
+    return {
+        normal: new Vector3(best[1], best[2], best[3]),
+        depth: best[0] + radius,
+        point: clamped.clone()
+    };
+}
+
+/**
+ * Upright capsule collider.
+ * The position is the bottom of the capsule (a character's feet) and the
+ * capsule extends height metres up from it.
+ */
+export class CapsuleCollider extends Collider {
+    /**
+     * Create a new capsule collider
+     * @param {Vector3} position - Bottom of the capsule
+     * @param {number} radius - Capsule radius
+     * @param {number} height - Total height, including both caps
+     */
+    constructor(position, radius, height) {
+        super(position);
+        
+        // Segment between the centers of the two end spheres
+        this.start = new Vector3();
+        this.end = new Vector3();
+        
+        this.setSize(radius, height);
+    }
+    
+    /**
+     * Change the capsule dimensions
+     * @param {number} radius - Capsule radius
+     * @param {number} height - Total height (at least twice the radius)
+     */
+    setSize(radius, height) {
+        this.radius = radius;
+        this.height = Math.max(height, radius * 2);
+        this.updateSegment();
+    }
+    
+    /**
+     * Update the segment end points from the position
+     */
+    updateSegment() {
+        this.start.set(this.position.x, this.position.y + this.radius, this.position.z);
+        this.end.set(this.position.x, this.position.y + this.height - this.radius, this.position.z);
+    }
+    
+    /**
+     * Update collider position
+     * @param {Vector3} position - New position
+     */
+    updatePosition(position) {
+        super.updatePosition(position);
+        this.updateSegment();
+    }
+    
+    /**
+     * Get the world space bounding box of this capsule
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        target.min.set(this.position.x - this.radius, this.position.y, this.position.z - this.radius);
+        target.max.set(this.position.x + this.radius, this.position.y + this.height, this.position.z + this.radius);
+        return target;
+    }
+    
+    /**
+     * Check if this capsule intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        return this.getCollisionInfo(other) !== null;
+    }
+    
+    /**
+     * Get collision info between this capsule and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info or null if no collision
+     */
+    getCollisionInfo(other) {
+        if (other instanceof SphereCollider) {
+            const closest = closestPointOnSegment(this.start, this.end, other.position, new Vector3());
+            return this.sphereContact(closest, other.position, other.radius);
+        }
+        
+        if (other instanceof CapsuleCollider) {
+            const closest = new Vector3();
+            const otherClosest = new Vector3();
+            closestPointsBetweenSegments(this.start, this.end, other.start, other.end, closest, otherClosest);
+            return this.sphereContact(closest, otherClosest, other.radius);
+        }
+        
+        if (other instanceof BoxCollider) {
+            return segmentBoxContact(this.start, this.end, this.radius, other.box.min, other.box.max);
+        }
+        
+        if (other instanceof OrientedBoxCollider) {
+            // Work in the box's local space, where it is axis aligned
+            const start = other.toLocal(this.start);
+            const end = other.toLocal(this.end);
+            const max = other.halfExtents;
+            const min = max.clone().negate();
+            
+            const info = segmentBoxContact(start, end, this.radius, min, max);
+            if (info) {
+                other.directionToWorld(info.normal, info.normal);
+                other.directionToWorld(info.point, info.point).add(other.position);
+            }
+            return info;
+        }
+        
+        if (other instanceof HeightfieldCollider) {
+            return other.capsuleContact(this);
+        }
+        
+        if (other instanceof PlaneCollider) {
+            // End of the segment furthest below the plane
+            const startDistance = other.distanceToPoint(this.start);
+            const endDistance = other.distanceToPoint(this.end);
+            const lowest = startDistance < endDistance ? this.start : this.end;
+            const distance = Math.min(startDistance, endDistance);
+            
+            if (distance >= this.radius) return null;
+            
+            return {
+                normal: other.normal.clone(),
+                depth: this.radius - distance,
+                point: lowest.clone().addScaledVector(other.normal, -distance)
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Contact between a sphere on this capsule's segment and another sphere
+     * @param {Vector3} center - Closest point on this capsule's segment
+     * @param {Vector3} otherCenter - Center of the other sphere
+     * @param {number} otherRadius - Radius of the other sphere
+     * @returns {Object|null} - Collision info or null
+     */
+    sphereContact(center, otherCenter, otherRadius) {
+        const normal = new Vector3().subVectors(center, otherCenter);
+        const distance = normal.length();
+        const minDistance = this.radius + otherRadius;
+        
+        if (distance >= minDistance) return null;
+        
+        if (distance > 1e-6) {
+            normal.divideScalar(distance);
+        } else {
+            // Centers coincide - separate sideways
+            normal.set(1, 0, 0);
+        }
+        
+        return {
+            normal,
+            depth: minDistance - distance,
+            point: otherCenter.clone().addScaledVector(normal, otherRadius)
+        };
+    }
+    
+    /**
+     * Intersect a ray with this capsule
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this capsule
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        // A sphere swept against a capsule is a ray against a fatter capsule
+        const totalRadius = this.radius + radius;
+        const origin = ray.origin;
+        const direction = ray.direction;
+        let distance = Infinity;
+        
+        if (closestPointOnSegment(this.start, this.end, origin, _point).distanceTo(origin) <= totalRadius) {
+            distance = 0;
+        } else {
+            // Side of the vertical cylinder
+            const ox = origin.x - this.start.x;
+            const oz = origin.z - this.start.z;
+            const a = direction.x * direction.x + direction.z * direction.z;
+            
+            if (a > 1e-12) {
+                const b = 2 * (ox * direction.x + oz * direction.z);
+                const c = ox * ox + oz * oz - totalRadius * totalRadius;
+                const discriminant = b * b - 4 * a * c;
+                
+                if (discriminant >= 0) {
+                    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+                    const y = origin.y + direction.y * t;
+                    if (t >= 0 && y >= this.start.y && y <= this.end.y) {
+                        distance = t;
+                    }
+                }
+            }
+            
+            // End caps
+            for (let cap = 0; cap < 2; cap++) {
+                _sphere.set(cap === 0 ? this.start : this.end, totalRadius);
+                if (ray.intersectSphere(_sphere, _point)) {
+                    distance = Math.min(distance, _point.distanceTo(origin));
+                }
+            }
+        }
+        
+        if (!Number.isFinite(distance) || distance > maxDistance) return false;
+        
+        const center = ray.at(distance, _localPoint);
+        const closest = closestPointOnSegment(this.start, this.end, center, _point);
+        result.normal.subVectors(center, closest);
+        if (result.normal.lengthSq() < 1e-12) {
+            result.normal.copy(direction).negate();
+        }
+        result.normal.normalize();
+        
+        result.hit = true;
+        result.distance = distance;
+        result.point.copy(closest).addScaledVector(result.normal, this.radius);
+        return true;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        const closest = closestPointOnSegment(this.start, this.end, sphere.center, _point);
+        return closest.distanceTo(sphere.center) <= this.radius + sphere.radius;
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        return segmentBoxContact(this.start, this.end, this.radius, box.min, box.max) !== null;
+    }
+}
+
+/**
+ * Terrain collider built from a grid of height samples.
+ *
+ * Samples are row-major with rows running along +Z, and cells are split into
+ * two triangles the same way PlaneGeometry splits its quads, so the collider
+ * matches a displaced PlaneGeometry exactly. Everything below the surface is
+ * solid, and the edge heights extend outward past the grid.
+ */
+export class HeightfieldCollider extends Collider {
+    /**
+     * Create a new heightfield collider
+     * @param {Vector3} position - Center of the grid; heights are relative to its Y
+     * @param {Array<number>|Float32Array} heights - Height samples, columns * rows of them
+     * @param {number} columns - Samples along X (at least 2)
+     * @param {number} rows - Samples along Z (at least 2)
+     * @param {number} width - Size along X
+     * @param {number} depth - Size along Z
+     */
+    constructor(position, heights, columns, rows, width, depth) {
+        super(position);
+        
+        this.heights = Float32Array.from(heights);
+        this.columns = columns;
+        this.rows = rows;
+        this.width = width;
+        this.depth = depth;
+        this.cellWidth = width / (columns - 1);
+        this.cellDepth = depth / (rows - 1);
+        
+        // Scratch cell for height lookups
+        this._cell = {};
+        
+        this.minHeight = Infinity;
+        this.maxHeight = -Infinity;
+        for (const height of this.heights) {
+            this.minHeight = Math.min(this.minHeight, height);
+            this.maxHeight = Math.max(this.maxHeight, height);
+        }
+    }
+    
+    /**
+     * Get a height sample in world space
+     * @param {number} column - Sample column
+     * @param {number} row - Sample row
+     * @returns {number} - World space height
+     */
+    getSample(column, row) {
+        return this.heights[row * this.columns + column] + this.position.y;
+    }
+    
+    /**
+     * Find the cell and position within it for a world space XZ position.
+     * Positions outside the grid are clamped to its edge.
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Object} target - Object to write { column, row, u, v } to
+     * @returns {Object} - Cell coordinates
+     */
+    getCell(x, z, target = {}) {
+        const gridX = Math.max(0, Math.min(this.columns - 1,
+            (x - this.position.x + this.width / 2) / this.cellWidth));
+        const gridZ = Math.max(0, Math.min(this.rows - 1,
+            (z - this.position.z + this.depth / 2) / this.cellDepth));
+        
+        target.column = Math.min(Math.floor(gridX), this.columns - 2);
+        target.row = Math.min(Math.floor(gridZ), this.rows - 2);
+        target.u = gridX - target.column;
+        target.v = gridZ - target.row;
+        return target;
+    }
+    
+    /**
+     * Get the surface height under a point
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - World space surface height
+     */
+    getHeightAt(x, z) {
+        const { column, row, u, v } = this.getCell(x, z, this._cell);
+        
+        if (u + v <= 1) {
+            const a = this.getSample(column, row);
+            return a + (this.getSample(column + 1, row) - a) * u + (this.getSample(column, row + 1) - a) * v;
+        }
+        
+        const c = this.getSample(column + 1, row + 1);
+        return c + (this.getSample(column, row + 1) - c) * (1 - u) + (this.getSample(column + 1, row) - c) * (1 - v);
+    }
+    
+    /**
+     * Get the surface normal under a point
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {Vector3} target - Vector to write the result to
+     * @returns {Vector3} - Surface normal
+     */
+    getNormalAt(x, z, target = new Vector3()) {
+        const { column, row, u, v } = this.getCell(x, z, this._cell);
+        
+        let slopeX;
+        let slopeZ;
+        if (u + v <= 1) {
+            const a = this.getSample(column, row);
+            slopeX = this.getSample(column + 1, row) - a;
+            slopeZ = this.getSample(column, row + 1) - a;
+        } else {
+            const c = this.getSample(column + 1, row + 1);
+            slopeX = c - this.getSample(column, row + 1);
+            slopeZ = c - this.getSample(column + 1, row);
+        }
+        
+        return target.set(-slopeX / this.cellWidth, 1, -slopeZ / this.cellDepth).normalize();
+    }
+    
+    /**
+     * Set a triangle to one half of a grid cell
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @param {boolean} upper - False for the triangle at the cell's min corner
+     * @param {Triangle} target - Triangle to write to
+     * @returns {Triangle} - Cell triangle
+     */
+    getTriangle(column, row, upper, target) {
+        const x = this.position.x - this.width / 2 + column * this.cellWidth;
+        const z = this.position.z - this.depth / 2 + row * this.cellDepth;
+        
+        // Both triangles share the cell's diagonal
+        target.b.set(x, this.getSample(column, row + 1), z + this.cellDepth);
+        target.c.set(x + this.cellWidth, this.getSample(column + 1, row), z);
+        
+        if (upper) {
+            target.a.set(x + this.cellWidth, this.getSample(column + 1, row + 1), z + this.cellDepth);
+        } else {
+            target.a.set(x, this.getSample(column, row), z);
+        }
+        
+        return target;
+    }
+    
+    /**
+     * The heightfield is solid all the way down and extends past its edges
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        target.min.set(-Infinity, -Infinity, -Infinity);
+        target.max.set(Infinity, this.maxHeight + this.position.y, Infinity);
+        return target;
+    }
+    
+    /**
+     * Check if this heightfield intersects with another collider
+     * @param {Collider} other - Other collider to check against
+     * @returns {boolean} - True if colliders intersect
+     */
+    intersects(other) {
+        return this.getCollisionInfo(other) !== null;
+    }
+    
+    /**
+     * Get collision info between this heightfield and another collider
+     * @param {Collider} other - Other collider
+     * @returns {Object|null} - Collision info or null if no collision
+     */
+    getCollisionInfo(other) {
+        let info = null;
+        
+        if (other instanceof SphereCollider) {
+            info = this.sphereContact(other.position, other.radius);
+        } else if (other instanceof CapsuleCollider) {
+            info = this.capsuleContact(other);
+        } else if (other instanceof BoxCollider || other instanceof OrientedBoxCollider) {
+            info = this.boxContact(other);
+        }
+        
+        // Contacts are computed pointing toward the other collider
+        if (info) {
+            info.normal.negate();
+        }
+        return info;
+    }
+    
+    /**
+     * Contact between the surface and a sphere
+     * @param {Vector3} center - Sphere center
+     * @param {number} radius - Sphere radius
+     * @returns {Object|null} - { normal, depth, point } with the normal pointing toward the sphere
+     */
+    sphereContact(center, radius) {
+        const surface = this.getHeightAt(center.x, center.z);
+        
+        // Center under the ground - push straight out along the surface normal
+        if (center.y < surface) {
+            const normal = this.getNormalAt(center.x, center.z);
+            return {
+                normal,
+                depth: (surface - center.y) * normal.y + radius,
+                point: new Vector3(center.x, surface, center.z)
+            };
+        }
+        
+        if (center.y - radius >= this.maxHeight + this.position.y) return null;
+        
+        // Closest point on the triangles under the sphere
+        const min = this.getCell(center.x - radius, center.z - radius, {});
+        const max = this.getCell(center.x + radius, center.z + radius, {});
+        let bestDistanceSq = radius * radius;
+        let best = null;
+        
+        for (let row = min.row; row <= max.row; row++) {
+            for (let column = min.column; column <= max.column; column++) {
+                for (let upper = 0; upper < 2; upper++) {
+                    this.getTriangle(column, row, upper === 1, _triangle).closestPointToPoint(center, _closest);
+                    
+                    const distanceSq = _closest.distanceToSquared(center);
+                    if (distanceSq < bestDistanceSq) {
+                        bestDistanceSq = distanceSq;
+                        best = (best || new Vector3()).copy(_closest);
+                    }
+                }
+            }
+        }
+        
+        if (best) {
+            const distance = Math.sqrt(bestDistanceSq);
+            const normal = distance > 1e-6 ?
+                new Vector3().subVectors(center, best).divideScalar(distance) :
+                this.getNormalAt(center.x, center.z);
+            
+            return { normal, depth: radius - distance, point: best };
+        }
+        
+        // Past the edge of the grid, where the edge heights extend outward
+        if (center.y - radius < surface) {
+            return {
+                normal: this.getNormalAt(center.x, center.z),
+                depth: surface - (center.y - radius),
+                point: new Vector3(center.x, surface, center.z)
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Contact between the surface and an upright capsule, tested as spheres along its segment
+     * @param {CapsuleCollider} capsule - Capsule collider
+     * @returns {Object|null} - { normal, depth, point } with the normal pointing toward the capsule
+     */
+    capsuleContact(capsule) {
+        const length = capsule.end.y - capsule.start.y;
+        const count = Math.ceil(length / capsule.radius) + 1;
+        let best = null;
+        
+        for (let i = 0; i < count; i++) {
+            const t = count > 1 ? i / (count - 1) : 0;
+            _point.lerpVectors(capsule.start, capsule.end, t);
+            
+            const info = this.sphereContact(_point, capsule.radius);
+            if (info && (!best || info.depth > best.depth)) {
+                best = info;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Contact between the surface and a box, using its deepest corner
+     * @param {BoxCollider|OrientedBoxCollider} other - Box collider
+     * @returns {Object|null} - { normal, depth, point } with the normal pointing toward the box
+     */
+    boxContact(other) {
+        let best = null;
+        
+        for (let i = 0; i < 8; i++) {
+            if (other instanceof OrientedBoxCollider) {
+                _point.set(
+                    i & 1 ? other.halfExtents.x : -other.halfExtents.x,
+                    i & 2 ? other.halfExtents.y : -other.halfExtents.y,
+                    i & 4 ? other.halfExtents.z : -other.halfExtents.z
+                );
+                other.directionToWorld(_point, _point).add(other.position);
+            } else {
+                _point.set(
+                    i & 1 ? other.box.max.x : other.box.min.x,
+                    i & 2 ? other.box.max.y : other.box.min.y,
+                    i & 4 ? other.box.max.z : other.box.min.z
+                );
+            }
+            
+            const surface = this.getHeightAt(_point.x, _point.z);
+            if (_point.y >= surface) continue;
+            
+            const normal = this.getNormalAt(_point.x, _point.z);
+            const depth = (surface - _point.y) * normal.y;
+            
+            if (!best || depth > best.depth) {
+                best = { normal, depth, point: new Vector3(_point.x, surface, _point.z) };
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Intersect a ray with the surface
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.sphereCast(ray, 0, maxDistance, result);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against the surface.
+     * Marches the ray in half cell steps, then bisects the first step that
+     * ends up touching the surface.
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        const origin = ray.origin;
+        const direction = ray.direction;
+        const top = this.maxHeight + this.position.y + radius;
+        
+        // Skip the part of the sweep above the highest point
+        let start = 0;
+        if (origin.y > top) {
+            if (direction.y >= 0) return false;
+            start = (origin.y - top) / -direction.y;
+        }
+        
+        // Infinite sweeps stop once they are past the grid or below its lowest point
+        let end = Math.min(maxDistance, start + 2 * (this.width + this.depth));
+        if (direction.y < 0) {
+            const bottom = this.minHeight + this.position.y - radius;
+            end = Math.min(end, Math.max(0, (origin.y - bottom) / -direction.y));
+        }
+        if (start > end) return false;
+        
+        const touching = (distance) => {
+            ray.at(distance, _localPoint);
+            return radius > 0 ?
+                this.sphereContact(_localPoint, radius) !== null :
+                _localPoint.y <= this.getHeightAt(_localPoint.x, _localPoint.z);
+        };
+        
+        let hitDistance = null;
+        if (touching(start)) {
+            hitDistance = start;
+        } else {
+            const step = Math.max(Math.min(this.cellWidth, this.cellDepth) * 0.5, radius * 0.5);
+            let previous = start;
+            
+            for (let distance = start + step; previous < end; distance += step) {
+                distance = Math.min(distance, end);
+                
+                if (touching(distance)) {
+                    let low = previous;
+                    let high = distance;
+                    for (let i = 0; i < 16; i++) {
+                        const middle = (low + high) / 2;
+                        if (touching(middle)) {
+                            high = middle;
+                        } else {
+                            low = middle;
+                        }
+                    }
+                    hitDistance = high;
+                    break;
+                }
+                
+                previous = distance;
+            }
+        }
+        
+        if (hitDistance === null) return false;
+        
+        const center = ray.at(hitDistance, _localPoint);
+        if (radius > 0) {
+            const contact = this.sphereContact(center, radius);
+            result.normal.copy(contact.normal);
+            result.point.copy(contact.point);
+        } else {
+            this.getNormalAt(center.x, center.z, result.normal);
+            result.point.copy(center);
+        }
+        
+        result.hit = true;
+        result.distance = hitDistance;
+        return true;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.sphereContact(sphere.center, sphere.radius) !== null;
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if any of the surface under the box reaches its bottom
+     */
+    intersectsBox(box) {
+        if (box.min.y >= this.maxHeight + this.position.y) return false;
+        
+        const min = this.getCell(box.min.x, box.min.z, {});
+        const max = this.getCell(box.max.x, box.max.z, {});
+        
+        // Grid samples inside the box
+        for (let row = min.row + 1; row <= max.row; row++) {
+            for (let column = min.column + 1; column <= max.column; column++) {
+                if (this.getSample(column, row) > box.min.y) return true;
+            }
+        }
+        
+        // Box corners, for boxes smaller than a cell
+        return this.getHeightAt(box.min.x, box.min.z) > box.min.y ||
+            this.getHeightAt(box.max.x, box.min.z) > box.min.y ||
+            this.getHeightAt(box.min.x, box.max.z) > box.min.y ||
+            this.getHeightAt(box.max.x, box.max.z) > box.min.y;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,81 @@
+// src/physics/CollisionLayers.js
+/**
+ * Named collision layers.
+ *
+ * A body has a layer (the bits it occupies) and a mask (the layers it
+ * collides with). Two bodies only collide when each one's layer is in the
+ * other's mask. Raycasts and overlap queries take a mask of the layers
+ * they should hit.
+ *
+ * Maps can name extra layers in a "collisionLayers" list; they take the
+ * next free bits.
+ */
+export const CollisionLayers = {
+    default: 1 << 0,
+    world: 1 << 1, // Static map geometry
+    player: 1 << 2,
+    enemy: 1 << 3,
+    pickup: 1 << 4,
+    trigger: 1 << 5
+};
+
+// Mask that matches every layer
+export const ALL_LAYERS = 0xFFFFFFFF;
+
+// Bits 0-31 are available
+const MAX_LAYERS = 32;
+
+/**
+ * Register a new named layer
+ * @param {string} name - Layer name
+ * @returns {number} - Layer bit (the existing one if already defined)
+ */
+export function defineCollisionLayer(name) {
+    if (CollisionLayers[name] !== undefined) {
+        return CollisionLayers[name];
+    }
+    
+    const used = Object.values(CollisionLayers).reduce((mask, bit) => mask | bit, 0);
+    for (let i = 0; i < MAX_LAYERS; i++) {
+        const bit = (1 << i) >>> 0;
+        if ((used & bit) === 0) {
+            CollisionLayers[name] = bit;
+            return bit;
+        }
+    }
+    
+    console.error(`No free collision layer for "${name}"`);
+    return 0;
+}
+
+/**
+ * Convert a layer description into bits
+ * @param {string|number|Array} value - Layer name, 'all', raw bits, or a list of those
+ * @param {number} fallback - Returned when value is undefined
+ * @returns {number} - Layer bits
+ */
+export function getLayerMask(value, fallback = ALL_LAYERS) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    
+    if (typeof value === 'number') {
+        return value;
+    }
+    
+    if (Array.isArray(value)) {
+        return value.reduce((mask, item) => (mask | getLayerMask(item, 0)) >>> 0, 0);
+    }
+    
+    if (value === 'all') {
+        return ALL_LAYERS;
+    }
+    
+    const bits = CollisionLayers[value];
+    if (bits === undefined) {
+        console.warn(`Unknown collision layer: ${value}`);
+        return 0;
+    }
+    
+    return bits;
+}
\ No newline at end of file
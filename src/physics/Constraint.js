@@ -0,0 +1,383 @@
+// src/physics/Constraint.js
+import { Vector3, Quaternion, Euler } from 'three';
+import { BoxCollider, OrientedBoxCollider } from './Collider.js';
+
+// Scratch shared by every constraint - solving never nests
+const _anchorA = new Vector3();
+const _anchorB = new Vector3();
+const _axis = new Vector3();
+const _arm = new Vector3();
+const _tangent = new Vector3();
+const _cross = new Vector3();
+const _rotation = new Quaternion();
+const _euler = new Euler();
+
+/**
+ * Base class for joints between two bodies.
+ *
+ * Constraints are solved on positions after the world integrates velocity,
+ * a few iterations per step, then the velocity along each correction is
+ * removed so the bodies don't spring back apart. Bodies have no angular
+ * velocity, so anchors are offsets along the world axes.
+ *
+ * The impulse a constraint applies in a step is measured, and a constraint
+ * whose force goes over breakForce is removed from the world.
+ */
+export class Constraint {
+    /**
+     * Create a constraint
+     * @param {PhysicsBody} bodyA - First body (use a static body to fix the joint to the world)
+     * @param {PhysicsBody} bodyB - Second body
+     * @param {Object} options - Constraint options
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        
+        // Fraction of the error corrected per iteration (0-1)
+        this.stiffness = options.stiffness !== undefined ? options.stiffness : 1.0;
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        
+        // Breaking - force in newtons above which the joint snaps
+        this.breakForce = options.breakForce !== undefined ? options.breakForce : Infinity;
+        this.isBroken = false;
+        this.impulse = 0; // Impulse applied during the current step
+        this.force = 0; // Force applied during the last step
+    }
+    
+    /**
+     * Inverse mass the solver moves a body with
+     * @param {PhysicsBody} body - Constrained body
+     * @returns {number} - 0 for bodies that can't be moved
+     */
+    getInverseMass(body) {
+        if (body.isStatic || body.isKinematic || body.isSleeping) return 0;
+        return body.invMass;
+    }
+    
+    /**
+     * Move bodyB relative to bodyA along a direction, each in proportion to
+     * its inverse mass, and remove their relative velocity along it
+     * @param {Vector3} direction - Unit direction bodyB should move in
+     * @param {number} distance - Distance to move bodyB relative to bodyA
+     * @param {boolean} limit - Only remove velocity against the direction (for limits)
+     */
+    applyCorrection(direction, distance, limit = false) {
+        const bodyA = this.bodyA;
+        const bodyB = this.bodyB;
+        const invMassA = this.getInverseMass(bodyA);
+        const invMassB = this.getInverseMass(bodyB);
+        const invMassSum = invMassA + invMassB;
+        if (invMassSum === 0) return;
+        
+        const correction = distance * this.stiffness / invMassSum;
+        bodyA.position.addScaledVector(direction, -correction * invMassA);
+        bodyB.position.addScaledVector(direction, correction * invMassB);
+        
+        // A limit only stops the bodies moving further past it
+        const relativeSpeed = bodyB.velocity.dot(direction) - bodyA.velocity.dot(direction);
+        if (limit && relativeSpeed >= 0) return;
+        
+        const impulse = relativeSpeed / invMassSum;
+        bodyA.velocity.addScaledVector(direction, impulse * invMassA);
+        bodyB.velocity.addScaledVector(direction, -impulse * invMassB);
+        this.impulse += Math.abs(impulse);
+    }
+    
+    /**
+     * Move the colliders to the corrected positions
+     */
+    updateColliders() {
+        this.bodyA.collider.updatePosition(this.bodyA.position);
+        this.bodyB.collider.updatePosition(this.bodyB.position);
+    }
+    
+    /**
+     * Correct the bodies' positions and velocities
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    solve(timeStep) {}
+    
+    /**
+     * Called once per step after the last iteration
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    afterSolve(timeStep) {}
+    
+    /**
+     * Get the two points the joint connects, for debug drawing
+     * @param {Vector3} targetA - Output point on bodyA
+     * @param {Vector3} targetB - Output point on bodyB
+     */
+    getWorldAnchors(targetA, targetB) {
+        targetA.copy(this.bodyA.position);
+        targetB.copy(this.bodyB.position);
+    }
+}
+
+/**
+ * Keeps anchor points on two bodies a set distance apart, like a rigid rod.
+ * With minDistance and maxDistance apart it only acts at the limits, so
+ * { minDistance: 0 } makes a rope.
+ */
+export class DistanceConstraint extends Constraint {
+    /**
+     * Create a distance constraint
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     * @param {Object} options - Constraint options (anchorA and anchorB are offsets
+     *     from the body centers, distance defaults to the current distance)
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        super(bodyA, bodyB, options);
+        
+        this.anchorA = options.anchorA ? options.anchorA.clone() : new Vector3();
+        this.anchorB = options.anchorB ? options.anchorB.clone() : new Vector3();
+        
+        this.getWorldAnchors(_anchorA, _anchorB);
+        this.distance = options.distance !== undefined ?
+            options.distance :
+            _anchorA.distanceTo(_anchorB);
+        this.minDistance = options.minDistance !== undefined ? options.minDistance : this.distance;
+        this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : this.distance;
+    }
+    
+    solve(timeStep) {
+        this.getWorldAnchors(_anchorA, _anchorB);
+        const axis = _axis.subVectors(_anchorB, _anchorA);
+        const length = axis.length();
+        if (length < 1e-6) return;
+        axis.divideScalar(length);
+        
+        // A fixed length holds both ways, a range only at its ends
+        const rigid = this.minDistance === this.maxDistance;
+        
+        if (length > this.maxDistance || rigid) {
+            this.applyCorrection(axis.negate(), length - this.maxDistance, !rigid);
+        } else if (length < this.minDistance) {
+            this.applyCorrection(axis, this.minDistance - length, true);
+        } else {
+            return;
+        }
+        
+        this.updateColliders();
+    }
+    
+    getWorldAnchors(targetA, targetB) {
+        targetA.addVectors(this.bodyA.position, this.anchorA);
+        targetB.addVectors(this.bodyB.position, this.anchorB);
+    }
+}
+
+/**
+ * Base for joints where bodyB swings around a pivot fixed to bodyA. Box
+ * colliders on bodyB are made oriented so they turn with the swing.
+ */
+class PivotConstraint extends Constraint {
+    /**
+     * Create a pivot joint
+     * @param {PhysicsBody} bodyA - Body the pivot is fixed to
+     * @param {PhysicsBody} bodyB - Swinging body
+     * @param {Object} options - Constraint options (pivot is a world point, default bodyA's center)
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        super(bodyA, bodyB, options);
+        
+        const pivot = options.pivot || bodyA.position;
+        this.pivotA = new Vector3().subVectors(pivot, bodyA.position);
+        
+        // Arm from the pivot to bodyB's center at rest
+        this.restArm = new Vector3().subVectors(bodyB.position, pivot);
+        
+        // Turn bodyB with the swing
+        this.rotateBody = options.rotateBody !== undefined ? options.rotateBody : true;
+        this.restRotation = new Quaternion();
+        
+        if (this.rotateBody) {
+            const collider = bodyB.collider;
+            if (collider instanceof BoxCollider) {
+                bodyB.collider = new OrientedBoxCollider(bodyB.position, collider.halfExtents, bodyB.rotation);
+            }
+            if (bodyB.collider.quaternion) {
+                this.restRotation.copy(bodyB.collider.quaternion);
+            }
+        }
+    }
+    
+    /**
+     * Get the pivot's world position
+     * @param {Vector3} target - Output point
+     * @returns {Vector3} - Pivot position
+     */
+    getPivot(target) {
+        return target.addVectors(this.bodyA.position, this.pivotA);
+    }
+    
+    afterSolve(timeStep) {
+        if (!this.rotateBody || this.bodyB.isSleeping || !this.bodyB.collider.setRotation) return;
+        
+        this.getRotation(_rotation).multiply(this.restRotation);
+        this.bodyB.collider.setRotation(_rotation);
+        this.bodyB.collider.updatePosition(this.bodyB.position);
+        
+        _euler.setFromQuaternion(_rotation);
+        this.bodyB.rotation.set(_euler.x, _euler.y, _euler.z);
+    }
+    
+    /**
+     * Rotation of the arm from its rest direction
+     * @param {Quaternion} target - Output rotation
+     * @returns {Quaternion} - Swing rotation
+     */
+    getRotation(target) {
+        return target.identity();
+    }
+    
+    getWorldAnchors(targetA, targetB) {
+        this.getPivot(targetA);
+        targetB.copy(this.bodyB.position);
+    }
+}
+
+/**
+ * Lets bodyB swing freely around a pivot, at its starting distance, like a
+ * hanging light. swingLimit caps the angle (radians) away from the rest arm.
+ */
+export class BallSocketConstraint extends PivotConstraint {
+    /**
+     * Create a ball and socket joint
+     * @param {PhysicsBody} bodyA - Body the socket is fixed to
+     * @param {PhysicsBody} bodyB - Swinging body
+     * @param {Object} options - Constraint options (pivot, swingLimit)
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        super(bodyA, bodyB, options);
+        
+        this.length = this.restArm.length();
+        this.restDirection = this.length > 1e-6 ?
+            this.restArm.clone().divideScalar(this.length) :
+            new Vector3(0, -1, 0);
+        this.swingLimit = options.swingLimit !== undefined ? options.swingLimit : Math.PI;
+    }
+    
+    solve(timeStep) {
+        const arm = _arm.subVectors(this.bodyB.position, this.getPivot(_anchorA));
+        const length = arm.length();
+        if (length < 1e-6) return;
+        
+        const direction = _axis.copy(arm).divideScalar(length);
+        this.applyCorrection(direction, this.length - length);
+        
+        // Pull back inside the swing cone
+        if (this.swingLimit < Math.PI && this.length > 1e-6) {
+            const angle = direction.angleTo(this.restDirection);
+            
+            if (angle > this.swingLimit) {
+                // Along the sphere, toward the rest direction
+                const tangent = _tangent.copy(this.restDirection)
+                    .addScaledVector(direction, -direction.dot(this.restDirection));
+                
+                if (tangent.lengthSq() > 1e-12) {
+                    this.applyCorrection(tangent.normalize(), (angle - this.swingLimit) * this.length, true);
+                }
+            }
+        }
+        
+        this.updateColliders();
+    }
+    
+    getRotation(target) {
+        const arm = _arm.subVectors(this.bodyB.position, this.getPivot(_anchorA));
+        if (this.length < 1e-6 || arm.lengthSq() < 1e-12) return target.identity();
+        
+        return target.setFromUnitVectors(this.restDirection, arm.normalize());
+    }
+}
+
+/**
+ * Lets bodyB turn around an axis through a pivot, like a door. Angles are
+ * measured from the starting position, and lowerLimit and upperLimit
+ * (radians) stop the swing.
+ */
+export class HingeConstraint extends PivotConstraint {
+    /**
+     * Create a hinge joint
+     * @param {PhysicsBody} bodyA - Body the hinge is fixed to
+     * @param {PhysicsBody} bodyB - Swinging body
+     * @param {Object} options - Constraint options (pivot, axis, lowerLimit, upperLimit)
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        super(bodyA, bodyB, options);
+        
+        this.axis = options.axis ? options.axis.clone().normalize() : new Vector3(0, 1, 0);
+        this.lowerLimit = options.lowerLimit !== undefined ? options.lowerLimit : -Infinity;
+        this.upperLimit = options.upperLimit !== undefined ? options.upperLimit : Infinity;
+        
+        // Split the rest arm into its height along the axis and its reach out from it
+        this.height = this.restArm.dot(this.axis);
+        this.restDirection = this.restArm.clone().addScaledVector(this.axis, -this.height);
+        this.radius = this.restDirection.length();
+        if (this.radius > 1e-6) {
+            this.restDirection.divideScalar(this.radius);
+        }
+        
+        this.angle = 0;
+    }
+    
+    solve(timeStep) {
+        const axis = this.axis;
+        const arm = _arm.subVectors(this.bodyB.position, this.getPivot(_anchorA));
+        
+        // Hold the height along the axis
+        const height = arm.dot(axis);
+        this.applyCorrection(axis, this.height - height);
+        
+        // Hold the distance out from the axis
+        const reach = arm.addScaledVector(axis, -height);
+        const radius = reach.length();
+        if (this.radius < 1e-6 || radius < 1e-6) {
+            this.updateColliders();
+            return;
+        }
+        
+        const direction = _axis.copy(reach).divideScalar(radius);
+        this.applyCorrection(direction, this.radius - radius);
+        
+        // Stop at the limits, moving back along the circle
+        this.angle = this.getAngle(direction);
+        const tangent = _tangent.crossVectors(axis, direction);
+        
+        if (this.angle > this.upperLimit) {
+            this.applyCorrection(tangent.negate(), (this.angle - this.upperLimit) * this.radius, true);
+        } else if (this.angle < this.lowerLimit) {
+            this.applyCorrection(tangent, (this.lowerLimit - this.angle) * this.radius, true);
+        }
+        
+        this.updateColliders();
+    }
+    
+    /**
+     * Angle of a direction around the axis, from the rest direction
+     * @param {Vector3} direction - Unit direction perpendicular to the axis
+     * @returns {number} - Angle in radians (-PI to PI)
+     */
+    getAngle(direction) {
+        const sin = _cross.crossVectors(this.restDirection, direction).dot(this.axis);
+        return Math.atan2(sin, this.restDirection.dot(direction));
+    }
+    
+    afterSolve(timeStep) {
+        // Measure where the last iteration left bodyB
+        const arm = _arm.subVectors(this.bodyB.position, this.getPivot(_anchorA));
+        arm.addScaledVector(this.axis, -arm.dot(this.axis));
+        if (this.radius > 1e-6 && arm.lengthSq() > 1e-12) {
+            this.angle = this.getAngle(arm.normalize());
+        }
+        
+        super.afterSolve(timeStep);
+    }
+    
+    getRotation(target) {
+        return target.setFromAxisAngle(this.axis, this.angle);
+    }
+}
\ No newline at end of file
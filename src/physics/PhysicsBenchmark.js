@@ -0,0 +1,151 @@
+// src/physics/PhysicsBenchmark.js
+import { Vector3 } from 'three';
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { PhysicsBody, BoxObstacle, GroundPlane } from './PhysicsBody.js';
+
+/**
+ * Small deterministic random generator so both runs get the same scene
+ * @param {number} seed - Seed value
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build a headless physics world filled with moving spheres and static crates
+ * @param {Object} options - Scene options
+ * @param {boolean} useBroadphase - Use the spatial hash or test every pair
+ * @returns {PhysicsWorld} - Populated world
+ */
+function createScene(options, useBroadphase) {
+    const engine = {
+        config: { gravity: -20, physicsFPS: 120, useBroadphase },
+        player: null
+    };
+    const world = new PhysicsWorld(engine);
+    const random = createRandom(options.seed);
+    
+    world.addBody(new GroundPlane());
+    
+    for (let i = 0; i < options.staticBodies; i++) {
+        world.addBody(new BoxObstacle({
+            position: new Vector3(
+                (random() - 0.5) * options.areaSize,
+                1,
+                (random() - 0.5) * options.areaSize
+            ),
+            halfExtents: new Vector3(0.5 + random(), 1, 0.5 + random())
+        }));
+    }
+    
+    for (let i = 0; i < options.bodies; i++) {
+        world.addBody(new PhysicsBody({
+            position: new Vector3(
+                (random() - 0.5) * options.areaSize,
+                random() * 2,
+                (random() - 0.5) * options.areaSize
+            ),
+            velocity: new Vector3((random() - 0.5) * 8, 0, (random() - 0.5) * 8),
+            mass: 70,
+            radius: 0.5
+        }));
+    }
+    
+    return world;
+}
+
+/**
+ * Bounce a body off the edges of the area so density stays constant
+ * @param {PhysicsBody} body - Body to contain
+ * @param {number} halfSize - Half width of the area
+ */
+function keepInside(body, halfSize) {
+    if (Math.abs(body.position.x) > halfSize) {
+        body.velocity.x = -Math.sign(body.position.x) * Math.abs(body.velocity.x);
+    }
+    if (Math.abs(body.position.z) > halfSize) {
+        body.velocity.z = -Math.sign(body.position.z) * Math.abs(body.velocity.z);
+    }
+}
+
+/**
+ * Time a number of fixed steps
+ * @param {PhysicsWorld} world - World to step
+ * @param {number} steps - Number of fixed steps
+ * @param {number} halfSize - Half width of the area
+ * @returns {number} - Milliseconds taken
+ */
+function timeSteps(world, steps, halfSize) {
+    const start = performance.now();
+    
+    for (let i = 0; i < steps; i++) {
+        world.fixedUpdate(world.fixedTimeStep);
+        for (const body of world.bodies) {
+            keepInside(body, halfSize);
+        }
+    }
+    
+    return performance.now() - start;
+}
+
+/**
+ * Compare brute force and broadphase collision detection on the same scene.
+ * Runs headless - `npm run bench`, optionally followed by body counts.
+ * @param {Object} options - Benchmark options
+ * @param {Array<number>} options.bodyCounts - Dynamic body counts to test
+ * @param {number} options.staticBodies - Static crates in the scene
+ * @param {number} options.steps - Fixed steps per run (120 = 1 second)
+ * @param {number} options.areaSize - Width of the square play area
+ * @param {number} options.seed - Random seed
+ * @returns {Array<Object>} - One result per body count
+ */
+export function runPhysicsBenchmark(options = {}) {
+    const settings = {
+        bodyCounts: options.bodyCounts || [50, 100, 200, 400],
+        staticBodies: options.staticBodies !== undefined ? options.staticBodies : 50,
+        steps: options.steps || 120,
+        areaSize: options.areaSize || 60,
+        seed: options.seed || 1
+    };
+    
+    const results = [];
+    const halfSize = settings.areaSize / 2;
+    
+    // Warm up the JIT so the first measured run isn't penalised
+    const warmup = { ...settings, bodies: settings.bodyCounts[0] };
+    timeSteps(createScene(warmup, false), 30, halfSize);
+    timeSteps(createScene(warmup, true), 30, halfSize);
+    
+    for (const bodies of settings.bodyCounts) {
+        const sceneOptions = { ...settings, bodies };
+        const bruteForceMs = timeSteps(createScene(sceneOptions, false), settings.steps, halfSize);
+        const broadphaseMs = timeSteps(createScene(sceneOptions, true), settings.steps, halfSize);
+        
+        results.push({
+            bodies,
+            staticBodies: settings.staticBodies,
+            steps: settings.steps,
+            bruteForceMs: Math.round(bruteForceMs * 10) / 10,
+            broadphaseMs: Math.round(broadphaseMs * 10) / 10,
+            speedup: Math.round(bruteForceMs / broadphaseMs * 10) / 10
+        });
+    }
+    
+    console.table(results);
+    return results;
+}
+
+// Command line entry: node src/physics/PhysicsBenchmark.js [bodyCount ...]
+if (typeof process !== 'undefined' && process.argv[1] &&
+    import.meta.url === new URL(process.argv[1], 'file://').href) {
+    const bodyCounts = process.argv.slice(2).map(Number).filter(count => count > 0);
+    runPhysicsBenchmark(bodyCounts.length > 0 ? { bodyCounts } : {});
+}
\ No newline at end of file
@@ -1,6 +1,11 @@
 // src/physics/PhysicsBody.js
-import { Vector3 } from 'three';
-import { SphereCollider, BoxCollider } from './Collider.js';
+import { Vector3, Box3 } from 'three';
+import { SphereCollider, BoxCollider, OrientedBoxCollider, PlaneCollider, HeightfieldCollider } from './Collider.js';
+import { CollisionLayers, getLayerMask } from './CollisionLayers.js';
+import { getPhysicsMaterial } from './PhysicsMaterial.js';
+
+// Ids key contact pairs in the physics world
+let nextBodyId = 1;
 
 export class PhysicsBody {
     /**
@@ -8,6 +13,11 @@ export class PhysicsBody {
      * @param {Object} options - Physics body options
      */
     constructor(options = {}) {
+        this.bodyId = nextBodyId++;
+        
+        // Entity the body belongs to (player, zombie, pickup), if any
+        this.owner = options.owner || null;
+        
         // Position and orientation
         this.position = options.position ? options.position.clone() : new Vector3();
         this.rotation = options.rotation ? options.rotation.clone() : new Vector3();
@@ -22,39 +32,82 @@ export class PhysicsBody {
         this.invMass = this.mass > 0 ? 1.0 / this.mass : 0;
         this.isStatic = options.isStatic !== undefined ? options.isStatic : false;
         
-        if (this.isStatic) {
+        // Kinematic bodies are moved by code (character controllers) rather than
+        // by forces, and push dynamic bodies without being pushed back
+        this.isKinematic = options.isKinematic || false;
+        
+        if (this.isStatic || this.isKinematic) {
             this.mass = 0;
             this.invMass = 0;
         }
         
-        // Material properties
-        this.restitution = options.restitution !== undefined ? options.restitution : 0.1; // Lower default restitution
-        this.friction = options.friction !== undefined ? options.friction : 0.1; // Lower default friction
+        // Material properties - explicit friction and restitution override the material's
+        this.material = getPhysicsMaterial(options.material);
+        this.restitution = options.restitution !== undefined ? options.restitution : this.material.restitution;
+        this.friction = options.friction !== undefined ? options.friction : this.material.friction;
         
         // Collision state
         this.onGround = false;
+        this.groundBody = null; // Body stood on during the last step
         this.usesGravity = options.usesGravity !== undefined ? options.usesGravity : true;
         
+        // Collision filtering - names from CollisionLayers or raw bits
+        this.layer = getLayerMask(options.layer, CollisionLayers.default);
+        this.mask = getLayerMask(options.mask);
+        
+        // Triggers report overlaps but never push bodies apart
+        this.isTrigger = options.isTrigger || false;
+        
         // Terminal velocity prevention
         this.maxFallSpeed = 30.0; // Maximum fall speed to prevent excessive velocity
         
         // Stabilization settings
         this.stabilizeThreshold = 0.01; // Higher threshold to prevent lingering motion
         
+        // Sleeping - bodies that stay slow long enough stop integrating and
+        // colliding until something wakes them
+        this.allowSleep = options.allowSleep !== undefined ? options.allowSleep : true;
+        this.isSleeping = false;
+        this.sleepTimer = 0; // Seconds spent under the world's sleep speed
+        this.previousPosition = this.position.clone(); // Position at the start of the step
+        
         // Collider
-        if (options.radius !== undefined) {
+        if (options.collider) {
+            this.collider = options.collider;
+            this.collider.updatePosition(this.position);
+        } else if (options.radius !== undefined) {
             // Sphere collider
             this.radius = options.radius;
             this.collider = new SphereCollider(this.position, this.radius);
         } else if (options.halfExtents !== undefined) {
-            // Box collider
+            // Box collider - oriented if the body is rotated
             this.halfExtents = options.halfExtents.clone();
-            this.collider = new BoxCollider(this.position, this.halfExtents);
+            
+            if (this.rotation.lengthSq() > 0) {
+                this.collider = new OrientedBoxCollider(this.position, this.halfExtents, this.rotation);
+            } else {
+                this.collider = new BoxCollider(this.position, this.halfExtents);
+            }
         } else {
             // Default to sphere with radius 1
             this.radius = 1.0;
             this.collider = new SphereCollider(this.position, this.radius);
         }
+        
+        // Continuous collision detection - above ccdSpeedThreshold the world
+        // sweeps a sphere along the velocity so the body can't pass through
+        // thin geometry between steps. The sphere is half the body's thickness
+        // so a body resting on a surface doesn't start the sweep touching it.
+        this.ccdEnabled = options.ccd !== undefined ? options.ccd : true;
+        this.ccdSpeedThreshold = options.ccdSpeedThreshold !== undefined ? options.ccdSpeedThreshold : 10;
+        
+        if (options.ccdRadius !== undefined) {
+            this.ccdRadius = options.ccdRadius;
+        } else if (this.halfExtents) {
+            this.ccdRadius = Math.min(this.halfExtents.x, this.halfExtents.y, this.halfExtents.z) * 0.5;
+        } else {
+            this.ccdRadius = (this.radius || this.collider.radius || 0) * 0.5;
+        }
     }
     
     /**
@@ -65,6 +118,7 @@ export class PhysicsBody {
         // Skip if static
         if (this.isStatic) return;
         
+        if (this.isSleeping) this.wakeUp();
         this.forces.add(force);
     }
     
@@ -76,10 +130,41 @@ export class PhysicsBody {
         // Skip if static
         if (this.isStatic) return;
         
+        if (this.isSleeping) this.wakeUp();
+        
         // Update velocity directly (F = ma => dv = F/m)
         this.velocity.add(impulse.clone().multiplyScalar(this.invMass));
     }
     
+    /**
+     * Change the body's surface material
+     * @param {string|Object|PhysicsMaterial} material - Material name, material, or inline options
+     */
+    setMaterial(material) {
+        this.material = getPhysicsMaterial(material);
+        this.restitution = this.material.restitution;
+        this.friction = this.material.friction;
+    }
+    
+    /**
+     * Put the body to sleep - it keeps its place until woken
+     */
+    sleep() {
+        if (this.isStatic) return;
+        
+        this.isSleeping = true;
+        this.velocity.set(0, 0, 0);
+        this.forces.set(0, 0, 0);
+    }
+    
+    /**
+     * Wake the body and restart its sleep timer
+     */
+    wakeUp() {
+        this.isSleeping = false;
+        this.sleepTimer = 0;
+    }
+    
     /**
      * Integrate forces to update acceleration and velocity
      * @param {number} timeStep - Physics time step
@@ -154,6 +239,68 @@ export class PhysicsBody {
     checkCollision(other) {
         return this.collider ? this.collider.getCollisionInfo(other.collider) : null;
     }
+    
+    /**
+     * Check if the layers of two bodies allow them to collide
+     * @param {PhysicsBody} other - Other body
+     * @returns {boolean} - True if each body's layer is in the other's mask
+     */
+    canCollideWith(other) {
+        return (this.layer & other.mask) !== 0 && (other.layer & this.mask) !== 0;
+    }
+    
+    /**
+     * Get the world space bounding box used by the broadphase
+     * @param {Box3} target - Box to write the result to
+     * @returns {Box3} - Bounding box
+     */
+    getBounds(target = new Box3()) {
+        if (this.collider) {
+            return this.collider.getBounds(target);
+        }
+        return target.set(this.position, this.position).expandByScalar(this.radius || 0);
+    }
+    
+    /**
+     * Intersect a ray with this body
+     * @param {Ray} ray - Ray with normalized direction
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    raycast(ray, maxDistance, result) {
+        return this.collider ? this.collider.raycast(ray, maxDistance, result) : false;
+    }
+    
+    /**
+     * Sweep a sphere along a ray against this body
+     * @param {Ray} ray - Path of the sphere center
+     * @param {number} radius - Swept sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {RaycastResult} result - Result to fill on hit
+     * @returns {boolean} - True if hit
+     */
+    sphereCast(ray, radius, maxDistance, result) {
+        return this.collider ? this.collider.sphereCast(ray, radius, maxDistance, result) : false;
+    }
+    
+    /**
+     * Check overlap with a sphere
+     * @param {Sphere} sphere - World space sphere
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsSphere(sphere) {
+        return this.collider ? this.collider.intersectsSphere(sphere) : false;
+    }
+    
+    /**
+     * Check overlap with an axis aligned box
+     * @param {Box3} box - World space box
+     * @returns {boolean} - True if overlapping
+     */
+    intersectsBox(box) {
+        return this.collider ? this.collider.intersectsBox(box) : false;
+    }
 }
 
 /**
@@ -170,6 +317,11 @@ export class StaticBody extends PhysicsBody {
         options.mass = 0;
         options.usesGravity = false;
         
+        // Static bodies are map geometry unless told otherwise
+        if (options.layer === undefined) {
+            options.layer = CollisionLayers.world;
+        }
+        
         super(options);
     }
 }
@@ -183,36 +335,50 @@ export class GroundPlane extends StaticBody {
      * @param {Object} options - Ground plane options
      */
     constructor(options = {}) {
+        const normal = options.normal ? options.normal.clone().normalize() : new Vector3(0, 1, 0);
+        const offset = options.offset !== undefined ? options.offset : 0;
+        options.collider = new PlaneCollider(normal, offset);
+        
         super(options);
         
-        this.normal = options.normal ? options.normal.clone() : new Vector3(0, 1, 0);
-        this.offset = options.offset !== undefined ? options.offset : 0;
+        this.normal = this.collider.normal;
+        this.offset = this.collider.offset;
     }
-    
+}
+
+/**
+ * Terrain surface from a grid of height samples
+ */
+export class HeightfieldTerrain extends StaticBody {
     /**
-     * Check collision with another body
-     * @param {PhysicsBody} other - Other body to check
-     * @returns {Object|null} - Collision info or null
+     * Create a heightfield terrain
+     * @param {Object} options - Terrain options
+     * @param {Array<number>|Float32Array} options.heights - Row-major samples, rows running along +Z
+     * @param {number} options.columns - Samples along X
+     * @param {number} options.rows - Samples along Z
+     * @param {Object} options.size - Terrain size { x, z }
      */
-    checkCollision(other) {
-        // Simple plane vs sphere collision
-        if (other.radius !== undefined) {
-            // Calculate distance from sphere center to plane
-            const distance = other.position.dot(this.normal) - this.offset;
-            
-            // If distance is less than radius, we have collision
-            if (distance < other.radius) {
-                return {
-                    normal: this.normal.clone(),
-                    depth: other.radius - distance,
-                    point: other.position.clone().sub(
-                        this.normal.clone().multiplyScalar(distance)
-                    )
-                };
-            }
-        }
+    constructor(options = {}) {
+        options.collider = new HeightfieldCollider(
+            options.position,
+            options.heights,
+            options.columns,
+            options.rows,
+            options.size.x,
+            options.size.z
+        );
         
-        return null;
+        super(options);
+    }
+    
+    /**
+     * Get the terrain height under a point
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} - Surface height
+     */
+    getHeightAt(x, z) {
+        return this.collider.getHeightAt(x, z);
     }
 }
 
@@ -233,3 +399,178 @@ export class BoxObstacle extends StaticBody {
         super(options);
     }
 }
+
+/**
+ * Box that follows a keyframed path (elevators, sliding doors, moving crates).
+ * The world moves it at the start of each step and carries the bodies
+ * standing on it. Its velocity is the distance moved over the last step.
+ * A looping path that doesn't end where it starts jumps back to the first
+ * keyframe without a velocity, so nothing is flung or carried by the jump.
+ */
+export class KinematicPlatform extends PhysicsBody {
+    /**
+     * Create a kinematic platform
+     * @param {Object} options - Box options plus the path
+     * @param {Array<Object>} options.keyframes - { time, position } pairs sorted by time in seconds
+     * @param {string} options.mode - 'loop', 'pingpong' or 'once'
+     */
+    constructor(options = {}) {
+        options.isKinematic = true;
+        options.usesGravity = false;
+        options.allowSleep = false;
+        
+        if (!options.halfExtents) {
+            options.halfExtents = new Vector3(1, 1, 1);
+        }
+        
+        // Platforms are map geometry unless told otherwise
+        if (options.layer === undefined) {
+            options.layer = CollisionLayers.world;
+        }
+        
+        super(options);
+        
+        this.keyframes = options.keyframes || [];
+        this.mode = options.mode || 'loop';
+        this.time = 0;
+        this.isPlaying = options.autoPlay !== undefined ? options.autoPlay : true;
+        
+        // Jumped back to the start of the path this step
+        this.teleported = false;
+        
+        this._target = new Vector3();
+        
+        if (this.keyframes.length > 0) {
+            this.position.copy(this.keyframes[0].position);
+            this.collider.updatePosition(this.position);
+        }
+    }
+    
+    /**
+     * Length of the path in seconds
+     * @returns {number} - Time of the last keyframe
+     */
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+    
+    /**
+     * Whether the path ends somewhere other than where it starts
+     * @returns {boolean} - True if the last keyframe isn't at the first one
+     */
+    isOpenPath() {
+        const keyframes = this.keyframes;
+        return this.duration > 0 &&
+            !keyframes[0].position.equals(keyframes[keyframes.length - 1].position);
+    }
+    
+    play() {
+        this.isPlaying = true;
+    }
+    
+    pause() {
+        this.isPlaying = false;
+    }
+    
+    /**
+     * Get the path position at a time, wrapped by the path mode
+     * @param {number} time - Seconds since the path started
+     * @param {Vector3} target - Vector to write the position to
+     * @returns {Vector3} - Position on the path
+     */
+    getPositionAt(time, target) {
+        const keyframes = this.keyframes;
+        const duration = this.duration;
+        
+        if (duration > 0) {
+            if (this.mode === 'pingpong') {
+                time %= duration * 2;
+                if (time > duration) time = duration * 2 - time;
+            } else if (this.mode === 'once') {
+                time = Math.min(time, duration);
+            } else {
+                time %= duration;
+            }
+        }
+        
+        let index = 1;
+        while (index < keyframes.length - 1 && keyframes[index].time < time) {
+            index++;
+        }
+        
+        const from = keyframes[index - 1];
+        const to = keyframes[index];
+        if (!to) return target.copy(from.position);
+        
+        const span = to.time - from.time;
+        const alpha = span > 0 ? Math.min(Math.max((time - from.time) / span, 0), 1) : 1;
+        
+        return target.lerpVectors(from.position, to.position, alpha);
+    }
+    
+    /**
+     * Move along the path by one physics step
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    advance(timeStep) {
+        this.teleported = false;
+        
+        if (!this.isPlaying || this.keyframes.length === 0) {
+            this.velocity.set(0, 0, 0);
+            return;
+        }
+        
+        const previousTime = this.time;
+        this.time += timeStep;
+        
+        const target = this.getPositionAt(this.time, this._target);
+        
+        if (this.mode === 'loop' && this.isOpenPath() &&
+            Math.floor(this.time / this.duration) !== Math.floor(previousTime / this.duration)) {
+            this.teleported = true;
+            this.velocity.set(0, 0, 0);
+        } else {
+            this.velocity.subVectors(target, this.position).divideScalar(timeStep);
+        }
+        
+        this.position.copy(target);
+        this.collider.updatePosition(this.position);
+    }
+}
+
+
+/**
+ * Volume that reports bodies entering, staying in and leaving it.
+ * Uses a box collider when given halfExtents, otherwise a sphere.
+ */
+export class TriggerVolume extends StaticBody {
+    /**
+     * Create a trigger volume
+     * @param {Object} options - Trigger options
+     * @param {string} options.id - Name used by map scripts
+     * @param {Object} options.action - Payload passed along with every event
+     * @param {Function} options.onEnter - Called with the event when a body enters
+     * @param {Function} options.onStay - Called with the event every fixed step a body stays inside
+     * @param {Function} options.onExit - Called with the event when a body leaves
+     */
+    constructor(options = {}) {
+        options.isTrigger = true;
+        
+        if (options.layer === undefined) {
+            options.layer = CollisionLayers.trigger;
+        }
+        
+        super(options);
+        
+        this.id = options.id || null;
+        this.action = options.action || null;
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        
+        this.onEnter = options.onEnter || null;
+        this.onStay = options.onStay || null;
+        this.onExit = options.onExit || null;
+        
+        // Bodies inside the volume as of the last fixed step
+        this.overlapping = new Set();
+    }
+}
\ No newline at end of file
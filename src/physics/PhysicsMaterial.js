@@ -0,0 +1,161 @@
+// src/physics/PhysicsMaterial.js
+/**
+ * Surface properties for contact resolution.
+ *
+ * When two bodies touch, their friction and restitution are combined using
+ * the combine mode with the higher priority (average < min < multiply < max),
+ * so ice ('min') stays slippery whatever touches it and rubber ('max') stays
+ * bouncy.
+ *
+ * Maps can define extra materials in a "physicsMaterials" object, and
+ * bodies and structures pick one by name or give their own values inline.
+ */
+
+// Combine modes by priority
+const CombinePriority = {
+    average: 0,
+    min: 1,
+    multiply: 2,
+    max: 3
+};
+
+export class PhysicsMaterial {
+    /**
+     * Create a physics material
+     * @param {Object} options - Material options (name, friction, restitution,
+     *     frictionCombine, restitutionCombine)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'custom';
+        
+        // Coulomb friction coefficient - tangential impulse is capped at friction x normal impulse
+        this.friction = options.friction !== undefined ? options.friction : 0.4;
+        
+        // Fraction of the approach speed kept after a bounce
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.1;
+        
+        this.frictionCombine = PhysicsMaterial.getCombineMode(options.frictionCombine);
+        this.restitutionCombine = PhysicsMaterial.getCombineMode(options.restitutionCombine);
+    }
+    
+    /**
+     * Validate a combine mode name
+     * @param {string} mode - 'average', 'min', 'multiply' or 'max'
+     * @returns {string} - The mode, or 'average' if unknown
+     */
+    static getCombineMode(mode) {
+        if (mode === undefined || mode === null) {
+            return 'average';
+        }
+        
+        if (CombinePriority[mode] === undefined) {
+            console.warn(`Unknown material combine mode: ${mode}`);
+            return 'average';
+        }
+        
+        return mode;
+    }
+    
+    /**
+     * Combine two values with the higher priority of two modes
+     * @param {number} valueA - First value
+     * @param {string} modeA - First value's combine mode
+     * @param {number} valueB - Second value
+     * @param {string} modeB - Second value's combine mode
+     * @returns {number} - Combined value
+     */
+    static combine(valueA, modeA, valueB, modeB) {
+        const mode = CombinePriority[modeA] >= CombinePriority[modeB] ? modeA : modeB;
+        
+        switch (mode) {
+            case 'min':
+                return Math.min(valueA, valueB);
+            case 'multiply':
+                return valueA * valueB;
+            case 'max':
+                return Math.max(valueA, valueB);
+            default:
+                return (valueA + valueB) / 2;
+        }
+    }
+}
+
+/**
+ * Named materials. Terrain uses 'ground' and map boxes 'wood' unless the
+ * map says otherwise.
+ */
+export const PhysicsMaterials = {
+    default: new PhysicsMaterial({ name: 'default' }),
+    ground: new PhysicsMaterial({ name: 'ground', friction: 0.8, restitution: 0.3 }),
+    wood: new PhysicsMaterial({ name: 'wood', friction: 0.5, restitution: 0.2 }),
+    metal: new PhysicsMaterial({ name: 'metal', friction: 0.3, restitution: 0.1 }),
+    ice: new PhysicsMaterial({ name: 'ice', friction: 0.02, restitution: 0.05, frictionCombine: 'min' }),
+    rubber: new PhysicsMaterial({ name: 'rubber', friction: 0.9, restitution: 0.8, restitutionCombine: 'max' })
+};
+
+/**
+ * Register a named material
+ * @param {string} name - Material name
+ * @param {Object} options - Material options
+ * @returns {PhysicsMaterial} - The new material (replaces one with the same name)
+ */
+export function definePhysicsMaterial(name, options = {}) {
+    const material = new PhysicsMaterial({ ...options, name });
+    PhysicsMaterials[name] = material;
+    return material;
+}
+
+/**
+ * Convert a material description into a material
+ * @param {string|Object|PhysicsMaterial} value - Material name, material, or inline options
+ * @param {PhysicsMaterial} fallback - Returned when value is undefined or unknown
+ * @returns {PhysicsMaterial} - Material
+ */
+export function getPhysicsMaterial(value, fallback = PhysicsMaterials.default) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    
+    if (value instanceof PhysicsMaterial) {
+        return value;
+    }
+    
+    // Inline values, e.g. { "friction": 0.1 } on a map structure
+    if (typeof value === 'object') {
+        return new PhysicsMaterial({ ...fallback, ...value, name: value.name || 'custom' });
+    }
+    
+    const material = PhysicsMaterials[value];
+    if (!material) {
+        console.warn(`Unknown physics material: ${value}`);
+        return fallback;
+    }
+    
+    return material;
+}
+
+/**
+ * Combined friction coefficient for a touching pair
+ * @param {PhysicsBody} bodyA - First body
+ * @param {PhysicsBody} bodyB - Second body
+ * @returns {number} - Friction coefficient
+ */
+export function combineFriction(bodyA, bodyB) {
+    return PhysicsMaterial.combine(
+        bodyA.friction, bodyA.material.frictionCombine,
+        bodyB.friction, bodyB.material.frictionCombine
+    );
+}
+
+/**
+ * Combined restitution for a touching pair
+ * @param {PhysicsBody} bodyA - First body
+ * @param {PhysicsBody} bodyB - Second body
+ * @returns {number} - Restitution
+ */
+export function combineRestitution(bodyA, bodyB) {
+    return PhysicsMaterial.combine(
+        bodyA.restitution, bodyA.material.restitutionCombine,
+        bodyB.restitution, bodyB.material.restitutionCombine
+    );
+}
\ No newline at end of file
@@ -1,6 +1,19 @@
 // src/physics/PhysicsWorld.js
-import { Vector3 } from 'three';
-import { PhysicsBody, StaticBody } from './PhysicsBody.js';
+import { Vector3, Ray, Box3, Sphere } from 'three';
+import { PhysicsBody, StaticBody, KinematicPlatform } from './PhysicsBody.js';
+import { SpatialHashBroadphase } from './SpatialHashBroadphase.js';
+import { RaycastResult } from './RaycastResult.js';
+import { Constraint } from './Constraint.js';
+import { combineFriction, combineRestitution } from './PhysicsMaterial.js';
+import { CollisionLayers, ALL_LAYERS, getLayerMask } from './CollisionLayers.js';
+import { EventEmitter } from '../engine/EventEmitter.js';
+
+// Trigger event names and the trigger callback each one calls
+const TriggerEvents = {
+    enter: ['triggerEnter', 'onEnter'],
+    stay: ['triggerStay', 'onStay'],
+    exit: ['triggerExit', 'onExit']
+};
 
 export class PhysicsWorld {
     constructor(engine) {
@@ -11,18 +24,90 @@ export class PhysicsWorld {
         this.accumulator = 0;
         this.fixedTimeStep = 1 / engine.config.physicsFPS;
         
-        // Ground detection settings
-        this.groundThreshold = 0.15; // Higher threshold for ground detection
-        this.groundRayDistance = 0.2; // Distance to check for ground
+        // Broadphase - only bodies sharing grid cells are tested against each other
+        this.useBroadphase = engine.config.useBroadphase !== false;
+        this.broadphase = new SpatialHashBroadphase({
+            cellSize: engine.config.broadphaseCellSize || 2.0
+        });
+        this._candidates = [];
+        this._bodyOrder = new Map();
+        
+        // Sleeping - bodies slower than sleepSpeed for sleepTime seconds stop
+        // being simulated. Touching bodies form an island that sleeps together.
+        this.allowSleep = engine.config.allowSleep !== false;
+        this.sleepSpeed = engine.config.sleepSpeed || 0.2;
+        this.sleepTime = engine.config.sleepTime || 0.5;
+        this._islandParent = [];
+        this._islandAwake = [];
+        this._wakeCandidates = [];
+        
+        // Scratch for queries
+        this._queryCandidates = [];
+        this._queryRay = new Ray();
+        this._queryBox = new Box3();
+        this._querySphere = new Sphere();
+        this._queryResult = new RaycastResult();
+        this._losResult = new RaycastResult();
+        this._losDirection = new Vector3();
+        this._ccdResult = new RaycastResult();
+        
+        // Contacts slower than this don't bounce, so resting bodies settle
+        this.restitutionThreshold = 0.5;
+        
+        // Scratch for contact friction
+        this._relativeVelocity = new Vector3();
+        this._tangent = new Vector3();
+        
+        // Trigger volumes - kept out of the broadphase so nothing collides with them
+        this.triggers = [];
+        this._triggerInside = new Set();
+        
+        // Joints between bodies, solved after integration
+        this.constraints = [];
+        this.constraintIterations = engine.config.constraintIterations || 8;
         
-        // Debug
+        // Touching pairs by key, compared between steps for collision events
+        this.contacts = new Map();
+        this._stepContacts = new Map();
+        
+        // Steps a pair can go untouched before collisionEnd - resting bodies
+        // bounce off the ground for a step now and then
+        this.contactEndSteps = 3;
+        
+        // World events (triggerEnter, triggerStay, triggerExit, collisionStart,
+        // collisionEnd, constraintBreak)
+        this.events = new EventEmitter();
+        
+        // Debug drawing - contacts and queries are only recorded while enabled
         this.debugDraw = false;
+        this.debugContacts = [];
+        this.debugRaycasts = [];
+        this.maxDebugRecords = 1024;
     }
     
     init() {
         console.log('Physics world initialized');
     }
     
+    /**
+     * Register a handler for a world event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler receiving the event object
+     * @returns {Function} - Function that removes the handler
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    /**
+     * Remove a world event handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+    
     /**
      * Add a physics body to the world
      * @param {PhysicsBody} body - Physics body to add
@@ -34,6 +119,11 @@ export class PhysicsWorld {
             return null;
         }
         
+        if (body.isTrigger) {
+            this.triggers.push(body);
+            return body;
+        }
+        
         // Add to appropriate array based on static status
         if (body.isStatic) {
             this.staticBodies.push(body);
@@ -41,6 +131,8 @@ export class PhysicsWorld {
             this.bodies.push(body);
         }
         
+        this.broadphase.insert(body);
+        
         return body;
     }
     
@@ -49,6 +141,22 @@ export class PhysicsWorld {
      * @param {PhysicsBody} body - Body to remove
      */
     removeBody(body) {
+        if (body.isTrigger) {
+            const index = this.triggers.indexOf(body);
+            if (index !== -1) {
+                this.triggers.splice(index, 1);
+            }
+            this.exitTrigger(body);
+            return;
+        }
+        
+        // Bodies leaving the world also leave any trigger they were in
+        for (const trigger of this.triggers) {
+            if (trigger.overlapping.delete(body)) {
+                this.emitTriggerEvent('exit', trigger, body, 0);
+            }
+        }
+        
         if (body.isStatic) {
             const index = this.staticBodies.indexOf(body);
             if (index !== -1) {
@@ -60,12 +168,92 @@ export class PhysicsWorld {
                 this.bodies.splice(index, 1);
             }
         }
+        
+        this.broadphase.remove(body);
+        this.wakeTouching(body);
+        
+        // Joints can't hold a body that isn't simulated
+        this.constraints = this.constraints.filter(
+            constraint => constraint.bodyA !== body && constraint.bodyB !== body
+        );
+        
+        // Removed bodies stop touching everything
+        for (const [key, contact] of this.contacts) {
+            if (contact.bodyA === body || contact.bodyB === body) {
+                this.contacts.delete(key);
+                this.leaveGround(contact);
+                this.events.emit('collisionEnd', contact);
+            }
+        }
+    }
+    
+    /**
+     * Add a joint between two bodies
+     * @param {Constraint} constraint - Constraint to add
+     * @returns {Constraint} - Added constraint
+     */
+    addConstraint(constraint) {
+        if (!(constraint instanceof Constraint)) {
+            console.error('Trying to add a non-Constraint object to the physics world');
+            return null;
+        }
+        
+        this.constraints.push(constraint);
+        constraint.bodyA.wakeUp();
+        constraint.bodyB.wakeUp();
+        
+        return constraint;
+    }
+    
+    /**
+     * Remove a joint
+     * @param {Constraint} constraint - Constraint to remove
+     */
+    removeConstraint(constraint) {
+        const index = this.constraints.indexOf(constraint);
+        if (index === -1) return;
+        
+        this.constraints.splice(index, 1);
+        constraint.bodyA.wakeUp();
+        constraint.bodyB.wakeUp();
+    }
+    
+    /**
+     * Wake sleeping bodies near a body, e.g. ones resting on it
+     * @param {PhysicsBody} body - Body whose neighbours should wake
+     */
+    wakeTouching(body) {
+        const box = body.getBounds(this._queryBox).expandByScalar(0.05);
+        const candidates = this.queryCandidates(box, this._wakeCandidates);
+        
+        for (const other of candidates) {
+            if (other.isSleeping && other !== body) {
+                other.wakeUp();
+            }
+        }
+        
+        candidates.length = 0;
+    }
+    
+    /**
+     * Count bodies that are currently asleep
+     * @returns {number} - Sleeping body count
+     */
+    getSleepingCount() {
+        let count = 0;
+        for (const body of this.bodies) {
+            if (body.isSleeping) count++;
+        }
+        return count;
     }
     
     /**
      * Clear all bodies except player
      */
     clear() {
+        const triggers = this.triggers;
+        const contacts = [...this.contacts.values()];
+        
         // Keep player body
         const playerBody = this.engine.player?.physicsBody;
         
@@ -76,6 +264,26 @@ export class PhysicsWorld {
             this.bodies = [];
             this.staticBodies = [];
         }
+        
+        this.broadphase.clear();
+        if (playerBody) {
+            this.broadphase.insert(playerBody);
+        }
+        
+        this.triggers = [];
+        this.constraints = [];
+        this.contacts.clear();
+        
+        // End everything the removed bodies were part of, as removeBody does.
+        // Emitted last so handlers see the cleared world.
+        for (const trigger of triggers) {
+            this.exitTrigger(trigger);
+        }
+        
+        for (const contact of contacts) {
+            this.leaveGround(contact);
+            this.events.emit('collisionEnd', contact);
+        }
     }
     
     /**
@@ -97,8 +305,18 @@ export class PhysicsWorld {
      * @param {number} timeStep - Fixed physics timestep
      */
     fixedUpdate(timeStep) {
+        const sleepSpeedSq = this.sleepSpeed * this.sleepSpeed;
+        
+        this.movePlatforms(timeStep);
+        
         // Apply gravity and integrate forces for dynamic bodies
         for (const body of this.bodies) {
+            // Game code setting a velocity wakes the body
+            if (body.isSleeping && body.velocity.lengthSq() > sleepSpeedSq) {
+                body.wakeUp();
+            }
+            if (body.isKinematic || body.isSleeping) continue;
+            
             if (body.usesGravity) {
                 body.applyForce(this.gravity.clone().multiplyScalar(body.mass));
             }
@@ -110,32 +328,485 @@ export class PhysicsWorld {
         
         // Update positions of dynamic bodies
         for (const body of this.bodies) {
-            body.integrateVelocity(timeStep);
+            if (!body.isKinematic && !body.isSleeping) {
+                body.integrateVelocity(timeStep * this.getTimeOfImpact(body, timeStep));
+            }
+        }
+        
+        this.solveConstraints(timeStep);
+        
+        // Move characters after the bodies they push have settled
+        for (const body of this.bodies) {
+            if (body.controller) {
+                body.controller.fixedUpdate(this, timeStep);
+            }
+        }
+        
+        this.updateSleeping(timeStep);
+        this.updateContacts();
+        this.updateTriggers(timeStep);
+    }
+    
+    /**
+     * Remember that two bodies touched this step
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     * @param {Vector3} point - Contact point
+     * @param {Vector3} normal - Contact normal pointing from bodyB toward bodyA
+     * @param {number} depth - Penetration depth
+     * @param {number} impactSpeed - Relative speed along the normal before the contact was resolved
+     */
+    reportContact(bodyA, bodyB, point, normal, depth, impactSpeed) {
+        const key = bodyA.bodyId < bodyB.bodyId ?
+            `${bodyA.bodyId}:${bodyB.bodyId}` :
+            `${bodyB.bodyId}:${bodyA.bodyId}`;
+        const existing = this._stepContacts.get(key);
+        
+        // Touched more than once this step (character substeps) - keep the hardest hit
+        if (existing) {
+            existing.depth = Math.max(existing.depth, depth);
+            existing.impactSpeed = Math.max(existing.impactSpeed, impactSpeed);
+            return;
+        }
+        
+        this._stepContacts.set(key, {
+            bodyA,
+            bodyB,
+            point: point ? point.clone() : null,
+            normal: normal.clone(),
+            depth,
+            impactSpeed,
+            missedSteps: 0
+        });
+    }
+    
+    /**
+     * Compare this step's contacts with the last step's and emit
+     * collisionStart and collisionEnd events
+     */
+    updateContacts() {
+        const previous = this.contacts;
+        const current = this._stepContacts;
+        const ended = [];
+        const started = [];
+        
+        for (const [key, contact] of previous) {
+            if (current.has(key)) continue;
+            
+            // Pairs that are asleep aren't tested, but they still touch
+            if (this.isResting(contact.bodyA) && this.isResting(contact.bodyB)) {
+                current.set(key, contact);
+            } else if (++contact.missedSteps < this.contactEndSteps) {
+                current.set(key, contact);
+            } else {
+                this.leaveGround(contact);
+                ended.push(contact);
+            }
+        }
+        
+        for (const [key, contact] of current) {
+            if (!previous.has(key)) {
+                started.push(contact);
+            }
+        }
+        
+        this.contacts = current;
+        this._stepContacts = previous;
+        previous.clear();
+        
+        // Emit last so handlers can add and remove bodies
+        for (const contact of ended) {
+            this.events.emit('collisionEnd', contact);
+        }
+        
+        for (const contact of started) {
+            this.events.emit('collisionStart', contact);
+        }
+    }
+    
+    /**
+     * Forget the ground of a body that stopped touching it. Cleared here
+     * rather than every step, as resting bodies bounce off for single steps.
+     * @param {Object} contact - Contact that ended
+     */
+    leaveGround(contact) {
+        const { bodyA, bodyB } = contact;
+        
+        if (bodyA.groundBody === bodyB) bodyA.groundBody = null;
+        if (bodyB.groundBody === bodyA) bodyB.groundBody = null;
+    }
+    
+    /**
+     * Check if a body is left out of collision tests because it can't move
+     * @param {PhysicsBody} body - Body to check
+     * @returns {boolean} - True if static or asleep
+     */
+    isResting(body) {
+        return body.isStatic || body.isSleeping;
+    }
+    
+    /**
+     * Move keyframed platforms and carry the dynamic bodies resting on them.
+     * Runs before collisions so pushed bodies are resolved in the same step.
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    movePlatforms(timeStep) {
+        let moved = false;
+        
+        for (const body of this.bodies) {
+            if (!(body instanceof KinematicPlatform)) continue;
+            
+            body.advance(timeStep);
+            
+            // Sleeping bodies on or next to it would be left floating
+            if (body.velocity.lengthSq() > 0) {
+                this.wakeTouching(body);
+                moved = true;
+            } else if (body.teleported) {
+                this.wakeTouching(body);
+            }
+        }
+        
+        if (!moved) return;
+        
+        // Characters ride platforms themselves (CharacterController.rideGround)
+        for (const body of this.bodies) {
+            const ground = body.groundBody;
+            if (body.isKinematic || body.isSleeping || !(ground instanceof KinematicPlatform)) continue;
+            
+            body.position.addScaledVector(ground.velocity, timeStep);
+            body.collider.updatePosition(body.position);
+        }
+    }
+    
+    /**
+     * Pull constrained bodies back together after integration, and break
+     * joints that needed more than their breakForce to hold
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    solveConstraints(timeStep) {
+        if (this.constraints.length === 0) return;
+        
+        for (const constraint of this.constraints) {
+            constraint.impulse = 0;
+        }
+        
+        for (let iteration = 0; iteration < this.constraintIterations; iteration++) {
+            for (const constraint of this.constraints) {
+                if (constraint.enabled) {
+                    constraint.solve(timeStep);
+                }
+            }
+        }
+        
+        // Copy so break handlers can add or remove constraints
+        for (const constraint of this.constraints.slice()) {
+            if (!constraint.enabled) continue;
+            
+            constraint.afterSolve(timeStep);
+            constraint.force = constraint.impulse / timeStep;
+            
+            if (constraint.force > constraint.breakForce) {
+                this.breakConstraint(constraint);
+            }
+        }
+    }
+    
+    /**
+     * Remove a joint that was pulled too hard
+     * @param {Constraint} constraint - Constraint to break
+     */
+    breakConstraint(constraint) {
+        this.removeConstraint(constraint);
+        constraint.isBroken = true;
+        
+        this.events.emit('constraintBreak', { constraint, force: constraint.force });
+    }
+    
+    /**
+     * Join the islands of jointed bodies so they sleep and wake together
+     */
+    linkConstraints() {
+        for (const constraint of this.constraints) {
+            if (!constraint.enabled) continue;
+            
+            this.wakeOnContact(constraint.bodyA, constraint.bodyB);
+            this.linkIslands(constraint.bodyA, constraint.bodyB);
+        }
+    }
+    
+    /**
+     * Sweep a fast body along its velocity and find how much of the step it
+     * can move before hitting something. The body stops at the impact and
+     * the next step's collision pass resolves the contact.
+     * @param {PhysicsBody} body - Dynamic body about to be integrated
+     * @param {number} timeStep - Fixed physics timestep
+     * @returns {number} - Fraction of the step to integrate (1 if nothing is hit)
+     */
+    getTimeOfImpact(body, timeStep) {
+        if (!body.ccdEnabled || body.ccdRadius <= 0) return 1;
+        
+        const speed = body.velocity.length();
+        if (speed <= body.ccdSpeedThreshold) return 1;
+        
+        const travel = speed * timeStep;
+        const hit = this.sphereCast(
+            body.position, body.velocity, body.ccdRadius, travel,
+            body.mask, this._ccdResult, body
+        );
+        
+        // Surfaces the body is already leaving don't stop it
+        if (!hit.hit || !body.canCollideWith(hit.body) || hit.normal.dot(body.velocity) >= 0) {
+            return 1;
+        }
+        
+        return hit.distance / travel;
+    }
+    
+    /**
+     * Advance sleep timers and put resting islands to sleep
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    updateSleeping(timeStep) {
+        const bodies = this.bodies;
+        const parent = this._islandParent;
+        const awake = this._islandAwake;
+        const maxStepSq = (this.sleepSpeed * timeStep) ** 2;
+        
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.isSleeping) continue;
+            
+            // Measure how far the body actually moved - stacked bodies keep
+            // some velocity even when the position correction holds them still.
+            // Characters only rest while standing on something.
+            const resting = body.position.distanceToSquared(body.previousPosition) < maxStepSq &&
+                (!body.controller || body.controller.isGrounded);
+            
+            body.sleepTimer = resting ? body.sleepTimer + timeStep : 0;
+            body.previousPosition.copy(body.position);
+            
+            // One body that isn't ready keeps its whole island awake
+            if (!this.allowSleep || !body.allowSleep || body.sleepTimer < this.sleepTime) {
+                awake[this.findIsland(i)] = true;
+            }
+        }
+        
+        for (let i = 0; i < bodies.length; i++) {
+            if (!bodies[i].isSleeping && !awake[this.findIsland(i)]) {
+                bodies[i].sleep();
+            }
+        }
+        
+        parent.length = 0;
+        awake.length = 0;
+    }
+    
+    /**
+     * Find the root of a body's island
+     * @param {number} index - Body index in this.bodies
+     * @returns {number} - Index of the island root
+     */
+    findIsland(index) {
+        const parent = this._islandParent;
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    }
+    
+    /**
+     * Join the islands of two touching dynamic bodies
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     */
+    linkIslands(bodyA, bodyB) {
+        // Static and kinematic bodies never move with an island, and
+        // sleeping ones already count as settled
+        if (bodyA.isStatic || bodyA.isKinematic || bodyA.isSleeping) return;
+        if (bodyB.isStatic || bodyB.isKinematic || bodyB.isSleeping) return;
+        
+        const rootA = this.findIsland(this._bodyOrder.get(bodyA));
+        const rootB = this.findIsland(this._bodyOrder.get(bodyB));
+        if (rootA !== rootB) {
+            this._islandParent[rootB] = rootA;
         }
     }
     
+    /**
+     * Wake a sleeping body when a moving body touches it
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     */
+    wakeOnContact(bodyA, bodyB) {
+        if (bodyA.isSleeping && this.isMoving(bodyB)) {
+            bodyA.wakeUp();
+        } else if (bodyB.isSleeping && this.isMoving(bodyA)) {
+            bodyB.wakeUp();
+        }
+    }
+    
+    /**
+     * Check if a body moved faster than the sleep speed last step
+     * @param {PhysicsBody} body - Body to check
+     * @returns {boolean} - True if the body can disturb sleeping bodies
+     */
+    isMoving(body) {
+        return !body.isStatic && !body.isSleeping && body.sleepTimer === 0;
+    }
+    
+    /**
+     * Find dynamic bodies inside each trigger and emit enter, stay and exit events
+     * @param {number} timeStep - Fixed physics timestep
+     */
+    updateTriggers(timeStep) {
+        // Copy so handlers can add or remove triggers
+        for (const trigger of this.triggers.slice()) {
+            if (!trigger.enabled) {
+                this.exitTrigger(trigger);
+                continue;
+            }
+            
+            const inside = this._triggerInside;
+            const candidates = this.queryCandidates(
+                trigger.getBounds(this._queryBox),
+                this._queryCandidates
+            );
+            
+            for (const body of candidates) {
+                if (body.isStatic || !trigger.canCollideWith(body)) continue;
+                
+                if (trigger.collider.intersects(body.collider)) {
+                    inside.add(body);
+                }
+            }
+            candidates.length = 0;
+            
+            for (const body of trigger.overlapping) {
+                if (!inside.has(body)) {
+                    trigger.overlapping.delete(body);
+                    this.emitTriggerEvent('exit', trigger, body, timeStep);
+                }
+            }
+            
+            for (const body of inside) {
+                if (trigger.overlapping.has(body)) {
+                    this.emitTriggerEvent('stay', trigger, body, timeStep);
+                } else {
+                    trigger.overlapping.add(body);
+                    this.emitTriggerEvent('enter', trigger, body, timeStep);
+                }
+            }
+            
+            inside.clear();
+        }
+    }
+    
+    /**
+     * Emit exit events for every body inside a trigger
+     * @param {TriggerVolume} trigger - Trigger to empty
+     */
+    exitTrigger(trigger) {
+        for (const body of trigger.overlapping) {
+            trigger.overlapping.delete(body);
+            this.emitTriggerEvent('exit', trigger, body, 0);
+        }
+    }
+    
+    /**
+     * Call the trigger's callback and emit the matching world event
+     * @param {string} type - 'enter', 'stay' or 'exit'
+     * @param {TriggerVolume} trigger - Trigger volume
+     * @param {PhysicsBody} body - Body entering, inside or leaving
+     * @param {number} deltaTime - Time step the event covers
+     */
+    emitTriggerEvent(type, trigger, body, deltaTime) {
+        const [eventName, callbackName] = TriggerEvents[type];
+        const event = { trigger, body, action: trigger.action, deltaTime };
+        
+        if (trigger[callbackName]) {
+            trigger[callbackName](event);
+        }
+        
+        this.events.emit(eventName, event);
+    }
+    
     /**
      * Detect and resolve all collisions
      */
     detectCollisions() {
-        // Dynamic vs dynamic collisions
+        // Every body starts the step as its own island
+        for (let i = 0; i < this.bodies.length; i++) {
+            this._bodyOrder.set(this.bodies[i], i);
+            this._islandParent[i] = i;
+            this._islandAwake[i] = false;
+        }
+        
+        if (!this.useBroadphase) {
+            this.detectCollisionsBruteForce();
+            this.linkConstraints();
+            this._bodyOrder.clear();
+            return;
+        }
+        
+        // Refresh grid cells for bodies that moved last step
+        for (let i = 0; i < this.bodies.length; i++) {
+            this.broadphase.update(this.bodies[i]);
+            this.resetGroundState(this.bodies[i]);
+        }
+        
         for (let i = 0; i < this.bodies.length; i++) {
             const bodyA = this.bodies[i];
+            const candidates = this.broadphase.queryBody(bodyA, this._candidates);
             
-            // Check world bounds (ground collision)
-            this.checkWorldBounds(bodyA);
+            for (const bodyB of candidates) {
+                // Each dynamic pair is handled once, by the body that comes first
+                if (!bodyB.isStatic && this._bodyOrder.get(bodyB) < i) continue;
+                if (!this.shouldCollide(bodyA, bodyB)) continue;
+                
+                if (this.checkCollision(bodyA, bodyB)) {
+                    this.wakeOnContact(bodyA, bodyB);
+                    this.resolveCollision(bodyA, bodyB);
+                    this.linkIslands(bodyA, bodyB);
+                }
+            }
+            
+            candidates.length = 0;
+        }
+        
+        this.linkConstraints();
+        this._bodyOrder.clear();
+    }
+    
+    /**
+     * Test every body against every other body (no broadphase)
+     */
+    detectCollisionsBruteForce() {
+        for (const body of this.bodies) {
+            this.resetGroundState(body);
+        }
+        
+        // Dynamic vs dynamic collisions
+        for (let i = 0; i < this.bodies.length; i++) {
+            const bodyA = this.bodies[i];
             
             // Check against other dynamic bodies
             for (let j = i + 1; j < this.bodies.length; j++) {
                 const bodyB = this.bodies[j];
+                if (!this.shouldCollide(bodyA, bodyB)) continue;
                 
                 if (this.checkCollision(bodyA, bodyB)) {
+                    this.wakeOnContact(bodyA, bodyB);
                     this.resolveCollision(bodyA, bodyB);
+                    this.linkIslands(bodyA, bodyB);
                 }
             }
             
             // Check against static bodies
             for (const staticBody of this.staticBodies) {
+                if (!this.shouldCollide(bodyA, staticBody)) continue;
+                
                 if (this.checkCollision(bodyA, staticBody)) {
                     this.resolveCollision(bodyA, staticBody);
                 }
@@ -144,33 +815,241 @@ export class PhysicsWorld {
     }
     
     /**
-     * Check if a body is out of world bounds
-     * @param {PhysicsBody} body - Body to check
+     * Check if the collision response should handle a pair of bodies.
+     * Character controllers move themselves out of static and kinematic
+     * bodies, so only pairs with a dynamic body are resolved here.
+     * Pairs where neither body is awake are skipped.
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     * @returns {boolean} - True if the pair should be tested
      */
-    checkWorldBounds(body) {
-        // Improved ground detection - only considers the player on ground if they're close
-        // Prevents getting stuck but still allows jumping
-        if (body.position.y < this.groundThreshold) {
-            // Position correction - more height to avoid sticking
-            if (body.position.y < 0) {
-                body.position.y = 0.05; // Slightly more lift to avoid sticking
-            }
+    shouldCollide(bodyA, bodyB) {
+        if (bodyA.isKinematic && (bodyB.isStatic || bodyB.isKinematic)) return false;
+        if (bodyB.isKinematic && bodyA.isStatic) return false;
+        
+        // Sleeping bodies only need testing against awake ones
+        if (bodyA.isSleeping && (bodyB.isSleeping || bodyB.isStatic)) return false;
+        if (bodyB.isSleeping && bodyA.isStatic) return false;
+        
+        return bodyA.canCollideWith(bodyB);
+    }
+    
+    /**
+     * Clear a dynamic body's ground flag before collisions set it again
+     * @param {PhysicsBody} body - Body to reset
+     */
+    resetGroundState(body) {
+        // Character controllers track their own ground state, and sleeping
+        // bodies keep theirs
+        if (!body.isKinematic && !body.isSleeping) {
+            body.onGround = false;
+        }
+    }
+    
+    /**
+     * Check if the straight line between two points is clear of occluders
+     * @param {Vector3} from - Start point
+     * @param {Vector3} to - End point
+     * @param {number|string|Array} mask - Layers that block the line (map geometry by default)
+     * @returns {boolean} - True if nothing in the mask blocks the line
+     */
+    checkLineOfSight(from, to, mask = CollisionLayers.world) {
+        const direction = this._losDirection.subVectors(to, from);
+        const length = direction.length();
+        if (length === 0) return true;
+        
+        // Stop just short of the end so the ground a target stands on doesn't count
+        const reach = Math.max(0, length - 0.01);
+        return !this.raycast(from, direction, reach, mask, this._losResult).hit;
+    }
+    
+    /**
+     * Cast a ray against body colliders
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Ray direction (doesn't need to be normalized)
+     * @param {number} maxDistance - Maximum hit distance
+     * @param {number|string|Array} mask - Layers to hit (all by default)
+     * @param {RaycastResult} result - Result to fill (a new one by default)
+     * @param {PhysicsBody} ignore - Body to skip (e.g. the caster's own body)
+     * @returns {RaycastResult} - Nearest hit, or a result with hit = false
+     */
+    raycast(origin, direction, maxDistance = Infinity, mask = ALL_LAYERS, result = new RaycastResult(), ignore = null) {
+        return this.sphereCast(origin, direction, 0, maxDistance, mask, result, ignore);
+    }
+    
+    /**
+     * Sweep a sphere along a ray against body colliders
+     * @param {Vector3} origin - Start position of the sphere center
+     * @param {Vector3} direction - Sweep direction (doesn't need to be normalized)
+     * @param {number} radius - Sphere radius
+     * @param {number} maxDistance - Maximum sweep distance
+     * @param {number|string|Array} mask - Layers to hit (all by default)
+     * @param {RaycastResult} result - Result to fill (a new one by default)
+     * @param {PhysicsBody} ignore - Body to skip (e.g. the caster's own body)
+     * @returns {RaycastResult} - Nearest hit, or a result with hit = false
+     */
+    sphereCast(origin, direction, radius, maxDistance = Infinity, mask = ALL_LAYERS, result = new RaycastResult(), ignore = null) {
+        result.reset();
+        mask = getLayerMask(mask);
+        
+        const ray = this._queryRay;
+        ray.origin.copy(origin);
+        ray.direction.copy(direction);
+        if (ray.direction.lengthSq() === 0) return result;
+        ray.direction.normalize();
+        
+        // Bounds of the whole sweep - infinite rays fall back to every body
+        const box = this._queryBox.makeEmpty().expandByPoint(ray.origin);
+        if (Number.isFinite(maxDistance)) {
+            box.expandByPoint(ray.at(maxDistance, this._queryResult.point));
+        } else {
+            box.set(
+                new Vector3(-Infinity, -Infinity, -Infinity),
+                new Vector3(Infinity, Infinity, Infinity)
+            );
+        }
+        box.expandByScalar(radius);
+        
+        const candidates = this.queryCandidates(box, this._queryCandidates);
+        const hit = this._queryResult;
+        
+        for (const body of candidates) {
+            if (body === ignore || !this.matchesMask(body, mask)) continue;
             
-            // Determine if ground state needs to be updated
-            // Only mark as on ground if velocity is low or downward
-            if (body.velocity.y <= 0.1) {
-                // Set on ground
-                body.onGround = true;
-                
-                // Reduce downward velocity to zero
-                if (body.velocity.y < 0) {
-                    body.velocity.y = 0;
-                }
+            hit.reset();
+            if (body.sphereCast(ray, radius, maxDistance, hit) && hit.distance < result.distance) {
+                result.copy(hit);
+                result.body = body;
             }
-        } else {
-            // Definitely in the air
-            body.onGround = false;
         }
+        
+        candidates.length = 0;
+        
+        if (this.debugDraw) {
+            this.recordDebugRaycast(ray.origin, ray.direction, radius, maxDistance, result);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Find bodies overlapping a sphere
+     * @param {Vector3} center - Sphere center
+     * @param {number} radius - Sphere radius
+     * @param {number|string|Array} mask - Layers to include (all by default)
+     * @param {Array} out - Output array
+     * @returns {Array<PhysicsBody>} - Overlapping bodies
+     */
+    overlapSphere(center, radius, mask = ALL_LAYERS, out = []) {
+        mask = getLayerMask(mask);
+        const sphere = this._querySphere.set(center, radius);
+        const candidates = this.queryCandidates(sphere.getBoundingBox(this._queryBox), this._queryCandidates);
+        
+        for (const body of candidates) {
+            if (this.matchesMask(body, mask) && body.intersectsSphere(sphere)) {
+                out.push(body);
+            }
+        }
+        
+        candidates.length = 0;
+        return out;
+    }
+    
+    /**
+     * Find bodies overlapping an axis aligned box
+     * @param {Vector3} center - Box center
+     * @param {Vector3} halfExtents - Box half size on each axis
+     * @param {number|string|Array} mask - Layers to include (all by default)
+     * @param {Array} out - Output array
+     * @returns {Array<PhysicsBody>} - Overlapping bodies
+     */
+    overlapBox(center, halfExtents, mask = ALL_LAYERS, out = []) {
+        mask = getLayerMask(mask);
+        const box = this._queryBox;
+        box.min.copy(center).sub(halfExtents);
+        box.max.copy(center).add(halfExtents);
+        const candidates = this.queryCandidates(box, this._queryCandidates);
+        
+        for (const body of candidates) {
+            if (this.matchesMask(body, mask) && body.intersectsBox(box)) {
+                out.push(body);
+            }
+        }
+        
+        candidates.length = 0;
+        return out;
+    }
+    
+    /**
+     * Collect bodies that may touch a world space box
+     * @param {Box3} box - Query bounds
+     * @param {Array} out - Output array
+     * @returns {Array<PhysicsBody>} - Candidate bodies
+     */
+    queryCandidates(box, out) {
+        if (!this.useBroadphase) {
+            for (const body of this.bodies) out.push(body);
+            for (const body of this.staticBodies) out.push(body);
+            return out;
+        }
+        
+        // Bodies have moved since the last collision pass
+        for (const body of this.bodies) {
+            this.broadphase.update(body);
+        }
+        
+        return this.broadphase.queryBox(box, out);
+    }
+    
+    /**
+     * Check a body's layer against a query mask
+     * @param {PhysicsBody} body - Body to check
+     * @param {number} mask - Layer bits
+     * @returns {boolean} - True if the body should be tested
+     */
+    matchesMask(body, mask) {
+        return (body.layer & mask) !== 0;
+    }
+    
+    /**
+     * Remember a contact for the debug renderer
+     * @param {Vector3} point - Contact point
+     * @param {Vector3} normal - Contact normal
+     */
+    recordDebugContact(point, normal) {
+        if (!this.debugDraw || !point || this.debugContacts.length >= this.maxDebugRecords) return;
+        
+        this.debugContacts.push({ point: point.clone(), normal: normal.clone() });
+    }
+    
+    /**
+     * Remember a ray or sphere cast for the debug renderer
+     * @param {Vector3} origin - Cast origin
+     * @param {Vector3} direction - Normalized cast direction
+     * @param {number} radius - Sphere radius (0 for rays)
+     * @param {number} maxDistance - Maximum cast distance
+     * @param {RaycastResult} result - Cast result
+     */
+    recordDebugRaycast(origin, direction, radius, maxDistance, result) {
+        if (!this.debugDraw || this.debugRaycasts.length >= this.maxDebugRecords) return;
+        
+        // Draw misses of infinite rays at a readable length
+        const distance = result.hit ? result.distance : Math.min(maxDistance, 100);
+        
+        this.debugRaycasts.push({
+            origin: origin.clone(),
+            end: origin.clone().addScaledVector(direction, distance),
+            radius,
+            hit: result.hit
+        });
+    }
+    
+    /**
+     * Forget recorded contacts and casts once they have been drawn
+     */
+    clearDebugRecords() {
+        this.debugContacts.length = 0;
+        this.debugRaycasts.length = 0;
     }
     
     /**
@@ -219,6 +1098,10 @@ export class PhysicsWorld {
         if (collisionInfo) {
             const { normal, depth } = collisionInfo;
             
+            if (this.debugDraw) {
+                this.recordDebugContact(collisionInfo.point, normal);
+            }
+            
             // Calculate relative velocity
             const relativeVelocity = new Vector3();
             relativeVelocity.copy(bodyA.velocity || new Vector3());
@@ -229,19 +1112,21 @@ export class PhysicsWorld {
             // Calculate velocity along normal
             const velAlongNormal = relativeVelocity.dot(normal);
             
+            this.reportContact(bodyA, bodyB, collisionInfo.point, normal, depth, Math.max(0, -velAlongNormal));
+            
             // Only resolve if objects are moving toward each other
             if (velAlongNormal > 0) return;
             
             // Calculate restitution
-            const restitution = Math.min(
-                bodyA.restitution || 0,
-                bodyB.restitution || 0
-            );
+            const restitution = -velAlongNormal > this.restitutionThreshold ?
+                combineRestitution(bodyA, bodyB) :
+                0;
             
             // Calculate impulse scalar
             let j = -(1 + restitution) * velAlongNormal;
-            const invMassA = bodyA.invMass || 0;
-            const invMassB = bodyB.invMass || 0;
+            // Sleeping bodies hold still like static ones
+            const invMassA = bodyA.isSleeping ? 0 : bodyA.invMass || 0;
+            const invMassB = bodyB.isSleeping ? 0 : bodyB.invMass || 0;
             const invMassSum = invMassA + invMassB;
             
             if (invMassSum === 0) return; // Both static - should not happen
@@ -258,6 +1143,10 @@ export class PhysicsWorld {
                 bodyB.velocity.sub(impulse.clone().multiplyScalar(invMassB));
             }
             
+            // Ground first, so a body landing on a platform is already riding it
+            this.updateGroundState(bodyA, bodyB, normal);
+            this.applyFriction(bodyA, bodyB, normal, j, invMassA, invMassB);
+            
             // Correct position (prevent sinking) - Increase position correction
             if (depth > 0) {
                 // More aggressive correction to prevent sticking
@@ -281,10 +1170,6 @@ export class PhysicsWorld {
                 }
             }
             
-            // Update ground state if collision normal points mostly upward
-            if (normal.y > 0.7 && bodyA === this.engine.player?.physicsBody) {
-                bodyA.onGround = true;
-            }
             return;
         }
         
@@ -304,10 +1189,7 @@ export class PhysicsWorld {
         if (velAlongNormal > 0) return;
         
         // Calculate impulse scalar
-        const e = Math.min(
-            bodyA.restitution || 0.3,
-            bodyB.restitution || 0.3
-        );
+        const e = -velAlongNormal > this.restitutionThreshold ? combineRestitution(bodyA, bodyB) : 0;
         const j = -(1 + e) * velAlongNormal;
         const invMassSum = (bodyA.invMass || 0) + (bodyB.invMass || 0);
         
@@ -325,6 +1207,8 @@ export class PhysicsWorld {
             bodyB.velocity.sub(impulseVec.clone().multiplyScalar(bodyB.invMass));
         }
         
+        this.applyFriction(bodyA, bodyB, normal, impulse, bodyA.invMass || 0, bodyB.invMass || 0);
+        
         // Correct position (prevent sinking)
         const minDist = (bodyA.radius || 0.5) + (bodyB.radius || 0.5);
         const dist = bodyA.position.distanceTo(bodyB.position);
@@ -351,8 +1235,64 @@ export class PhysicsWorld {
         }
         
         // Update ground state
-        if (normal.y > 0.7 && bodyA === this.engine.player?.physicsBody) {
+        this.updateGroundState(bodyA, bodyB, normal);
+    }
+    
+    /**
+     * Slow the sliding of two touching bodies against each other. The
+     * friction impulse can't exceed the combined friction times the
+     * normal impulse, so hard landings grip more than light touches.
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     * @param {Vector3} normal - Contact normal pointing from bodyB toward bodyA
+     * @param {number} normalImpulse - Impulse applied along the normal
+     * @param {number} invMassA - Inverse mass of bodyA used for the contact
+     * @param {number} invMassB - Inverse mass of bodyB used for the contact
+     */
+    applyFriction(bodyA, bodyB, normal, normalImpulse, invMassA, invMassB) {
+        const invMassSum = invMassA + invMassB;
+        if (invMassSum === 0 || normalImpulse <= 0) return;
+        
+        const friction = combineFriction(bodyA, bodyB);
+        if (friction <= 0) return;
+        
+        // Platforms move their riders directly (movePlatforms), so a rider
+        // only rubs against the platform with its own velocity
+        const relativeVelocity = this._relativeVelocity.set(0, 0, 0);
+        if (!(bodyA instanceof KinematicPlatform && bodyB.groundBody === bodyA)) {
+            relativeVelocity.add(bodyA.velocity);
+        }
+        if (!(bodyB instanceof KinematicPlatform && bodyA.groundBody === bodyB)) {
+            relativeVelocity.sub(bodyB.velocity);
+        }
+        
+        // Sliding direction in the contact plane
+        const tangent = this._tangent.copy(relativeVelocity)
+            .addScaledVector(normal, -relativeVelocity.dot(normal));
+        const slideSpeed = tangent.length();
+        if (slideSpeed < 1e-6) return;
+        tangent.divideScalar(slideSpeed);
+        
+        // Stop the sliding outright if the contact can grip that hard
+        const frictionImpulse = Math.min(slideSpeed / invMassSum, friction * normalImpulse);
+        
+        bodyA.velocity.addScaledVector(tangent, -frictionImpulse * invMassA);
+        bodyB.velocity.addScaledVector(tangent, frictionImpulse * invMassB);
+    }
+    
+    /**
+     * Mark dynamic bodies resting on each other as grounded
+     * @param {PhysicsBody} bodyA - First body
+     * @param {PhysicsBody} bodyB - Second body
+     * @param {Vector3} normal - Contact normal pointing from bodyB toward bodyA
+     */
+    updateGroundState(bodyA, bodyB, normal) {
+        if (normal.y > 0.7 && !bodyA.isKinematic) {
             bodyA.onGround = true;
+            bodyA.groundBody = bodyB;
+        } else if (normal.y < -0.7 && !bodyB.isKinematic && !bodyB.isStatic) {
+            bodyB.onGround = true;
+            bodyB.groundBody = bodyA;
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,258 @@
+// src/physics/SpatialHashBroadphase.js
+import { Box3 } from 'three';
+
+/**
+ * Uniform grid broadphase.
+ *
+ * Bodies are stored in every cell their collider bounds overlap. Cell ranges
+ * are cached per body, so update() only touches the grid when a body crosses
+ * a cell boundary. Bodies that would cover too many cells (large floors)
+ * go in an oversized list that every query includes.
+ */
+export class SpatialHashBroadphase {
+    /**
+     * Create a spatial hash broadphase
+     * @param {Object} options - Broadphase options
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 2.0;
+        this.maxCellsPerBody = options.maxCellsPerBody || 512;
+        
+        // Cell key -> bodies in that cell
+        this.cells = new Map();
+        
+        // Body -> { minX, minY, minZ, maxX, maxY, maxZ, oversized }
+        this.entries = new Map();
+        
+        // Bodies too large for the grid
+        this.oversized = new Set();
+        
+        // Query stamp used to skip duplicates when a body spans several cells
+        this.queryStamp = 0;
+        this.stamps = new Map();
+        
+        this._bounds = new Box3();
+    }
+    
+    /**
+     * Pack integer cell coordinates into a single key
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @param {number} z - Cell Z
+     * @returns {number} - Cell key
+     */
+    key(x, y, z) {
+        // 16 bits per axis keeps the key inside the exact integer range of a double
+        return ((x + 32768) * 65536 + (y + 32768)) * 65536 + (z + 32768);
+    }
+    
+    /**
+     * Compute the cell range a body's collider covers
+     * @param {PhysicsBody} body - Body to measure
+     * @param {Object} range - Object to write the range to
+     * @returns {Object} - Cell range
+     */
+    getCellRange(body, range = {}) {
+        const bounds = body.getBounds(this._bounds);
+        
+        const size = this.cellSize;
+        range.minX = Math.floor(bounds.min.x / size);
+        range.minY = Math.floor(bounds.min.y / size);
+        range.minZ = Math.floor(bounds.min.z / size);
+        range.maxX = Math.floor(bounds.max.x / size);
+        range.maxY = Math.floor(bounds.max.y / size);
+        range.maxZ = Math.floor(bounds.max.z / size);
+        
+        const cellCount = (range.maxX - range.minX + 1) *
+            (range.maxY - range.minY + 1) *
+            (range.maxZ - range.minZ + 1);
+        range.oversized = !Number.isFinite(cellCount) || cellCount > this.maxCellsPerBody;
+        
+        return range;
+    }
+    
+    /**
+     * Add a body to the grid
+     * @param {PhysicsBody} body - Body to add
+     */
+    insert(body) {
+        if (this.entries.has(body)) {
+            this.update(body);
+            return;
+        }
+        
+        const range = this.getCellRange(body);
+        this.entries.set(body, range);
+        this.addToCells(body, range);
+    }
+    
+    /**
+     * Remove a body from the grid
+     * @param {PhysicsBody} body - Body to remove
+     */
+    remove(body) {
+        const range = this.entries.get(body);
+        if (!range) return;
+        
+        this.removeFromCells(body, range);
+        this.entries.delete(body);
+        this.stamps.delete(body);
+    }
+    
+    /**
+     * Refresh a body's cells after it moved
+     * @param {PhysicsBody} body - Body that moved
+     */
+    update(body) {
+        const range = this.entries.get(body);
+        if (!range) {
+            this.insert(body);
+            return;
+        }
+        
+        const next = this.getCellRange(body, this._nextRange || (this._nextRange = {}));
+        
+        // Still in the same cells - nothing to do
+        if (next.minX === range.minX && next.minY === range.minY && next.minZ === range.minZ &&
+            next.maxX === range.maxX && next.maxY === range.maxY && next.maxZ === range.maxZ &&
+            next.oversized === range.oversized) {
+            return;
+        }
+        
+        this.removeFromCells(body, range);
+        Object.assign(range, next);
+        this.addToCells(body, range);
+    }
+    
+    /**
+     * Remove every body
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.oversized.clear();
+        this.stamps.clear();
+    }
+    
+    addToCells(body, range) {
+        if (range.oversized) {
+            this.oversized.add(body);
+            return;
+        }
+        
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const key = this.key(x, y, z);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(body);
+                }
+            }
+        }
+    }
+    
+    removeFromCells(body, range) {
+        if (range.oversized) {
+            this.oversized.delete(body);
+            return;
+        }
+        
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const key = this.key(x, y, z);
+                    const cell = this.cells.get(key);
+                    if (!cell) continue;
+                    
+                    const index = cell.indexOf(body);
+                    if (index !== -1) {
+                        // Order inside a cell doesn't matter
+                        cell[index] = cell[cell.length - 1];
+                        cell.pop();
+                    }
+                    if (cell.length === 0) {
+                        this.cells.delete(key);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Find bodies whose cells overlap a body's cells
+     * @param {PhysicsBody} body - Body to query around
+     * @param {Array} out - Output array
+     * @returns {Array} - Candidate bodies (excluding the body itself)
+     */
+    queryBody(body, out = []) {
+        const range = this.entries.get(body) || this.getCellRange(body);
+        return this.queryRange(range, out, body);
+    }
+    
+    /**
+     * Find bodies whose cells overlap a world space box
+     * @param {Box3} box - Query box
+     * @param {Array} out - Output array
+     * @returns {Array} - Candidate bodies
+     */
+    queryBox(box, out = []) {
+        const size = this.cellSize;
+        const range = {
+            minX: Math.floor(box.min.x / size),
+            minY: Math.floor(box.min.y / size),
+            minZ: Math.floor(box.min.z / size),
+            maxX: Math.floor(box.max.x / size),
+            maxY: Math.floor(box.max.y / size),
+            maxZ: Math.floor(box.max.z / size)
+        };
+        return this.queryRange(range, out, null);
+    }
+    
+    queryRange(range, out, exclude) {
+        const stamp = ++this.queryStamp;
+        
+        for (const body of this.oversized) {
+            if (body !== exclude) {
+                this.stamps.set(body, stamp);
+                out.push(body);
+            }
+        }
+        
+        // Huge query ranges fall back to a scan of every body
+        const cellCount = (range.maxX - range.minX + 1) *
+            (range.maxY - range.minY + 1) *
+            (range.maxZ - range.minZ + 1);
+        
+        if (range.oversized || !Number.isFinite(cellCount) || cellCount > this.maxCellsPerBody) {
+            for (const body of this.entries.keys()) {
+                if (body !== exclude && this.stamps.get(body) !== stamp) {
+                    this.stamps.set(body, stamp);
+                    out.push(body);
+                }
+            }
+            return out;
+        }
+        
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const cell = this.cells.get(this.key(x, y, z));
+                    if (!cell) continue;
+                    
+                    for (const body of cell) {
+                        if (body !== exclude && this.stamps.get(body) !== stamp) {
+                            this.stamps.set(body, stamp);
+                            out.push(body);
+                        }
+                    }
+                }
+            }
+        }
+        
+        return out;
+    }
+}
\ No newline at end of file
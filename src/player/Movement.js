@@ -47,7 +47,7 @@ export class Movement {
     update(deltaTime) {
         // Get movement input
         const moveInput = this.player.moveInput.clone();
-        const hasInput = moveInput.lengthSq() > 0;
+        const hasInput = moveInput.lengthSq() > 0 && !this.player.isRestrained;
         
         if (hasInput) {
             // Handle active movement
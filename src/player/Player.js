@@ -1,10 +1,19 @@
 // src/player/Player.js
 import { Vector3, Euler } from 'three';
 import { Movement } from './Movement.js';
-import { PhysicsBody } from '../physics/PhysicsBody.js';
+import { CharacterController } from '../physics/CharacterController.js';
 import { WeaponManager } from '../weapons/WeaponManager.js';
 import { InteractionSystem } from './InteractionSystem.js';
 
+/**
+ * On-screen name for a KeyboardEvent.code ('KeyE' -> 'E', 'Space' -> 'SPACE')
+ * @param {string} code - Key code
+ * @returns {string} - Key label
+ */
+function getKeyLabel(code) {
+    return code.replace(/^(Key|Digit|Arrow)/, '').toUpperCase();
+}
+
 export class Player {
     constructor(engine) {
         this.engine = engine;
@@ -26,6 +35,11 @@ export class Player {
         this.coyoteTime = 150; // Coyote time in ms
         this.lastGroundedTime = 0; // Last time player was on ground
         
+        // Footstep noise heard by zombies
+        this.footstepInterval = 0.35; // Seconds between sprinting footsteps
+        this.footstepNoiseRadius = 12; // How far sprinting footsteps carry
+        this.footstepTimer = 0;
+        
         // Health system
         this.health = 100;
         this.maxHealth = 100;
@@ -33,18 +47,29 @@ export class Player {
         this.lastDamageTime = 0;
         this.invulnerabilityDuration = 500; // ms of invulnerability after damage
         
+        // Restraint (grabbed by an enemy) - movement locked until escape or release
+        this.restraint = null;
+        this.restraintGracePeriod = 3; // Seconds after a restraint ends before another can start
+        this.restraintGraceTimer = 0;
+        this.struggleKey = 'Space';
+        this.strugglePrompt = document.getElementById('struggle-prompt');
+        
         // Mark as player entity for entity manager
         this.isPlayer = true;
         
-        // Player physics body
-        this.physicsBody = new PhysicsBody({
+        // Capsule character controller - position is at the feet
+        this.controller = new CharacterController({
             position: this.position.clone(),
             mass: 75, // kg
-            radius: 0.5, // Collision radius
-            restitution: 0.0, // No bounce 
+            radius: 0.4,
+            height: 1.8,
+            stepHeight: 0.35, // Walk up stairs and curbs
+            slopeLimit: 45, // Degrees
             friction: 0.1, // Low friction for smooth movement
-            usesGravity: true
+            layer: 'player',
+            owner: this
         });
+        this.physicsBody = this.controller.body;
         
         // Add physics body to world
         this.engine.physics.addBody(this.physicsBody);
@@ -88,10 +113,17 @@ export class Player {
         
         // Jump - sets a flag and records time for buffer
         input.onKeyDown('Space', () => { 
+            if (this.isRestrained) return;
             this.jumpRequested = true;
             this.jumpBufferTime = performance.now();
         });
         
+        // Mash to break free when restrained (holding the key doesn't count)
+        input.onKeyDown(this.struggleKey, (event) => {
+            if (event.repeat) return;
+            this.struggle();
+        });
+        
         // Sprint
         input.onKeyDown('ShiftLeft', () => { this.isSprinting = true; });
         input.onKeyUp('ShiftLeft', () => { this.isSprinting = false; });
@@ -101,6 +133,9 @@ export class Player {
     }
     
     rotate(dx, dy) {
+        // Camera is held on whatever is restraining us
+        if (this.isRestrained) return;
+        
         // Update camera rotation with mouse input
         this.viewRotation.y -= dx * this.mouseSensitivity;
         this.viewRotation.x -= dy * this.mouseSensitivity;
@@ -200,6 +235,7 @@ export class Player {
         
         // Disable movement
         this.moveInput.set(0, 0, 0);
+        this.release(false);
         
         // Here you would trigger game over screen or respawn logic
         // For now, just respawn after a delay
@@ -215,8 +251,7 @@ export class Player {
         
         // Move to spawn position (you could get this from map data)
         this.position.set(0, 2, 0);
-        this.physicsBody.position.copy(this.position);
-        this.physicsBody.velocity.set(0, 0, 0);
+        this.controller.teleport(this.position);
         
         // Update UI
         this.updateHealthUI();
@@ -224,6 +259,113 @@ export class Player {
         console.log("Player respawned");
     }
     
+    get isRestrained() {
+        return this.restraint !== null;
+    }
+    
+    /**
+     * Restrain the player - locks movement and turns the camera to the source
+     * @param {Object} source - Entity restraining the player
+     * @param {Object} options - Restraint options
+     * @param {number} options.escapePresses - Key presses needed to break free
+     * @param {number} options.escapeDecay - Presses of progress lost per second
+     * @param {Vector3} options.lookTarget - Point the camera turns toward (updated by the source)
+     * @param {Function} options.onRelease - Called with (escaped) when the restraint ends
+     * @returns {boolean} - True if the player is now restrained by the source
+     */
+    restrain(source, options = {}) {
+        if (this.isDead || this.isRestrained || this.restraintGraceTimer > 0) return false;
+        
+        this.restraint = {
+            source,
+            escapePresses: options.escapePresses || 10,
+            escapeDecay: options.escapeDecay || 2.5,
+            lookTarget: options.lookTarget || null,
+            onRelease: options.onRelease || null,
+            progress: 0 // Presses so far, escaped at escapePresses
+        };
+        
+        // Stop dead and drop any queued jump
+        this.moveInput.set(0, 0, 0);
+        this.jumpRequested = false;
+        this.physicsBody.velocity.x = 0;
+        this.physicsBody.velocity.z = 0;
+        
+        this.updateRestraintUI();
+        return true;
+    }
+    
+    /**
+     * End the current restraint
+     * @param {boolean} escaped - True if the player broke free
+     */
+    release(escaped = false) {
+        const restraint = this.restraint;
+        if (!restraint) return;
+        
+        this.restraint = null;
+        this.restraintGraceTimer = this.restraintGracePeriod;
+        this.updateRestraintUI();
+        
+        if (restraint.onRelease) {
+            restraint.onRelease(escaped);
+        }
+    }
+    
+    struggle() {
+        if (!this.isRestrained) return;
+        
+        this.restraint.progress++;
+        
+        if (this.restraint.progress >= this.restraint.escapePresses) {
+            this.release(true);
+        } else {
+            this.updateRestraintUI();
+        }
+    }
+    
+    updateRestraint(deltaTime) {
+        if (this.restraintGraceTimer > 0) {
+            this.restraintGraceTimer = Math.max(0, this.restraintGraceTimer - deltaTime);
+        }
+        
+        if (!this.isRestrained) return;
+        
+        // Escape progress drains if the player stops struggling
+        this.restraint.progress = Math.max(0, this.restraint.progress - this.restraint.escapeDecay * deltaTime);
+        this.updateRestraintUI();
+    }
+    
+    updateRestraintUI() {
+        if (!this.strugglePrompt) return;
+        
+        if (this.isRestrained) {
+            const percent = Math.round(this.restraint.progress / this.restraint.escapePresses * 100);
+            this.strugglePrompt.textContent = `Mash ${getKeyLabel(this.struggleKey)} to break free! ${percent}%`;
+            this.strugglePrompt.style.display = 'block';
+        } else {
+            this.strugglePrompt.style.display = 'none';
+        }
+    }
+    
+    updateFootstepNoise(deltaTime) {
+        const horizontalSpeed = Math.sqrt(
+            this.velocity.x * this.velocity.x +
+            this.velocity.z * this.velocity.z
+        );
+        
+        if (!this.isSprinting || !this.onGround || horizontalSpeed < 1.0) {
+            this.footstepTimer = 0;
+            return;
+        }
+        
+        this.footstepTimer -= deltaTime;
+        if (this.footstepTimer <= 0) {
+            this.footstepTimer = this.footstepInterval;
+            this.engine.enemyManager?.reportNoise(this.position, this.footstepNoiseRadius, 'footstep');
+        }
+    }
+    
     equipWeapon(weapon) {
         this.weaponManager.addWeapon(weapon);
     }
@@ -267,9 +409,15 @@ export class Player {
             }
         }
         
+        // Struggle against anything holding us
+        this.updateRestraint(deltaTime);
+        
         // Update movement based on input
         this.movement.update(deltaTime);
         
+        // Sprinting footsteps can be heard by zombies
+        this.updateFootstepNoise(deltaTime);
+        
         // Update weapon manager
         this.weaponManager.update(deltaTime);
         
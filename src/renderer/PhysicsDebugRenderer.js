@@ -0,0 +1,437 @@
+// src/renderer/PhysicsDebugRenderer.js
+import {
+    BufferGeometry,
+    BufferAttribute,
+    LineSegments,
+    LineBasicMaterial,
+    Color,
+    Vector3
+} from 'three';
+import {
+    SphereCollider,
+    BoxCollider,
+    OrientedBoxCollider,
+    CapsuleCollider,
+    PlaneCollider,
+    HeightfieldCollider
+} from '../physics/Collider.js';
+
+// Line colours by body type
+const Colors = {
+    static: new Color(0x3399ff),
+    dynamic: new Color(0xffaa00),
+    kinematic: new Color(0xff55ff),
+    sleeping: new Color(0x777777),
+    trigger: new Color(0x00ffaa),
+    contact: new Color(0xff2222),
+    normal: new Color(0xffff00),
+    velocity: new Color(0x00ffff),
+    constraint: new Color(0xffffff),
+    rayHit: new Color(0xff4444),
+    rayMiss: new Color(0x66ff66)
+};
+
+// Corner index pairs for the 12 box edges (bit 0 = X, bit 1 = Y, bit 2 = Z)
+const BOX_EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7],
+    [0, 2], [1, 3], [4, 6], [5, 7],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+// Segments used for circles
+const CIRCLE_SEGMENTS = 16;
+
+// Ground grids are only drawn this far around the camera
+const GROUND_DRAW_RADIUS = 15;
+
+/**
+ * Draws physics colliders, joints, contacts, velocities and queries as wireframes.
+ *
+ * Reads PhysicsWorld.debugDraw every frame. While it is off nothing is built
+ * and the world doesn't record contacts or queries. All lines go into one
+ * LineSegments object whose buffers only grow when a frame needs more room.
+ */
+export class PhysicsDebugRenderer {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.scene = renderer.scene;
+        this.engine = renderer.engine;
+        
+        // Scale applied to velocity lines (seconds of travel shown)
+        this.velocityScale = 0.1;
+        
+        // Length of contact normal lines
+        this.normalLength = 0.3;
+        
+        this.capacity = 0; // Vertices the buffers can hold
+        this.count = 0; // Vertices written this frame
+        this.positions = null;
+        this.colors = null;
+        
+        this.geometry = new BufferGeometry();
+        this.lines = new LineSegments(this.geometry, new LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,
+            transparent: true
+        }));
+        this.lines.frustumCulled = false;
+        this.lines.renderOrder = 999;
+        this.lines.visible = false;
+        this.scene.add(this.lines);
+        
+        // Scratch
+        this._a = new Vector3();
+        this._b = new Vector3();
+        this._tangent = new Vector3();
+        this._bitangent = new Vector3();
+        this._center = new Vector3();
+    }
+    
+    /**
+     * Rebuild the wireframes for this frame. Call right before rendering.
+     */
+    update() {
+        const physics = this.engine.physics;
+        
+        if (!physics.debugDraw) {
+            if (this.lines.visible) {
+                this.lines.visible = false;
+                physics.clearDebugRecords();
+            }
+            return;
+        }
+        
+        this.count = 0;
+        
+        for (const body of physics.staticBodies) {
+            this.drawBody(body);
+        }
+        for (const body of physics.bodies) {
+            this.drawBody(body);
+            this.drawVelocity(body);
+        }
+        for (const trigger of physics.triggers) {
+            this.drawBody(trigger);
+        }
+        for (const constraint of physics.constraints) {
+            this.drawConstraint(constraint);
+        }
+        
+        for (const contact of physics.debugContacts) {
+            this.drawContact(contact);
+        }
+        for (const ray of physics.debugRaycasts) {
+            this.drawRaycast(ray);
+        }
+        physics.clearDebugRecords();
+        
+        this.commit();
+        this.lines.visible = true;
+    }
+    
+    /**
+     * Get the line colour for a body
+     * @param {PhysicsBody} body - Body to draw
+     * @returns {Color} - Line colour
+     */
+    getBodyColor(body) {
+        if (body.isTrigger) return Colors.trigger;
+        if (body.isSleeping) return Colors.sleeping;
+        if (body.isStatic) return Colors.static;
+        if (body.isKinematic) return Colors.kinematic;
+        return Colors.dynamic;
+    }
+    
+    /**
+     * Draw a body's collider
+     * @param {PhysicsBody} body - Body to draw
+     */
+    drawBody(body) {
+        const collider = body.collider;
+        const color = this.getBodyColor(body);
+        
+        if (collider instanceof SphereCollider) {
+            this.drawSphere(collider.position, collider.radius, color);
+        } else if (collider instanceof OrientedBoxCollider) {
+            this.drawOrientedBox(collider, color);
+        } else if (collider instanceof BoxCollider) {
+            this.drawBox(collider.box.min, collider.box.max, color);
+        } else if (collider instanceof CapsuleCollider) {
+            this.drawCapsule(collider, color);
+        } else if (collider instanceof PlaneCollider) {
+            this.drawPlane(collider, color);
+        } else if (collider instanceof HeightfieldCollider) {
+            this.drawHeightfield(collider, color);
+        }
+    }
+    
+    drawSphere(center, radius, color) {
+        this.drawCircle(center, radius, 0, color);
+        this.drawCircle(center, radius, 1, color);
+        this.drawCircle(center, radius, 2, color);
+    }
+    
+    /**
+     * Draw a circle around one of the world axes
+     * @param {Vector3} center - Circle center
+     * @param {number} radius - Circle radius
+     * @param {number} axis - 0 for X, 1 for Y, 2 for Z
+     * @param {Color} color - Line colour
+     * @param {number} arc - Fraction of the circle to draw, starting at angle 0
+     */
+    drawCircle(center, radius, axis, color, arc = 1) {
+        const segments = Math.max(1, Math.round(CIRCLE_SEGMENTS * arc));
+        const step = Math.PI * 2 * arc / segments;
+        
+        for (let i = 0; i < segments; i++) {
+            this.circlePoint(center, radius, axis, i * step, this._a);
+            this.circlePoint(center, radius, axis, (i + 1) * step, this._b);
+            this.line(this._a, this._b, color);
+        }
+    }
+    
+    circlePoint(center, radius, axis, angle, target) {
+        const cos = Math.cos(angle) * radius;
+        const sin = Math.sin(angle) * radius;
+        
+        if (axis === 0) return target.set(center.x, center.y + sin, center.z + cos);
+        if (axis === 1) return target.set(center.x + cos, center.y, center.z + sin);
+        return target.set(center.x + cos, center.y + sin, center.z);
+    }
+    
+    drawBox(min, max, color) {
+        for (let i = 0; i < 12; i++) {
+            const [from, to] = BOX_EDGES[i];
+            this._a.set(from & 1 ? max.x : min.x, from & 2 ? max.y : min.y, from & 4 ? max.z : min.z);
+            this._b.set(to & 1 ? max.x : min.x, to & 2 ? max.y : min.y, to & 4 ? max.z : min.z);
+            this.line(this._a, this._b, color);
+        }
+    }
+    
+    drawOrientedBox(collider, color) {
+        const half = collider.halfExtents;
+        
+        for (let i = 0; i < 12; i++) {
+            const [from, to] = BOX_EDGES[i];
+            this.boxCorner(collider, half, from, this._a);
+            this.boxCorner(collider, half, to, this._b);
+            this.line(this._a, this._b, color);
+        }
+    }
+    
+    boxCorner(collider, half, corner, target) {
+        target.set(
+            corner & 1 ? half.x : -half.x,
+            corner & 2 ? half.y : -half.y,
+            corner & 4 ? half.z : -half.z
+        );
+        return collider.directionToWorld(target, target).add(collider.position);
+    }
+    
+    drawCapsule(collider, color) {
+        const { start, end, radius } = collider;
+        
+        // Rings at both ends of the cylinder
+        this.drawCircle(start, radius, 1, color);
+        this.drawCircle(end, radius, 1, color);
+        
+        // Sides
+        for (let i = 0; i < 4; i++) {
+            const angle = i * Math.PI / 2;
+            this.circlePoint(start, radius, 1, angle, this._a);
+            this.circlePoint(end, radius, 1, angle, this._b);
+            this.line(this._a, this._b, color);
+        }
+        
+        // Caps - half circles in two vertical planes
+        this.drawCircle(end, radius, 0, color, 0.5);
+        this.drawCircle(end, radius, 2, color, 0.5);
+        this.drawCapArc(start, radius, 0, color);
+        this.drawCapArc(start, radius, 2, color);
+    }
+    
+    /**
+     * Draw the lower half circle of a capsule's bottom cap
+     */
+    drawCapArc(center, radius, axis, color) {
+        const segments = CIRCLE_SEGMENTS / 2;
+        const step = Math.PI / segments;
+        
+        for (let i = 0; i < segments; i++) {
+            this.circlePoint(center, radius, axis, Math.PI + i * step, this._a);
+            this.circlePoint(center, radius, axis, Math.PI + (i + 1) * step, this._b);
+            this.line(this._a, this._b, color);
+        }
+    }
+    
+    /**
+     * Draw a grid on the plane around the camera
+     */
+    drawPlane(collider, color) {
+        const normal = collider.normal;
+        const camera = this.getCameraPosition();
+        
+        // Camera projected onto the plane
+        const center = this._center.copy(camera)
+            .addScaledVector(normal, collider.offset - camera.dot(normal));
+        
+        // Basis along the plane
+        const tangent = Math.abs(normal.y) < 0.99 ?
+            this._tangent.set(0, 1, 0).cross(normal).normalize() :
+            this._tangent.set(1, 0, 0).cross(normal).normalize();
+        const bitangent = this._bitangent.crossVectors(normal, tangent);
+        
+        const size = GROUND_DRAW_RADIUS;
+        for (let i = -size; i <= size; i += 2) {
+            this._a.copy(center).addScaledVector(tangent, i).addScaledVector(bitangent, -size);
+            this._b.copy(center).addScaledVector(tangent, i).addScaledVector(bitangent, size);
+            this.line(this._a, this._b, color);
+            
+            this._a.copy(center).addScaledVector(bitangent, i).addScaledVector(tangent, -size);
+            this._b.copy(center).addScaledVector(bitangent, i).addScaledVector(tangent, size);
+            this.line(this._a, this._b, color);
+        }
+    }
+    
+    /**
+     * Draw the heightfield's grid lines near the camera
+     */
+    drawHeightfield(collider, color) {
+        const camera = this.getCameraPosition();
+        const min = collider.getCell(camera.x - GROUND_DRAW_RADIUS, camera.z - GROUND_DRAW_RADIUS, {});
+        const max = collider.getCell(camera.x + GROUND_DRAW_RADIUS, camera.z + GROUND_DRAW_RADIUS, {});
+        const originX = collider.position.x - collider.width / 2;
+        const originZ = collider.position.z - collider.depth / 2;
+        
+        for (let row = min.row; row <= max.row + 1; row++) {
+            for (let column = min.column; column <= max.column + 1; column++) {
+                const x = originX + column * collider.cellWidth;
+                const z = originZ + row * collider.cellDepth;
+                this._a.set(x, collider.getSample(column, row), z);
+                
+                if (column <= max.column) {
+                    this._b.set(x + collider.cellWidth, collider.getSample(column + 1, row), z);
+                    this.line(this._a, this._b, color);
+                }
+                if (row <= max.row) {
+                    this._b.set(x, collider.getSample(column, row + 1), z + collider.cellDepth);
+                    this.line(this._a, this._b, color);
+                }
+            }
+        }
+    }
+    
+    drawVelocity(body) {
+        if (body.velocity.lengthSq() < 1e-4) return;
+        
+        this._b.copy(body.position).addScaledVector(body.velocity, this.velocityScale);
+        this.line(body.position, this._b, Colors.velocity);
+    }
+    
+    /**
+     * Draw a joint as a line between the points it connects
+     * @param {Constraint} constraint - Constraint to draw
+     */
+    drawConstraint(constraint) {
+        constraint.getWorldAnchors(this._a, this._b);
+        this.line(this._a, this._b, Colors.constraint);
+    }
+    
+    /**
+     * Draw a contact point as a small cross with its normal
+     * @param {Object} contact - { point, normal } recorded by the world
+     */
+    drawContact(contact) {
+        const { point, normal } = contact;
+        const size = 0.05;
+        
+        for (let axis = 0; axis < 3; axis++) {
+            this._a.copy(point).setComponent(axis, point.getComponent(axis) - size);
+            this._b.copy(point).setComponent(axis, point.getComponent(axis) + size);
+            this.line(this._a, this._b, Colors.contact);
+        }
+        
+        this._b.copy(point).addScaledVector(normal, this.normalLength);
+        this.line(point, this._b, Colors.normal);
+    }
+    
+    /**
+     * Draw a ray or sphere cast up to where it stopped
+     * @param {Object} ray - { origin, end, radius, hit } recorded by the world
+     */
+    drawRaycast(ray) {
+        const color = ray.hit ? Colors.rayHit : Colors.rayMiss;
+        this.line(ray.origin, ray.end, color);
+        
+        if (ray.radius > 0) {
+            this.drawSphere(ray.end, ray.radius, color);
+        }
+    }
+    
+    getCameraPosition() {
+        const camera = this.engine.camera?.camera;
+        return camera ? camera.position : this._center.set(0, 0, 0);
+    }
+    
+    /**
+     * Append a line segment
+     * @param {Vector3} from - Start point
+     * @param {Vector3} to - End point
+     * @param {Color} color - Line colour
+     */
+    line(from, to, color) {
+        if (this.count + 2 > this.capacity) {
+            this.grow();
+        }
+        
+        const i = this.count * 3;
+        this.positions[i] = from.x;
+        this.positions[i + 1] = from.y;
+        this.positions[i + 2] = from.z;
+        this.positions[i + 3] = to.x;
+        this.positions[i + 4] = to.y;
+        this.positions[i + 5] = to.z;
+        
+        this.colors[i] = this.colors[i + 3] = color.r;
+        this.colors[i + 1] = this.colors[i + 4] = color.g;
+        this.colors[i + 2] = this.colors[i + 5] = color.b;
+        
+        this.count += 2;
+    }
+    
+    /**
+     * Double the buffer size, keeping lines written so far
+     */
+    grow() {
+        this.capacity = Math.max(1024, this.capacity * 2);
+        
+        const positions = new Float32Array(this.capacity * 3);
+        const colors = new Float32Array(this.capacity * 3);
+        if (this.positions) {
+            positions.set(this.positions);
+            colors.set(this.colors);
+        }
+        this.positions = positions;
+        this.colors = colors;
+        
+        this.geometry.setAttribute('position', new BufferAttribute(positions, 3));
+        this.geometry.setAttribute('color', new BufferAttribute(colors, 3));
+    }
+    
+    /**
+     * Upload this frame's lines
+     */
+    commit() {
+        if (!this.positions) return;
+        
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.color.needsUpdate = true;
+        this.geometry.setDrawRange(0, this.count);
+    }
+    
+    dispose() {
+        this.scene.remove(this.lines);
+        this.geometry.dispose();
+        this.lines.material.dispose();
+    }
+}
\ No newline at end of file
@@ -15,7 +15,8 @@ import {
 } from 'three';
 import { Lighting } from './Lighting.js';
 import { Skybox } from './Skybox.js';
-import { GroundPlane, BoxObstacle } from '../physics/PhysicsBody.js';
+import { PhysicsDebugRenderer } from './PhysicsDebugRenderer.js';
+import { GroundPlane, BoxObstacle, HeightfieldTerrain, KinematicPlatform } from '../physics/PhysicsBody.js';
 
 export class Renderer {
     constructor(engine) {
@@ -28,9 +29,13 @@ export class Renderer {
         // Scene objects
         this.mapObjects = [];
         
+        // Meshes that follow moving platform bodies - { mesh, physicsBody }
+        this.movingStructures = [];
+        
         // Subsystems
         this.lighting = null;
         this.skybox = null;
+        this.physicsDebug = null;
     }
     
     init() {
@@ -51,6 +56,7 @@ export class Renderer {
         // Initialize subsystems
         this.lighting = new Lighting(this);
         this.skybox = new Skybox(this);
+        this.physicsDebug = new PhysicsDebugRenderer(this);
         
         // Add fog to scene
         this.scene.fog = new FogExp2(0x88aadd, 0.015);
@@ -71,17 +77,39 @@ export class Renderer {
     render() {
         if (!this.engine.camera || !this.scene) return;
         
+        for (const { mesh, physicsBody } of this.movingStructures) {
+            mesh.position.copy(physicsBody.position);
+        }
+        
+        // Collider wireframes (does nothing unless physics debug is on)
+        this.physicsDebug.update();
+        
         // Render the scene
         this.renderer.render(this.scene, this.engine.camera.camera);
     }
     
     createTerrain(terrainData) {
-        const { size, texture } = terrainData;
+        const { size, texture, heightmap } = terrainData;
+        
+        // Height samples, or null for flat ground
+        const heightData = heightmap ? this.getTerrainHeights(heightmap) : null;
         
-        // Create ground plane
-        const geometry = new PlaneGeometry(size.x, size.z, 32, 32);
+        // Create ground plane - one vertex per height sample
+        const geometry = heightData ?
+            new PlaneGeometry(size.x, size.z, heightData.columns - 1, heightData.rows - 1) :
+            new PlaneGeometry(size.x, size.z, 32, 32);
         geometry.rotateX(-Math.PI / 2); // Rotate to horizontal
         
+        if (heightData) {
+            // Vertices run along X then Z, the same order as the samples
+            const positions = geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setY(i, heightData.heights[i]);
+            }
+            geometry.computeVertexNormals();
+            geometry.computeBoundingSphere();
+        }
+        
         // Get texture from asset manager
         const textureObj = this.engine.assetManager.getTexture(texture);
         if (!textureObj) {
@@ -110,23 +138,113 @@ export class Renderer {
         this.scene.add(terrain);
         this.mapObjects.push(terrain);
         
-        // Create physics ground plane
-        const groundPlane = new GroundPlane({
-            position: new Vector3(0, 0, 0),
-            normal: new Vector3(0, 1, 0),
-            restitution: 0.3,
-            friction: 0.8
-        });
+        // Create physics ground - a heightfield matching the mesh, or a flat plane
+        const ground = heightData ?
+            new HeightfieldTerrain({
+                heights: heightData.heights,
+                columns: heightData.columns,
+                rows: heightData.rows,
+                size,
+                material: terrainData.material || 'ground',
+                layer: terrainData.layer,
+                mask: terrainData.mask
+            }) :
+            new GroundPlane({
+                position: new Vector3(0, 0, 0),
+                normal: new Vector3(0, 1, 0),
+                material: terrainData.material || 'ground',
+                layer: terrainData.layer,
+                mask: terrainData.mask
+            });
         
         // Add to physics world
-        this.engine.physics.addBody(groundPlane);
+        this.engine.physics.addBody(ground);
         
         return {
             mesh: terrain,
-            physicsBody: groundPlane
+            physicsBody: ground
         };
     }
     
+    /**
+     * Read terrain heights from map data.
+     * Heights come from a "heights" array (flat with "columns", or one array
+     * per row) or from the red channel of an "image" texture, where white is
+     * heightScale metres high. Rows run along +Z.
+     * @param {Object} heightmap - Heightmap data from the map's terrain
+     * @returns {Object|null} - { heights, columns, rows } or null if invalid
+     */
+    getTerrainHeights(heightmap) {
+        const offset = heightmap.offset || 0;
+        let samples = null;
+        let columns = 0;
+        let rows = 0;
+        let scale = 1;
+        
+        if (Array.isArray(heightmap.heights)) {
+            scale = heightmap.heightScale !== undefined ? heightmap.heightScale : 1;
+            
+            if (Array.isArray(heightmap.heights[0])) {
+                rows = heightmap.heights.length;
+                columns = heightmap.heights[0].length;
+                samples = heightmap.heights.flat();
+            } else {
+                columns = heightmap.columns || Math.round(Math.sqrt(heightmap.heights.length));
+                rows = Math.floor(heightmap.heights.length / columns);
+                samples = heightmap.heights;
+            }
+        } else if (heightmap.image) {
+            scale = heightmap.heightScale !== undefined ? heightmap.heightScale : 10;
+            
+            const texture = this.engine.assetManager.getTexture(heightmap.image);
+            if (!texture || !texture.image) {
+                console.error(`Heightmap texture not found: ${heightmap.image}`);
+                return null;
+            }
+            
+            ({ samples, columns, rows } = this.readHeightmapImage(texture.image, heightmap.resolution || 129));
+        }
+        
+        if (!samples || columns < 2 || rows < 2 || samples.length < columns * rows) {
+            console.error('Invalid terrain heightmap - needs at least 2x2 samples');
+            return null;
+        }
+        
+        const heights = new Float32Array(columns * rows);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = samples[i] * scale + offset;
+        }
+        
+        return { heights, columns, rows };
+    }
+    
+    /**
+     * Sample an image's red channel into 0-1 values
+     * @param {HTMLImageElement|ImageBitmap} image - Heightmap image
+     * @param {number} resolution - Maximum samples along each side
+     * @returns {Object} - { samples, columns, rows }
+     */
+    readHeightmapImage(image, resolution) {
+        const columns = Math.max(2, Math.min(image.width, resolution));
+        const rows = Math.max(2, Math.min(image.height, resolution));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = columns;
+        canvas.height = rows;
+        
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, columns, rows);
+        const pixels = context.getImageData(0, 0, columns, rows).data;
+        
+        // The top row of the image is the far (-Z) edge of the terrain
+        const samples = new Float32Array(columns * rows);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = pixels[i * 4] / 255;
+        }
+        
+        return { samples, columns, rows };
+    }
+    
     createStructure(structureData) {
         const { type, position, scale, texture, rotation } = structureData;
         
@@ -174,13 +292,31 @@ export class Renderer {
             this.scene.add(mesh);
             this.mapObjects.push(mesh);
             
-            // Create physics body for box
-            physicsBody = new BoxObstacle({
+            // Create physics body for box - kinematic if it follows a path
+            const bodyOptions = {
                 position: new Vector3(position.x, position.y, position.z),
                 halfExtents: new Vector3(scale.x / 2, scale.y / 2, scale.z / 2),
-                restitution: 0.2,
-                friction: 0.5
-            });
+                rotation: rotation ?
+                    new Vector3(rotation.x || 0, rotation.y || 0, rotation.z || 0) :
+                    undefined,
+                material: structureData.material || 'wood',
+                layer: structureData.layer,
+                mask: structureData.mask
+            };
+            
+            if (structureData.path) {
+                physicsBody = new KinematicPlatform({
+                    ...bodyOptions,
+                    keyframes: this.getPathKeyframes(structureData.path, position),
+                    mode: structureData.path.mode,
+                    autoPlay: structureData.path.autoPlay
+                });
+                
+                mesh.position.copy(physicsBody.position);
+                this.movingStructures.push({ mesh, physicsBody });
+            } else {
+                physicsBody = new BoxObstacle(bodyOptions);
+            }
             
             // Add to physics world
             this.engine.physics.addBody(physicsBody);
@@ -197,6 +333,29 @@ export class Renderer {
         };
     }
     
+    /**
+     * Read a structure's path keyframes from map data
+     * @param {Object} path - Path data { keyframes: [{ time, position }], mode }
+     * @param {Object} position - Structure position, used for missing axes
+     * @returns {Array<Object>} - Keyframes with Vector3 positions, sorted by time
+     */
+    getPathKeyframes(path, position) {
+        const keyframes = (path.keyframes || []).map(keyframe => ({
+            time: keyframe.time || 0,
+            position: new Vector3(
+                keyframe.position?.x ?? position.x,
+                keyframe.position?.y ?? position.y,
+                keyframe.position?.z ?? position.z
+            )
+        }));
+        
+        if (keyframes.length === 0) {
+            console.warn('Structure path has no keyframes');
+        }
+        
+        return keyframes.sort((a, b) => a.time - b.time);
+    }
+    
     clearMapObjects() {
         // Remove all map objects from scene
         for (const object of this.mapObjects) {
@@ -217,6 +376,7 @@ export class Renderer {
         }
         
         this.mapObjects = [];
+        this.movingStructures = [];
     }
     
     async setSkybox(skyboxData) {
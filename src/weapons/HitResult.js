@@ -0,0 +1,88 @@
+// src/weapons/HitResult.js
+import { Vector3 } from 'three';
+import { RaycastResult } from '../physics/RaycastResult.js';
+
+/**
+ * Result of a weapon hit scan - a raycast result resolved to a game entity
+ */
+export class HitResult extends RaycastResult {
+    /**
+     * Create a new hit result
+     * @param {Object} options - Result options
+     */
+    constructor(options = {}) {
+        super(options);
+        
+        // Entity that owns the hit object (null for world geometry)
+        this.entity = options.entity || null;
+        
+        // Three.js object that was intersected
+        this.object = options.object || null;
+        
+        // Body part that was hit ('head', 'torso', 'limb' or null)
+        this.bodyPart = options.bodyPart || null;
+        
+        // Name of the hitbox that was hit (e.g. 'head', 'leftThigh')
+        this.hitbox = options.hitbox || null;
+        
+        // Limb the hitbox belongs to ('leftLeg', 'rightArm', ...) or null
+        this.limb = options.limb || null;
+        
+        // Ray direction, used for impact effects and knockback
+        this.direction = options.direction ? options.direction.clone() : new Vector3();
+        
+        // Weapon that fired the shot
+        this.weapon = options.weapon || null;
+        
+        // Damage actually applied after falloff and multipliers
+        this.damage = options.damage !== undefined ? options.damage : 0;
+        
+        // Did this hit kill the entity?
+        this.killed = options.killed !== undefined ? options.killed : false;
+    }
+    
+    /**
+     * Was this a headshot?
+     * @returns {boolean} - True if the head zone was hit
+     */
+    get isHeadshot() {
+        return this.bodyPart === 'head';
+    }
+    
+    /**
+     * Copy values from another result
+     * @param {HitResult} other - Result to copy from
+     * @returns {HitResult} - This result
+     */
+    copy(other) {
+        super.copy(other);
+        this.entity = other.entity || null;
+        this.object = other.object || null;
+        this.bodyPart = other.bodyPart || null;
+        this.hitbox = other.hitbox || null;
+        this.limb = other.limb || null;
+        if (other.direction) this.direction.copy(other.direction);
+        this.weapon = other.weapon || null;
+        this.damage = other.damage || 0;
+        this.killed = other.killed || false;
+        return this;
+    }
+    
+    /**
+     * Reset this result to default values
+     * @returns {HitResult} - This result
+     */
+    reset() {
+        super.reset();
+        this.entity = null;
+        this.object = null;
+        this.bodyPart = null;
+        this.hitbox = null;
+        this.limb = null;
+        this.direction.set(0, 0, 0);
+        this.weapon = null;
+        this.damage = 0;
+        this.killed = false;
+        return this;
+    }
+}
\ No newline at end of file
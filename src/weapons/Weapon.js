@@ -1,6 +1,8 @@
 // src/weapons/Weapon.js
 import { Vector3, Quaternion, Object3D, Raycaster } from 'three';
 import { RaycastResult } from '../physics/RaycastResult.js';
+import { HitResult } from './HitResult.js';
+import { EventEmitter } from '../engine/EventEmitter.js';
 
 export class Weapon {
     constructor(options = {}) {
@@ -24,6 +26,18 @@ export class Weapon {
         this.lastFireTime = 0;
         this.isFiring = false;
         
+        // Range and damage falloff
+        this.range = options.range || 200; // Max hit distance
+        this.falloffStart = options.falloffStart || 20; // Full damage up to this distance
+        this.falloffEnd = options.falloffEnd || 60; // Minimum damage from this distance
+        this.minDamageFactor = options.minDamageFactor !== undefined ? options.minDamageFactor : 0.5;
+        
+        // How far zombies can hear this weapon
+        this.noiseRadius = options.noiseRadius || 40;
+        
+        // Hit events ('hit' with a HitResult)
+        this.events = new EventEmitter();
+        
         // Ammo
         this.currentAmmo = options.ammoCapacity || 30;
         this.maxAmmo = options.ammoCapacity || 30;
@@ -146,26 +160,113 @@ export class Weapon {
         // Update UI
         this.updateAmmoUI();
         
-        // Create a raycast from camera center
+        // Create a ray from camera center
         const camera = this.engine.camera.camera;
-        const raycaster = new Raycaster();
         const rayDirection = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
         
-        // Origin is camera position
-        raycaster.set(camera.position, rayDirection);
+        // Let nearby zombies hear the shot
+        if (this.engine.enemyManager) {
+            this.engine.enemyManager.reportNoise(camera.position, this.noiseRadius, 'gunshot');
+        }
+        
+        // Find what we hit and apply damage
+        const hit = this.hitScan(camera.position, rayDirection);
+        
+        if (hit.hit) {
+            this.applyHit(hit);
+            this.events.emit('hit', hit);
+        }
+        
+        return hit;
+    }
+    
+    /**
+     * Raycast against the scene and resolve the first hit to its entity
+     * @param {Vector3} origin - Ray origin
+     * @param {Vector3} direction - Normalized ray direction
+     * @returns {HitResult} - Hit result (hit is false if nothing was hit)
+     */
+    hitScan(origin, direction) {
+        const result = new HitResult({ weapon: this, direction });
+        
+        const raycaster = new Raycaster(origin, direction, 0, this.range);
         
         // Perform raycast against scene objects
         const intersects = raycaster.intersectObjects(this.engine.renderer.scene.children, true);
         
-        if (intersects.length > 0) {
-            const hit = intersects[0];
-            
-            // Handle hit effects here if needed
-            console.log(`Hit object at distance ${hit.distance}`);
+        // Only meshes can be hit - skip helpers and lines
+        const intersection = intersects.find(i => i.object.isMesh && i.object.visible);
+        if (!intersection) {
+            return result;
+        }
+        
+        result.hit = true;
+        result.distance = intersection.distance;
+        result.point.copy(intersection.point);
+        result.object = intersection.object;
+        
+        // Face normals are in object space
+        if (intersection.face) {
+            result.normal.copy(intersection.face.normal)
+                .transformDirection(intersection.object.matrixWorld);
+        } else {
+            result.normal.copy(direction).negate();
+        }
+        
+        // Map the mesh back to the entity that owns it
+        const entity = this.engine.entityManager.getEntityByObject(intersection.object);
+        if (entity) {
+            result.entity = entity;
+            result.body = entity.physicsBody || null;
             
-            // Check if we hit an entity with health
-            // This would be expanded in your game with proper damage handling
+            // Let the entity classify the hit (head, torso, limb)
+            if (typeof entity.classifyHit === 'function') {
+                entity.classifyHit(result, raycaster.ray);
+            } else if (typeof entity.getBodyPart === 'function') {
+                result.bodyPart = entity.getBodyPart(result.point, intersection.object);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Damage at a given distance after falloff
+     * @param {number} distance - Distance to target
+     * @returns {number} - Damage amount
+     */
+    getDamageAtDistance(distance) {
+        if (distance <= this.falloffStart) {
+            return this.damage;
         }
+        
+        const range = Math.max(this.falloffEnd - this.falloffStart, 0.001);
+        const t = Math.min((distance - this.falloffStart) / range, 1);
+        
+        // Linear falloff from full damage to the minimum factor
+        return this.damage * (1 - t * (1 - this.minDamageFactor));
+    }
+    
+    /**
+     * Apply damage from a hit to the entity it struck
+     * @param {HitResult} hit - Hit to apply
+     */
+    applyHit(hit) {
+        const entity = hit.entity;
+        if (!entity || typeof entity.takeDamage !== 'function') return;
+        
+        const wasAlive = entity.isAlive !== false;
+        
+        // Distance falloff, then the entity's multiplier for the hit zone
+        let damage = this.getDamageAtDistance(hit.distance);
+        if (hit.bodyPart && typeof entity.getDamageMultiplier === 'function') {
+            damage *= entity.getDamageMultiplier(hit.bodyPart);
+        }
+        
+        hit.damage = damage;
+        entity.takeDamage(hit.damage, hit);
+        
+        hit.killed = wasAlive && entity.isAlive === false;
     }
     
     tryReload() {
@@ -29,7 +29,11 @@ export class WeaponPickup {
             mass: 5,
             halfExtents: new Vector3(0.2, 0.1, 0.5),
             restitution: 0.3,
-            friction: 0.8
+            friction: 0.8,
+            // Only rests on map geometry - players and zombies walk through it
+            layer: options.layer || 'pickup',
+            mask: options.mask || 'world',
+            owner: this
         });
     }
     
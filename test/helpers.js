@@ -0,0 +1,61 @@
+// test/helpers.js
+import assert from 'node:assert/strict';
+import { PhysicsWorld } from '../src/physics/PhysicsWorld.js';
+
+/**
+ * Create a headless physics world
+ * @param {Object} config - Engine config overrides (gravity, physicsFPS, ...)
+ * @returns {PhysicsWorld} - Empty world
+ */
+export function createWorld(config = {}) {
+    return new PhysicsWorld({
+        config: { gravity: -20, physicsFPS: 120, ...config },
+        player: null
+    });
+}
+
+/**
+ * Advance a world by a number of fixed steps
+ * @param {PhysicsWorld} world - Physics world
+ * @param {number} steps - Number of steps
+ * @param {Function} onStep - Optional callback after each step
+ */
+export function stepWorld(world, steps, onStep = null) {
+    for (let i = 0; i < steps; i++) {
+        world.fixedUpdate(world.fixedTimeStep);
+        if (onStep) onStep(i);
+    }
+}
+
+/**
+ * Assert that two numbers are within a tolerance
+ * @param {number} actual - Measured value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed difference
+ * @param {string} message - Label for failures
+ */
+export function assertClose(actual, expected, tolerance = 1e-3, message = '') {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message} expected ${expected} +/- ${tolerance}, got ${actual}`
+    );
+}
+
+/**
+ * Assert that two vectors are within a tolerance on every component
+ * @param {Vector3} actual - Measured vector
+ * @param {Vector3|Array<number>} expected - Expected vector or [x, y, z]
+ * @param {number} tolerance - Allowed difference per component
+ * @param {string} message - Label for failures
+ */
+export function assertVector(actual, expected, tolerance = 1e-3, message = '') {
+    const [x, y, z] = Array.isArray(expected) ? expected : expected.toArray();
+    const components = actual.toArray().map(value => +value.toFixed(4));
+    
+    assert.ok(
+        Math.abs(actual.x - x) <= tolerance &&
+        Math.abs(actual.y - y) <= tolerance &&
+        Math.abs(actual.z - z) <= tolerance,
+        `${message} expected [${x}, ${y}, ${z}], got [${components.join(', ')}]`
+    );
+}
\ No newline at end of file
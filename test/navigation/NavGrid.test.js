@@ -0,0 +1,93 @@
+// test/navigation/NavGrid.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { NavGrid } from '../../src/navigation/NavGrid.js';
+import { assertVector } from '../helpers.js';
+
+/**
+ * Map box structure sitting on the ground
+ * @param {number} x - Center X
+ * @param {number} z - Center Z
+ * @param {number} sizeX - Size along X
+ * @param {number} sizeZ - Size along Z
+ * @returns {Object} - Structure data
+ */
+function createBox(x, z, sizeX, sizeZ) {
+    return {
+        type: 'box',
+        position: { x, y: 1, z },
+        scale: { x: sizeX, y: 2, z: sizeZ }
+    };
+}
+
+/**
+ * 20 x 20 m grid with the given structures
+ * @param {Array<Object>} structures - Map structures
+ * @returns {NavGrid} - Baked grid
+ */
+function createGrid(structures) {
+    return NavGrid.fromMapData({ terrain: { size: { x: 20, z: 20 } }, structures });
+}
+
+/**
+ * Assert that every leg of a path is walkable
+ * @param {NavGrid} grid - Nav grid
+ * @param {Vector3} start - Path start
+ * @param {Array<Vector3>} path - Waypoints
+ */
+function assertWalkablePath(grid, start, path) {
+    let from = start;
+    for (const point of path) {
+        assert.ok(grid.hasLineOfSight(from, point), `blocked between ${from.toArray()} and ${point.toArray()}`);
+        from = point;
+    }
+}
+
+describe('NavGrid', () => {
+    it('finds a path around a crate', () => {
+        const grid = createGrid([createBox(0, 0, 2, 2)]);
+        const start = new Vector3(-5, 0, 0);
+        const end = new Vector3(5, 0, 0);
+        
+        // The straight line runs through the crate
+        assert.equal(grid.hasLineOfSight(start, end), false);
+        
+        const path = grid.findPath(start, end);
+        assert.ok(path, 'no path found');
+        assert.ok(path.length >= 2, 'expected to turn at least once');
+        assertVector(path[path.length - 1], end);
+        assertWalkablePath(grid, start, path);
+    });
+    
+    it('returns null for a goal walled in on every side', () => {
+        const grid = createGrid([
+            createBox(5, 3, 6, 1),
+            createBox(5, 7, 6, 1),
+            createBox(2.5, 5, 1, 5),
+            createBox(7.5, 5, 1, 5)
+        ]);
+        const start = new Vector3(-5, 0, -5);
+        const end = new Vector3(5, 0, 5);
+        
+        assert.equal(grid.isWalkable(end.x, end.z), true);
+        assert.equal(grid.findPath(start, end), null);
+        
+        // A failed search leaves nothing behind for the next one
+        const path = grid.findPath(start, new Vector3(-5, 0, 5));
+        assert.ok(path, 'no path found after an unreachable goal');
+        assertVector(path[path.length - 1], [-5, 0, 5]);
+    });
+    
+    it('gives the same path when a query is repeated', () => {
+        const grid = createGrid([createBox(0, 0, 2, 6), createBox(3, -2, 1, 4)]);
+        const start = new Vector3(-6, 0, 1);
+        const end = new Vector3(6, 0, -1);
+        
+        const first = grid.findPath(start, end);
+        const second = grid.findPath(start, end);
+        
+        assert.ok(first, 'no path found');
+        assert.deepEqual(second.map(point => point.toArray()), first.map(point => point.toArray()));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+// test/physics/CharacterController.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { BoxObstacle } from '../../src/physics/PhysicsBody.js';
+import { CharacterController } from '../../src/physics/CharacterController.js';
+import { assertClose, createWorld, stepWorld } from '../helpers.js';
+
+/**
+ * World with a large floor whose top is at y = 0
+ * @returns {PhysicsWorld} - World
+ */
+function createFloor() {
+    const world = createWorld();
+    world.addBody(new BoxObstacle({
+        position: new Vector3(0, -0.5, 0),
+        halfExtents: new Vector3(20, 0.5, 20)
+    }));
+    
+    return world;
+}
+
+/**
+ * Add a character and let it settle onto the ground
+ * @param {PhysicsWorld} world - Physics world
+ * @param {Vector3} position - Feet position
+ * @param {Object} options - Controller options
+ * @returns {CharacterController} - Grounded character
+ */
+function addCharacter(world, position, options = {}) {
+    const character = new CharacterController({ position, ...options });
+    world.addBody(character.body);
+    stepWorld(world, 10);
+    
+    assert.equal(character.isGrounded, true, 'character never landed');
+    return character;
+}
+
+/**
+ * Keep walking at a horizontal velocity, the way the player's movement does
+ * @param {PhysicsWorld} world - Physics world
+ * @param {CharacterController} character - Character
+ * @param {Vector3} velocity - Horizontal velocity
+ * @param {number} steps - Fixed steps to walk for
+ * @param {Function} onStep - Optional callback after each step
+ */
+function walk(world, character, velocity, steps, onStep = null) {
+    for (let i = 0; i < steps; i++) {
+        character.velocity.x = velocity.x;
+        character.velocity.z = velocity.z;
+        world.fixedUpdate(world.fixedTimeStep);
+        if (onStep) onStep(i);
+    }
+}
+
+/**
+ * Ramp tilted about Z whose top face starts at (startX, 0) and rises along +X
+ * @param {number} startX - X where the ramp leaves the floor
+ * @param {number} degrees - Slope angle
+ * @returns {BoxObstacle} - Ramp
+ */
+function createRamp(startX, degrees) {
+    const angle = degrees * Math.PI / 180;
+    const up = new Vector3(-Math.sin(angle), Math.cos(angle), 0);
+    const along = new Vector3(Math.cos(angle), Math.sin(angle), 0);
+    
+    return new BoxObstacle({
+        position: new Vector3(startX, 0, 0).addScaledVector(up, -0.5).addScaledVector(along, 4),
+        halfExtents: new Vector3(4, 0.5, 2),
+        rotation: new Vector3(0, 0, angle)
+    });
+}
+
+const WalkSpeed = 4;
+const Forward = new Vector3(WalkSpeed, 0, 0);
+
+describe('CharacterController', () => {
+    it('steps up onto a ledge lower than stepHeight', () => {
+        const world = createFloor();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(3, 0.125, 0),
+            halfExtents: new Vector3(1, 0.125, 2)
+        }));
+        const character = addCharacter(world, new Vector3(0, 0, 0));
+        
+        walk(world, character, Forward, 80);
+        
+        assertClose(character.position.y, 0.25, 0.01, 'standing height');
+        assert.ok(character.position.x > 2.5, `stopped at x = ${character.position.x}`);
+        assert.equal(character.isGrounded, true);
+    });
+    
+    it('is stopped by a ledge taller than stepHeight', () => {
+        const world = createFloor();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(3, 0.3, 0),
+            halfExtents: new Vector3(1, 0.3, 2)
+        }));
+        const character = addCharacter(world, new Vector3(0, 0, 0));
+        
+        walk(world, character, Forward, 80);
+        
+        assertClose(character.position.y, 0, 0.01, 'standing height');
+        assertClose(character.position.x, 2 - character.radius, 0.01, 'stopped against the ledge at');
+        assert.equal(character.collisionFlags.sides, true);
+    });
+    
+    it('walks up a slope within slopeLimit', () => {
+        const world = createFloor();
+        world.addBody(createRamp(1, 30));
+        const character = addCharacter(world, new Vector3(0, 0, 0));
+        
+        walk(world, character, Forward, 180, () => {
+            assert.equal(character.isGrounded, true, `left the ground at x = ${character.position.x}`);
+        });
+        
+        // The capsule's bottom sphere rests on the slope, which lifts the feet
+        // radius * (1 / cos - 1) above the surface under them
+        const angle = Math.PI / 6;
+        const surface = (character.position.x - 1) * Math.tan(angle);
+        const lift = character.radius * (1 / Math.cos(angle) - 1);
+        assert.ok(character.position.x > 4, `stopped at x = ${character.position.x}`);
+        assertClose(character.position.y, surface + lift, 0.01, 'height on the ramp');
+    });
+    
+    it('is stopped by a slope steeper than slopeLimit', () => {
+        const world = createFloor();
+        world.addBody(createRamp(1, 60));
+        const character = addCharacter(world, new Vector3(0, 0, 0));
+        
+        walk(world, character, Forward, 180);
+        
+        assert.ok(character.position.y < 0.1, `climbed to ${character.position.y}`);
+        assert.ok(character.position.x < 1, `walked to x = ${character.position.x}`);
+        assert.equal(character.collisionFlags.sides, true);
+    });
+    
+    it('snaps down a small drop instead of leaving the ground', () => {
+        const world = createFloor();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(-3, 0.1, 0),
+            halfExtents: new Vector3(3, 0.1, 2)
+        }));
+        const character = addCharacter(world, new Vector3(-1, 0.2, 0));
+        
+        walk(world, character, Forward, 60, () => {
+            assert.equal(character.isGrounded, true, `left the ground at x = ${character.position.x}`);
+        });
+        
+        assertClose(character.position.y, 0, 0.01, 'standing height');
+    });
+    
+    it('falls off the same drop with snapping turned off', () => {
+        const world = createFloor();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(-3, 0.1, 0),
+            halfExtents: new Vector3(3, 0.1, 2)
+        }));
+        const character = addCharacter(world, new Vector3(-1, 0.2, 0), { snapDistance: 0 });
+        
+        let airborne = 0;
+        walk(world, character, Forward, 60, () => {
+            if (!character.isGrounded) airborne++;
+        });
+        
+        assert.ok(airborne > 0, 'never left the ground');
+        assertClose(character.position.y, 0, 0.01, 'standing height');
+    });
+    
+    it('slides along a wall it walks into at an angle', () => {
+        const world = createFloor();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, 1, 2.5),
+            halfExtents: new Vector3(10, 1, 0.5)
+        }));
+        const character = addCharacter(world, new Vector3(0, 0, 0));
+        
+        walk(world, character, new Vector3(3, 0, 3), 120);
+        
+        // Kept its speed along the wall, lost the part into it
+        assertClose(character.position.z, 2 - character.radius, 0.01, 'distance from the wall');
+        assertClose(character.position.x, 3, 0.05, 'distance along the wall');
+        assertClose(character.velocity.x, 3, 1e-6, 'speed along the wall');
+        assertClose(character.velocity.z, 0, 1e-6, 'speed into the wall');
+        assert.equal(character.collisionFlags.sides, true);
+    });
+});
\ No newline at end of file
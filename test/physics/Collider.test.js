@@ -0,0 +1,316 @@
+// test/physics/Collider.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3, Euler, Ray } from 'three';
+import { BoxCollider, OrientedBoxCollider, SphereCollider, CapsuleCollider, HeightfieldCollider } from '../../src/physics/Collider.js';
+import { RaycastResult } from '../../src/physics/RaycastResult.js';
+import { PhysicsBody, BoxObstacle } from '../../src/physics/PhysicsBody.js';
+import { assertClose, assertVector, createWorld, stepWorld } from '../helpers.js';
+
+// Contact normals point from the other collider towards the one asked,
+// which is what resolveCollision pushes bodyA along.
+
+const SQRT2 = Math.SQRT2;
+const SQRT1_2 = Math.SQRT1_2;
+
+// Unit box turned 45 degrees about Y - its local X axis is (0.707, 0, -0.707)
+function createTurnedBox(position = new Vector3()) {
+    return new OrientedBoxCollider(position, new Vector3(1, 1, 1), new Vector3(0, Math.PI / 4, 0));
+}
+
+describe('BoxCollider', () => {
+    it('points box-box normals from the other box towards this one', () => {
+        const upper = new BoxCollider(new Vector3(0, 1.8, 0), new Vector3(1, 1, 1));
+        const lower = new BoxCollider(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+        
+        const info = upper.getCollisionInfo(lower);
+        assertVector(info.normal, [0, 1, 0]);
+        assertClose(info.depth, 0.2);
+        
+        assertVector(lower.getCollisionInfo(upper).normal, [0, -1, 0]);
+    });
+    
+    it('points box-sphere normals from the sphere towards the box', () => {
+        const box = new BoxCollider(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+        const sphere = new SphereCollider(new Vector3(0, 1.3, 0), 0.5);
+        
+        const info = box.getCollisionInfo(sphere);
+        assertVector(info.normal, [0, -1, 0]);
+        assertClose(info.depth, 0.2);
+        
+        const flipped = sphere.getCollisionInfo(box);
+        assertVector(flipped.normal, [0, 1, 0]);
+        assertClose(flipped.depth, 0.2);
+    });
+    
+    it('pushes a sphere centred inside the box out through the nearest face', () => {
+        const box = new BoxCollider(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+        const sphere = new SphereCollider(new Vector3(0.2, 0.9, 0), 0.5);
+        
+        const info = sphere.getCollisionInfo(box);
+        assertVector(info.normal, [0, 1, 0]);
+        assertClose(info.depth, 0.6);
+    });
+});
+
+describe('OrientedBoxCollider vs sphere', () => {
+    it('uses the face normal for a face contact', () => {
+        const box = createTurnedBox();
+        const sphere = new SphereCollider(new Vector3(1.3 * SQRT1_2, 0, -1.3 * SQRT1_2), 0.5);
+        
+        const info = sphere.getCollisionInfo(box);
+        assertVector(info.normal, [SQRT1_2, 0, -SQRT1_2]);
+        assertClose(info.depth, 0.2);
+        
+        assertVector(box.getCollisionInfo(sphere).normal, [-SQRT1_2, 0, SQRT1_2]);
+    });
+    
+    it('points away from the closest edge for an edge contact', () => {
+        // The turned box's vertical edge sits at x = sqrt(2)
+        const box = createTurnedBox();
+        const sphere = new SphereCollider(new Vector3(1.8, 0, 0), 0.5);
+        
+        const info = sphere.getCollisionInfo(box);
+        assertVector(info.normal, [1, 0, 0]);
+        assertClose(info.depth, 0.5 - (1.8 - SQRT2));
+    });
+    
+    it('pushes a sphere centred inside the box out through the nearest face', () => {
+        const box = createTurnedBox();
+        const sphere = new SphereCollider(new Vector3(0.1, 0.9, 0), 0.5);
+        
+        const info = sphere.getCollisionInfo(box);
+        assertVector(info.normal, [0, 1, 0]);
+        assertClose(info.depth, 0.6);
+    });
+    
+    it('reports nothing when separated', () => {
+        const box = createTurnedBox();
+        const sphere = new SphereCollider(new Vector3(2, 0, 0), 0.5);
+        
+        assert.equal(sphere.getCollisionInfo(box), null);
+        assert.equal(box.intersects(sphere), false);
+    });
+});
+
+describe('OrientedBoxCollider vs BoxCollider', () => {
+    it('finds the axis of least penetration against an edge', () => {
+        // The turned box's vertical edge reaches x = sqrt(2), the box's face is at x = 1.2
+        const box = createTurnedBox();
+        const aabb = new BoxCollider(new Vector3(2.2, 0, 0), new Vector3(1, 1, 1));
+        
+        const info = aabb.getCollisionInfo(box);
+        assertVector(info.normal, [1, 0, 0]);
+        assertClose(info.depth, SQRT2 - 1.2);
+        
+        const flipped = box.getCollisionInfo(aabb);
+        assertVector(flipped.normal, [-1, 0, 0]);
+        assertClose(flipped.depth, SQRT2 - 1.2);
+        
+        assert.equal(box.intersects(aabb), true);
+        assert.equal(aabb.intersects(box), true);
+    });
+    
+    it('reports nothing when separated', () => {
+        const box = createTurnedBox();
+        const aabb = new BoxCollider(new Vector3(2.5, 0, 0), new Vector3(1, 1, 1));
+        
+        assert.equal(aabb.getCollisionInfo(box), null);
+        assert.equal(box.intersects(aabb), false);
+    });
+    
+    it('matches BoxCollider when not rotated', () => {
+        const oriented = new OrientedBoxCollider(new Vector3(), new Vector3(1, 2, 3), new Vector3());
+        const aligned = new BoxCollider(new Vector3(), new Vector3(1, 2, 3));
+        const other = new BoxCollider(new Vector3(0, 2.5, 0.5), new Vector3(1, 1, 1));
+        
+        const expected = other.getCollisionInfo(aligned);
+        const info = other.getCollisionInfo(oriented);
+        assertVector(info.normal, expected.normal);
+        assertClose(info.depth, expected.depth);
+    });
+    
+    it('keeps a rotated box resting on the ground pushed straight up', () => {
+        const ground = new BoxCollider(new Vector3(0, -0.5, 0), new Vector3(10, 0.5, 10));
+        
+        for (const rotation of [new Euler(0, 0.5, 0), new Euler(0.05, 0.8, 0.02)]) {
+            const box = new OrientedBoxCollider(new Vector3(), new Vector3(1, 0.5, 2), rotation);
+            
+            // Sink the lowest corner 1cm into the ground
+            box.updatePosition(new Vector3(0, -box.box.min.y - 0.01, 0));
+            
+            const info = box.getCollisionInfo(ground);
+            assertVector(info.normal, [0, 1, 0]);
+            assertClose(info.depth, 0.01);
+            
+            assertVector(ground.getCollisionInfo(box).normal, [0, -1, 0]);
+        }
+    });
+});
+
+describe('OrientedBoxCollider vs OrientedBoxCollider', () => {
+    it('uses the shared face normal for stacked boxes', () => {
+        const lower = createTurnedBox();
+        const upper = createTurnedBox(new Vector3(0, 1.8, 0));
+        
+        const info = upper.getCollisionInfo(lower);
+        assertVector(info.normal, [0, 1, 0]);
+        assertClose(info.depth, 0.2);
+        
+        assertVector(lower.getCollisionInfo(upper).normal, [0, -1, 0]);
+    });
+    
+    // Upper box stands on an edge along Z, lower box on an edge along X,
+    // so the edges cross at right angles and only the edge-edge axis (Y) separates
+    function createCrossedEdges(height) {
+        const size = new Vector3(1, 1, 1);
+        return {
+            upper: new OrientedBoxCollider(new Vector3(0, height, 0), size, new Vector3(0, 0, Math.PI / 4)),
+            lower: new OrientedBoxCollider(new Vector3(), size, new Vector3(Math.PI / 4, 0, 0))
+        };
+    }
+    
+    it('uses the edge-edge axis for crossed edges', () => {
+        const { upper, lower } = createCrossedEdges(2 * SQRT2 - 0.1);
+        
+        const info = upper.getCollisionInfo(lower);
+        assertVector(info.normal, [0, 1, 0]);
+        assertClose(info.depth, 0.1);
+        
+        assertVector(lower.getCollisionInfo(upper).normal, [0, -1, 0]);
+    });
+    
+    it('prefers a face axis over an edge axis that is less than 5% shallower', () => {
+        // Edge axis (Y) depth 2.228, upper box face axis depth 2.283
+        const height = 0.6;
+        const { upper, lower } = createCrossedEdges(height);
+        
+        const info = upper.getCollisionInfo(lower);
+        assertVector(info.normal, [SQRT1_2, SQRT1_2, 0]);
+        assertClose(info.depth, 1 + (1 + SQRT1_2) - height * SQRT1_2);
+    });
+    
+    it('reports nothing when the crossed edges are apart', () => {
+        const { upper, lower } = createCrossedEdges(2 * SQRT2 + 0.01);
+        
+        assert.equal(upper.getCollisionInfo(lower), null);
+    });
+});
+
+describe('CapsuleCollider.sphereCast', () => {
+    // Capsule 1.8 m tall with its feet at the origin
+    function createCapsule() {
+        return new CapsuleCollider(new Vector3(0, 0, 0), 0.4, 1.8);
+    }
+    
+    it('misses a sweep that passes beside it, however far it goes', () => {
+        const capsule = createCapsule();
+        const ray = new Ray(new Vector3(5, 1, 0), new Vector3(0, 0, 1));
+        
+        assert.equal(capsule.sphereCast(ray, 0.2, Infinity, new RaycastResult()), false);
+        assert.equal(capsule.raycast(ray, Infinity, new RaycastResult()), false);
+    });
+    
+    it('hits the side and the end caps', () => {
+        const capsule = createCapsule();
+        const result = new RaycastResult();
+        
+        assert.equal(capsule.sphereCast(new Ray(new Vector3(5, 1, 0), new Vector3(-1, 0, 0)), 0.2, Infinity, result), true);
+        assertClose(result.distance, 5 - 0.6);
+        assertVector(result.normal, [1, 0, 0]);
+        
+        result.reset();
+        assert.equal(capsule.sphereCast(new Ray(new Vector3(0, 5, 0), new Vector3(0, -1, 0)), 0.2, Infinity, result), true);
+        assertClose(result.distance, 5 - 2);
+        assertVector(result.normal, [0, 1, 0]);
+        
+        // Out of reach
+        assert.equal(capsule.sphereCast(new Ray(new Vector3(0, 5, 0), new Vector3(0, -1, 0)), 0.2, 2.9, result.reset()), false);
+    });
+});
+
+describe('HeightfieldCollider', () => {
+    // 4 x 4 m plane on a 3 x 3 grid, rising 0.25 per metre along X and 0.125 along Z
+    const Heights = [0, 0.5, 1, 0.25, 0.75, 1.25, 0.5, 1, 1.5];
+    const Normal = new Vector3(-0.25, 1, -0.125).normalize();
+    
+    function createSlope() {
+        return new HeightfieldCollider(new Vector3(0, 1, 0), Heights, 3, 3, 4, 4);
+    }
+    
+    function planeHeight(x, z) {
+        return 1.75 + 0.25 * x + 0.125 * z;
+    }
+    
+    it('interpolates heights across both triangles of a cell', () => {
+        const slope = createSlope();
+        
+        for (const [x, z] of [[0, 0], [-1.5, -1.8], [-0.3, -0.2], [1.2, 0.4], [1.9, 1.9]]) {
+            assertClose(slope.getHeightAt(x, z), planeHeight(x, z), 1e-5, `height at (${x}, ${z})`);
+        }
+        
+        // Edge heights carry on past the grid
+        assertClose(slope.getHeightAt(5, 2), planeHeight(2, 2), 1e-5, 'height past the edge');
+    });
+    
+    it('gives the plane normal in both triangles of a cell', () => {
+        const slope = createSlope();
+        
+        assertVector(slope.getNormalAt(-1.5, -1.5), Normal, 1e-5, 'lower triangle');
+        assertVector(slope.getNormalAt(-0.5, -0.5), Normal, 1e-5, 'upper triangle');
+        assertVector(slope.getNormalAt(1.5, 0.2), Normal, 1e-5, 'other cell');
+    });
+    
+    it('pushes a sphere out along the surface normal', () => {
+        const slope = createSlope();
+        const surface = new Vector3(0.5, planeHeight(0.5, -0.5), -0.5);
+        const sphere = new SphereCollider(surface.clone().addScaledVector(Normal, 0.4), 0.5);
+        
+        const info = sphere.getCollisionInfo(slope);
+        assertVector(info.normal, Normal);
+        assertClose(info.depth, 0.1);
+        
+        assertVector(slope.getCollisionInfo(sphere).normal, Normal.clone().negate());
+    });
+    
+    it('pushes a sphere centred under the surface back above it', () => {
+        const slope = createSlope();
+        const sphere = new SphereCollider(new Vector3(0.5, planeHeight(0.5, -0.5) - 0.2, -0.5), 0.5);
+        
+        const info = sphere.getCollisionInfo(slope);
+        assertVector(info.normal, Normal);
+        assertClose(info.depth, 0.2 * Normal.y + 0.5);
+    });
+    
+    it('reports nothing for a sphere clear of the surface', () => {
+        const slope = createSlope();
+        const sphere = new SphereCollider(new Vector3(0.5, planeHeight(0.5, -0.5) + 0.6, -0.5), 0.5);
+        
+        assert.equal(sphere.getCollisionInfo(slope), null);
+        assert.equal(slope.intersects(sphere), false);
+    });
+});
+
+describe('contact resolution', () => {
+    it('pushes a sphere out of a rotated box, not into it', () => {
+        const world = createWorld({ gravity: 0 });
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, 0, 0),
+            halfExtents: new Vector3(1, 1, 1),
+            rotation: new Vector3(0, Math.PI / 4, 0)
+        }));
+        
+        // Overlapping the face whose normal is (0.707, 0, -0.707)
+        const ball = world.addBody(new PhysicsBody({
+            position: new Vector3(1.3 * SQRT1_2, 0, -1.3 * SQRT1_2),
+            radius: 0.5,
+            mass: 1
+        }));
+        
+        stepWorld(world, 30);
+        
+        // Clear of the face and off to the same side it started on
+        const distanceFromFace = ball.position.x * SQRT1_2 - ball.position.z * SQRT1_2;
+        assert.ok(distanceFromFace >= 1.5 - 0.01, `sphere still inside the box (${distanceFromFace})`);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,210 @@
+// test/physics/Constraint.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { PhysicsBody, BoxObstacle } from '../../src/physics/PhysicsBody.js';
+import { DistanceConstraint, BallSocketConstraint, HingeConstraint } from '../../src/physics/Constraint.js';
+import { assertClose, createWorld, stepWorld } from '../helpers.js';
+
+const Down = new Vector3(0, -1, 0);
+
+/**
+ * World with a ceiling whose underside is at y = 5
+ * @returns {Object} - The world and the ceiling
+ */
+function createCeiling() {
+    const world = createWorld();
+    const ceiling = world.addBody(new BoxObstacle({
+        position: new Vector3(0, 5.5, 0),
+        halfExtents: new Vector3(1, 0.5, 1)
+    }));
+    
+    return { world, ceiling };
+}
+
+/**
+ * Hanging weight that doesn't collide with the ceiling
+ * @param {Vector3} position - Start position
+ * @param {number} mass - Mass
+ * @returns {PhysicsBody} - Body
+ */
+function createWeight(position, mass = 2) {
+    return new PhysicsBody({ position, radius: 0.2, mass, mask: 'default' });
+}
+
+describe('DistanceConstraint', () => {
+    it('keeps two bodies at a fixed distance', () => {
+        const world = createWorld({ gravity: 0 });
+        const a = world.addBody(createWeight(new Vector3(0, 0, 0)));
+        const b = world.addBody(createWeight(new Vector3(2, 0, 0), 1));
+        world.addConstraint(new DistanceConstraint(a, b));
+        
+        b.velocity.set(3, 4, 0);
+        stepWorld(world, 240, () => {
+            assertClose(a.position.distanceTo(b.position), 2, 1e-3, 'rod length');
+        });
+        
+        // The kick was shared, not absorbed
+        assert.ok(a.velocity.length() > 0.1);
+    });
+    
+    it('lets a rope go slack but not stretch', () => {
+        const { world, ceiling } = createCeiling();
+        const weight = world.addBody(createWeight(new Vector3(0, 4, 0)));
+        world.addConstraint(new DistanceConstraint(ceiling, weight, {
+            anchorA: new Vector3(0, -0.5, 0),
+            minDistance: 0,
+            maxDistance: 2
+        }));
+        
+        // Falls freely until the rope is taut, then hangs at its full length
+        stepWorld(world, 20);
+        assert.ok(weight.position.y < 4 && weight.position.y > 3);
+        
+        stepWorld(world, 200);
+        assertClose(weight.position.y, 3, 0.01, 'hanging height');
+        
+        // Thrown upwards the rope goes slack
+        weight.applyImpulse(new Vector3(0, 10, 0));
+        stepWorld(world, 10);
+        assert.ok(weight.position.y > 3.2, `rope held the weight down at ${weight.position.y}`);
+    });
+});
+
+describe('BallSocketConstraint', () => {
+    it('swings a pendulum without changing its length', () => {
+        const { world, ceiling } = createCeiling();
+        const pivot = new Vector3(0, 5, 0);
+        const lamp = world.addBody(createWeight(new Vector3(2, 5, 0)));
+        world.addConstraint(new BallSocketConstraint(ceiling, lamp, { pivot }));
+        
+        let lowestX = Infinity;
+        stepWorld(world, 240, () => {
+            assertClose(lamp.position.distanceTo(pivot), 2, 1e-3, 'arm length');
+            lowestX = Math.min(lowestX, lamp.position.x);
+        });
+        
+        // Swung through to the other side
+        assert.ok(lowestX < -1.9, `only swung to x = ${lowestX}`);
+    });
+    
+    it('stops the swing at the cone limit', () => {
+        const { world, ceiling } = createCeiling();
+        const pivot = new Vector3(0, 5, 0);
+        const lamp = world.addBody(createWeight(new Vector3(0, 3, 0)));
+        world.addConstraint(new BallSocketConstraint(ceiling, lamp, { pivot, swingLimit: Math.PI / 4 }));
+        
+        lamp.velocity.set(10, 0, 0);
+        
+        let widest = 0;
+        stepWorld(world, 240, () => {
+            const direction = lamp.position.clone().sub(pivot).normalize();
+            widest = Math.max(widest, direction.angleTo(Down));
+        });
+        
+        assertClose(widest, Math.PI / 4, 0.01, 'widest swing');
+    });
+});
+
+describe('HingeConstraint', () => {
+    // Door 1 m wide hinged on its left edge about Y
+    function createDoor(lowerLimit, upperLimit) {
+        const world = createWorld();
+        const frame = world.addBody(new BoxObstacle({
+            position: new Vector3(-0.1, 1, 0),
+            halfExtents: new Vector3(0.05, 1, 0.05)
+        }));
+        const door = world.addBody(new PhysicsBody({
+            position: new Vector3(0.5, 1, 0),
+            halfExtents: new Vector3(0.5, 1, 0.05),
+            mass: 20,
+            mask: 'default'
+        }));
+        const hinge = world.addConstraint(new HingeConstraint(frame, door, {
+            pivot: new Vector3(0, 1, 0),
+            lowerLimit,
+            upperLimit
+        }));
+        
+        return { world, door, hinge };
+    }
+    
+    /**
+     * Keep pushing the door's free edge sideways and record the widest angles
+     * @param {PhysicsWorld} world - Physics world
+     * @param {PhysicsBody} door - Door body
+     * @param {HingeConstraint} hinge - Door hinge
+     * @param {Vector3} push - Velocity forced on the door every step
+     * @returns {Object} - Smallest and largest angle reached
+     */
+    function pushDoor(world, door, hinge, push) {
+        let smallest = Infinity;
+        let largest = -Infinity;
+        
+        stepWorld(world, 120, () => {
+            door.velocity.copy(push);
+            smallest = Math.min(smallest, hinge.angle);
+            largest = Math.max(largest, hinge.angle);
+            
+            // Stays on its hinge: same height, same distance from the axis
+            assertClose(door.position.y, 1, 0.01, 'door height');
+            assertClose(Math.hypot(door.position.x, door.position.z), 0.5, 0.01, 'door reach');
+        });
+        
+        return { smallest, largest };
+    }
+    
+    it('stops at the upper limit', () => {
+        const { world, door, hinge } = createDoor(-Math.PI / 4, Math.PI / 3);
+        const { largest } = pushDoor(world, door, hinge, new Vector3(0, 0, -3));
+        
+        assertClose(largest, Math.PI / 3, 0.02, 'largest angle');
+        assertClose(hinge.angle, Math.PI / 3, 0.02, 'final angle');
+        
+        // The collider turns with the door
+        assertClose(door.collider.axes[0].angleTo(new Vector3(1, 0, 0)), Math.PI / 3, 0.02, 'collider angle');
+    });
+    
+    it('stops at the lower limit', () => {
+        const { world, door, hinge } = createDoor(-Math.PI / 4, Math.PI / 3);
+        const { smallest } = pushDoor(world, door, hinge, new Vector3(0, 0, 3));
+        
+        assertClose(smallest, -Math.PI / 4, 0.02, 'smallest angle');
+        assertClose(hinge.angle, -Math.PI / 4, 0.02, 'final angle');
+    });
+});
+
+describe('breakForce', () => {
+    it('breaks joints pulled harder than their breakForce', () => {
+        const { world, ceiling } = createCeiling();
+        
+        // A's weight (40 N) is within its joint's limit, B's (100 N) isn't
+        const a = world.addBody(createWeight(new Vector3(0, 4, 0)));
+        const b = world.addBody(createWeight(new Vector3(3, 4, 0), 5));
+        const held = world.addConstraint(new BallSocketConstraint(ceiling, a, {
+            pivot: new Vector3(0, 5, 0),
+            breakForce: 100
+        }));
+        const snapped = world.addConstraint(new BallSocketConstraint(ceiling, b, {
+            pivot: new Vector3(3, 5, 0),
+            breakForce: 60
+        }));
+        
+        const events = [];
+        world.on('constraintBreak', event => events.push(event));
+        
+        stepWorld(world, 120);
+        
+        assert.equal(events.length, 1);
+        assert.equal(events[0].constraint, snapped);
+        assert.ok(events[0].force > 60, `broke at ${events[0].force}`);
+        
+        assert.equal(snapped.isBroken, true);
+        assert.equal(held.isBroken, false);
+        assert.deepEqual(world.constraints, [held]);
+        
+        // A still hangs, B fell away
+        assertClose(a.position.y, 4, 0.01, 'held weight');
+        assert.ok(b.position.y < 0, `broken weight still at ${b.position.y}`);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+// test/physics/ContinuousCollision.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { PhysicsBody, BoxObstacle } from '../../src/physics/PhysicsBody.js';
+import { CharacterController } from '../../src/physics/CharacterController.js';
+import { assertClose, createWorld, stepWorld } from '../helpers.js';
+
+// Falling bodies, with the distance from their center to the top of the floor
+const Shapes = {
+    sphere: { options: { radius: 0.1 }, restHeight: 0.1 },
+    box: { options: { halfExtents: new Vector3(0.2, 0.05, 0.3) }, restHeight: 0.05 }
+};
+
+/**
+ * Drop a body onto a thin floor whose top is at y = 0
+ * @param {Object} options - Body options
+ * @param {number} speed - Downward speed at the start
+ * @param {number} thickness - Floor thickness
+ * @returns {Object} - The world, the body and the lowest height it reached
+ */
+function dropOntoFloor(options, speed, thickness) {
+    const world = createWorld();
+    world.addBody(new BoxObstacle({
+        position: new Vector3(0, -thickness / 2, 0),
+        halfExtents: new Vector3(3, thickness / 2, 3)
+    }));
+    
+    const body = world.addBody(new PhysicsBody({
+        position: new Vector3(0.3, 4, 0.2),
+        velocity: new Vector3(0, -speed, 0),
+        mass: 2,
+        ...options
+    }));
+    body.maxFallSpeed = 1000;
+    
+    let lowest = Infinity;
+    stepWorld(world, 360, () => {
+        lowest = Math.min(lowest, body.position.y);
+    });
+    
+    return { world, body, lowest };
+}
+
+describe('continuous collision', () => {
+    for (const [name, shape] of Object.entries(Shapes)) {
+        for (const speed of [30, 60, 100]) {
+            for (const thickness of [0.02, 0.05]) {
+                it(`lands a ${name} at ${speed} m/s on a ${thickness} m floor`, () => {
+                    const { body, lowest } = dropOntoFloor(shape.options, speed, thickness);
+                    
+                    assert.ok(lowest > 0, `${name} passed the floor's top (lowest ${lowest})`);
+                    assertClose(body.position.y, shape.restHeight, 0.01, 'rest height');
+                    assert.ok(body.velocity.length() < 0.5, `still moving at ${body.velocity.length()}`);
+                });
+            }
+        }
+    }
+    
+    it('falls through the same floor with ccd turned off', () => {
+        const { body } = dropOntoFloor({ ...Shapes.sphere.options, ccd: false }, 60, 0.02);
+        
+        assert.ok(body.position.y < -1, `expected to tunnel, ended at ${body.position.y}`);
+    });
+    
+    it('does not sweep bodies below ccdSpeedThreshold', () => {
+        const world = createWorld();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, -0.025, 0),
+            halfExtents: new Vector3(3, 0.025, 3)
+        }));
+        
+        const body = world.addBody(new PhysicsBody({
+            position: new Vector3(0, 0.15, 0),
+            velocity: new Vector3(0, -8, 0),
+            radius: 0.1,
+            mass: 2
+        }));
+        
+        // Would hit the floor this step, but is too slow to be swept
+        assert.ok(body.velocity.length() < body.ccdSpeedThreshold);
+        assert.equal(world.getTimeOfImpact(body, world.fixedTimeStep * 10), 1);
+        
+        // The discrete contact still catches it
+        stepWorld(world, 240);
+        assertClose(body.position.y, 0.1, 0.01, 'rest height');
+    });
+    
+    it('lands a character falling at maxFallSpeed on a thin floor', () => {
+        // A low step rate makes each step fall 2 m through a 2 cm floor
+        const world = createWorld({ physicsFPS: 30 });
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, -0.01, 0),
+            halfExtents: new Vector3(3, 0.01, 3)
+        }));
+        
+        const character = new CharacterController({ position: new Vector3(0, 20, 0) });
+        character.body.maxFallSpeed = 60;
+        character.body.velocity.y = -60;
+        world.addBody(character.body);
+        
+        let lowest = Infinity;
+        stepWorld(world, 60, () => {
+            lowest = Math.min(lowest, character.position.y);
+        });
+        
+        assert.ok(lowest > -0.01, `character passed the floor (lowest ${lowest})`);
+        assertClose(character.position.y, 0, 0.01, 'standing height');
+        assert.equal(character.isGrounded, true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+// test/physics/KinematicPlatform.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { PhysicsBody, KinematicPlatform } from '../../src/physics/PhysicsBody.js';
+import { assertClose, createWorld, stepWorld } from '../helpers.js';
+
+/**
+ * Platform sliding 4 m along X in one second
+ * @param {Array<Vector3>} extraPositions - Keyframes after the first two, one second apart
+ * @returns {KinematicPlatform} - Platform
+ */
+function createSlidingPlatform(extraPositions = []) {
+    const positions = [new Vector3(0, 0, 0), new Vector3(4, 0, 0), ...extraPositions];
+    
+    return new KinematicPlatform({
+        halfExtents: new Vector3(1, 0.25, 1),
+        keyframes: positions.map((position, index) => ({ time: index, position }))
+    });
+}
+
+describe('KinematicPlatform', () => {
+    it('jumps back to the start of an open loop without a velocity', () => {
+        const world = createWorld();
+        const platform = world.addBody(createSlidingPlatform());
+        
+        let fastest = 0;
+        let teleports = 0;
+        stepWorld(world, 300, () => {
+            fastest = Math.max(fastest, platform.velocity.length());
+            if (platform.teleported) {
+                teleports++;
+                assert.equal(platform.velocity.lengthSq(), 0);
+                assert.ok(platform.position.x < 0.1, `expected to be back at the start, at ${platform.position.x}`);
+            }
+        });
+        
+        assert.equal(teleports, 2);
+        assertClose(fastest, 4, 0.01, 'fastest speed');
+    });
+    
+    it('leaves riders behind when jumping back', () => {
+        const world = createWorld();
+        const platform = world.addBody(createSlidingPlatform());
+        const crate = world.addBody(new PhysicsBody({
+            position: new Vector3(0, 0.45, 0),
+            halfExtents: new Vector3(0.2, 0.2, 0.2),
+            mass: 5
+        }));
+        
+        // Ride to the end of the path
+        stepWorld(world, 119);
+        assertClose(crate.position.x, platform.position.x, 0.1, 'carried to');
+        
+        stepWorld(world, 2);
+        assert.ok(crate.position.x > 3.5, `crate went back with the platform to ${crate.position.x}`);
+        assert.ok(Math.abs(crate.velocity.x) < 5, `crate flung at ${crate.velocity.x}`);
+    });
+    
+    it('keeps moving smoothly round a closed loop', () => {
+        const world = createWorld();
+        const platform = world.addBody(createSlidingPlatform([new Vector3(0, 0, 0)]));
+        
+        stepWorld(world, 360, () => {
+            assert.equal(platform.teleported, false);
+            assert.ok(platform.velocity.length() < 4.01, `moving at ${platform.velocity.length()}`);
+        });
+    });
+});
\ No newline at end of file
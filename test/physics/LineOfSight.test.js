@@ -0,0 +1,86 @@
+// test/physics/LineOfSight.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { PhysicsBody, BoxObstacle, KinematicPlatform, HeightfieldTerrain } from '../../src/physics/PhysicsBody.js';
+import { createWorld, stepWorld } from '../helpers.js';
+
+// Eye and target 10 m apart along X, with whatever is tested at the origin
+const Eye = new Vector3(-5, 1.5, 0);
+const Target = new Vector3(5, 1, 0);
+
+const HalfExtents = new Vector3(0.5, 1, 0.5);
+
+describe('checkLineOfSight', () => {
+    it('is blocked by map geometry', () => {
+        const world = createWorld();
+        assert.equal(world.checkLineOfSight(Eye, Target), true);
+        
+        world.addBody(new BoxObstacle({ position: new Vector3(0, 1, 0), halfExtents: HalfExtents }));
+        assert.equal(world.checkLineOfSight(Eye, Target), false);
+        assert.equal(world.checkLineOfSight(Target, Eye), false);
+    });
+    
+    it('ignores static bodies outside the mask', () => {
+        const world = createWorld();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, 1, 0),
+            halfExtents: HalfExtents,
+            layer: 'pickup'
+        }));
+        
+        assert.equal(world.checkLineOfSight(Eye, Target), true);
+        assert.equal(world.checkLineOfSight(Eye, Target, ['world', 'pickup']), false);
+    });
+    
+    it('ignores dynamic bodies on their default layer', () => {
+        const world = createWorld({ gravity: 0 });
+        world.addBody(new PhysicsBody({ position: new Vector3(0, 1, 0), halfExtents: HalfExtents, mass: 5 }));
+        
+        assert.equal(world.checkLineOfSight(Eye, Target), true);
+    });
+    
+    it('follows a sliding door', () => {
+        const world = createWorld();
+        world.addBody(new KinematicPlatform({
+            halfExtents: HalfExtents,
+            mode: 'once',
+            keyframes: [
+                { time: 0, position: new Vector3(0, 1, 0) },
+                { time: 1, position: new Vector3(0, 1, 3) }
+            ]
+        }));
+        
+        assert.equal(world.checkLineOfSight(Eye, Target), false);
+        
+        stepWorld(world, 130);
+        assert.equal(world.checkLineOfSight(Eye, Target), true);
+    });
+    
+    it('is blocked by a hill in the terrain', () => {
+        const world = createWorld();
+        world.addBody(new HeightfieldTerrain({
+            position: new Vector3(0, 0, 0),
+            heights: [0, 0, 0, 0, 3, 0, 0, 0, 0],
+            columns: 3,
+            rows: 3,
+            size: { x: 10, z: 10 }
+        }));
+        
+        assert.equal(world.checkLineOfSight(Eye, Target), false);
+        
+        // Over the top of the hill
+        const high = new Vector3(0, 2.5, 0);
+        assert.equal(world.checkLineOfSight(Eye.clone().add(high), Target.clone().add(high)), true);
+    });
+    
+    it('is not blocked by the ground the target stands on', () => {
+        const world = createWorld();
+        world.addBody(new BoxObstacle({
+            position: new Vector3(0, -0.5, 0),
+            halfExtents: new Vector3(10, 0.5, 10)
+        }));
+        
+        assert.equal(world.checkLineOfSight(Eye, new Vector3(5, 0, 0)), true);
+    });
+});
\ No newline at end of file
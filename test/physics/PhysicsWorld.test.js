@@ -0,0 +1,73 @@
+// test/physics/PhysicsWorld.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { PhysicsBody, BoxObstacle, TriggerVolume } from '../../src/physics/PhysicsBody.js';
+import { createWorld, stepWorld } from '../helpers.js';
+
+describe('PhysicsWorld.clear', () => {
+    /**
+     * Player standing on a floor inside a trigger, with a crate on the floor
+     * @returns {Object} - The world and its bodies
+     */
+    function createLevel() {
+        const world = createWorld();
+        const floor = world.addBody(new BoxObstacle({
+            position: new Vector3(0, -0.5, 0),
+            halfExtents: new Vector3(5, 0.5, 5)
+        }));
+        const trigger = world.addBody(new TriggerVolume({
+            position: new Vector3(0, 1, 0),
+            halfExtents: new Vector3(2, 1, 2)
+        }));
+        const player = world.addBody(new PhysicsBody({ position: new Vector3(0, 0.5, 0), radius: 0.5, mass: 80 }));
+        const crate = world.addBody(new PhysicsBody({
+            position: new Vector3(3, 0.25, 0),
+            halfExtents: new Vector3(0.25, 0.25, 0.25),
+            mass: 5
+        }));
+        
+        world.engine.player = { physicsBody: player };
+        stepWorld(world, 30);
+        
+        return { world, floor, trigger, player, crate };
+    }
+    
+    it('ends the contacts and trigger overlaps of removed bodies', () => {
+        const { world, floor, trigger, player } = createLevel();
+        assert.equal(player.groundBody, floor);
+        assert.equal(trigger.overlapping.has(player), true);
+        
+        const exits = [];
+        const ends = [];
+        world.on('triggerExit', event => exits.push(event));
+        world.on('collisionEnd', contact => ends.push(contact));
+        
+        world.clear();
+        
+        assert.equal(exits.length, 1);
+        assert.equal(exits[0].trigger, trigger);
+        assert.equal(exits[0].body, player);
+        assert.equal(trigger.overlapping.size, 0);
+        
+        // Player and crate both stood on the floor
+        assert.equal(ends.length, 2);
+        assert.ok(ends.every(contact => contact.bodyA === floor || contact.bodyB === floor));
+        assert.equal(world.contacts.size, 0);
+        
+        assert.equal(player.groundBody, null);
+    });
+    
+    it('keeps only the player body', () => {
+        const { world, player } = createLevel();
+        world.clear();
+        
+        assert.deepEqual(world.bodies, [player]);
+        assert.deepEqual(world.staticBodies, []);
+        assert.deepEqual(world.triggers, []);
+        
+        // The player falls now that the floor is gone
+        stepWorld(world, 30);
+        assert.ok(player.position.y < 0, `player still at ${player.position.y}`);
+    });
+});
\ No newline at end of file